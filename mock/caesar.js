@@ -0,0 +1,34 @@
+/*
+Mock Caesar
+-----------
+
+A stand-in for Caesar's GraphQL API, answering every reductions query from
+src/fixtures/reductions.json. Used when REDUCTIONS_SOURCE=mock (see
+src/lib/reductions-source.js).
+
+ */
+
+const express = require('express');
+const readJSONBody = require('./read-json-body');
+const reductionsFixture = require('../src/fixtures/reductions.json');
+
+const mockCaesar = () => {
+  const router = express.Router();
+
+  router.post('/graphql', (req, res) => {
+    readJSONBody(req)
+      .then((body) => {
+        const match = /subjectId:\s*"?(\w+)"?/.exec(body.query || '');
+        const subjectId = match && match[1];
+        const reductions = reductionsFixture[subjectId] || reductionsFixture.default || [];
+        res.json({ data: { workflow: { reductions } } });
+      })
+      .catch((err) => {
+        res.status(400).json({ errors: [{ message: err.message }] });
+      });
+  });
+
+  return router;
+};
+
+module.exports = mockCaesar;
@@ -0,0 +1,325 @@
+/*
+Mock Panoptes
+-------------
+
+A small, in-memory stand-in for the parts of the Panoptes API that the
+classifier uses, so the classifier can be run (signed out) without a network
+connection. Start the dev server with MOCK_PANOPTES=1 to mount it at
+/mock-panoptes; webpack.config.js then points panoptes-client at it too.
+
+Resources start off as the contents of src/fixtures/panoptes.json. Anything
+that's created or changed (Classifications, Collections, Project Preferences)
+is kept in memory until the server restarts. Subject images are simple
+generated SVG pages, served from /mock-panoptes/images, and in tiles from
+/mock-panoptes/iiif.
+
+Failures can be scripted, to see how the classifier copes with them:
+
+  POST /mock-panoptes/_failures
+    { "method": "POST", "path": "/classifications", "status": 422, "times": 1 }
+    { "path": "/subjects/queued", "timeout": true }
+  GET /mock-panoptes/_failures     lists the failures still to come.
+  DELETE /mock-panoptes/_failures  removes them all.
+
+A failure applies to requests with the same method (any method, if not
+specified) and a path (after /api) starting with `path`. It applies to the next
+`times` requests (default 1; 0 means forever). A failure with a `status`
+responds with that status and a Panoptes-style error message; a `timeout`
+failure never responds, and its connection is dropped after `delay`
+milliseconds (default TIMEOUT_DELAY). Failures can also be loaded at startup
+from a JSON file with an array of them: MOCK_PANOPTES_FAILURES=failures.json
+
+ */
+
+const fs = require('fs');
+const express = require('express');
+const readJSONBody = require('./read-json-body');
+const fixtures = require('../src/fixtures/panoptes.json');
+
+const TIMEOUT_DELAY = 60000;
+const FIRST_NEW_ID = 90000;
+const QUEUE_SIZE = 10;
+const PAGE_WIDTH = 1600;
+const PAGE_HEIGHT = 2400;
+const IGNORED_PARAMS = ['page', 'page_size', 'sort', 'include', 'fields', 'http_cache', 'admin'];
+
+const ERROR_MESSAGES = {
+  400: 'Bad request',
+  401: 'Not authorized',
+  403: 'Forbidden',
+  404: 'Could not find the requested resource',
+  422: 'Validation failed (mock Panoptes)',
+  500: 'Internal server error (mock Panoptes)',
+  503: 'Service unavailable (mock Panoptes)',
+};
+
+const loadFailures = (filename) => {
+  if (!filename) return [];
+  try {
+    return [].concat(JSON.parse(fs.readFileSync(filename, 'utf8')));
+  } catch (err) {
+    console.error('mock/panoptes.js loadFailures() error: ', err);
+    return [];
+  }
+};
+
+/*  Does a resource match the filters of a Panoptes-style query? e.g.
+    { project_id: '1764' } matches resources whose `project` link is 1764.
+    Filters for attributes or links the resource doesn't have are ignored.
+ */
+const matchesQuery = (resource, query) => {
+  return Object.keys(query).every((param) => {
+    if (IGNORED_PARAMS.indexOf(param) >= 0) return true;
+    const values = String(query[param]).split(',');
+    if (param === 'id' || param === 'ids') return values.indexOf(resource.id) >= 0;
+
+    const link = param.replace(/_ids?$/, '');
+    if (link !== param) {
+      const linked = resource.links && (resource.links[link] || resource.links[`${link}s`]);
+      if (linked === undefined || linked === null) return true;
+      return [].concat(linked).some(id => values.indexOf(String(id)) >= 0);
+    }
+
+    if (!(param in resource)) return true;
+    return values.indexOf(String(resource[param])) >= 0;
+  });
+};
+
+/*  A manuscript-ish page, so there's something to transcribe.
+ */
+const renderPageImage = (name, region = { x: 0, y: 0, width: PAGE_WIDTH, height: PAGE_HEIGHT }, size = region) => {
+  const lines = [];
+  for (let i = 0; i < 18; i++) {
+    const y = 420 + (i * 100);
+    const width = 900 + ((i * 137) % 300);
+    lines.push(`<path d="M 300 ${y} q ${width / 4} -12 ${width / 2} 0 t ${width / 2} 0" ` +
+      'stroke="#4a3b2a" stroke-width="6" fill="none" stroke-dasharray="40 14 22 18"/>');
+  }
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" ` +
+      `viewBox="${region.x} ${region.y} ${region.width} ${region.height}" preserveAspectRatio="none">`,
+    `<rect width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}" fill="#efe4c8"/>`,
+    `<text x="300" y="260" font-family="serif" font-size="56" fill="#4a3b2a">${name}</text>`,
+  ].concat(lines, '</svg>').join('\n');
+};
+
+const mockPanoptes = () => {
+  const router = express.Router();
+  const store = JSON.parse(JSON.stringify(fixtures));
+  let failures = loadFailures(process.env.MOCK_PANOPTES_FAILURES);
+  let nextId = FIRST_NEW_ID;
+  let queuePosition = 0;
+
+  const getResources = type => store[type] || (store[type] = []);
+  const findResource = (type, id) => getResources(type).find(resource => resource.id === id);
+
+  const send = (res, type, resources, status = 200) => {
+    res.status(status);
+    res.type('application/vnd.api+json');
+    res.send(JSON.stringify({
+      [type]: resources,
+      links: {},
+      meta: {
+        [type]: {
+          page: 1,
+          page_size: resources.length,
+          count: resources.length,
+          page_count: 1,
+          previous_page: null,
+          next_page: null,
+        },
+      },
+    }));
+  };
+
+  const sendError = (res, status, message = ERROR_MESSAGES[status] || 'Error (mock Panoptes)') => {
+    res.status(status);
+    res.type('application/vnd.api+json');
+    res.send(JSON.stringify({ errors: [{ message }] }));
+  };
+
+  const withBody = (req, res, callback) => {
+    readJSONBody(req)
+      .then(callback)
+      .catch((err) => {
+        sendError(res, 400, err.message);
+      });
+  };
+
+  //Scripted failures
+  //----------------------------------------------------------------
+
+  router.get('/_failures', (req, res) => {
+    res.json(failures);
+  });
+
+  router.post('/_failures', (req, res) => {
+    withBody(req, res, (body) => {
+      const added = [].concat(body).map(failure => Object.assign({ times: 1 }, failure));
+      failures = failures.concat(added);
+      console.info('mock/panoptes.js: scripted failures ', added);
+      res.status(201).json(failures);
+    });
+  });
+
+  router.delete('/_failures', (req, res) => {
+    failures = [];
+    res.json(failures);
+  });
+
+  router.use('/api', (req, res, next) => {
+    const failure = failures.find((f) => {
+      return (!f.method || f.method.toUpperCase() === req.method) &&
+        (!f.path || req.path.indexOf(f.path) === 0);
+    });
+    if (!failure) return next();
+
+    if (failure.times > 0) {
+      failure.times -= 1;
+      if (failure.times === 0) failures = failures.filter(f => f !== failure);
+    }
+    console.info(`mock/panoptes.js: failing ${req.method} ${req.path}`);
+
+    if (failure.timeout) {
+      setTimeout(() => { req.socket.destroy(); }, failure.delay || TIMEOUT_DELAY);
+      return undefined;
+    }
+    setTimeout(() => { sendError(res, failure.status || 500, failure.message); }, failure.delay || 0);
+    return undefined;
+  });
+
+  //Images
+  //----------------------------------------------------------------
+
+  router.get('/images/:name.svg', (req, res) => {
+    res.type('image/svg+xml');
+    res.send(renderPageImage(req.params.name));
+  });
+
+  //A tiny IIIF Image API server (see lib/image-tiles.js), for the images above
+  //only. Whatever the format asked for, the tile is an SVG.
+  router.get('/iiif/:identifier/:region/:size/:rotation/:quality.:format', (req, res) => {
+    const image = req.params.identifier.match(/\/mock-panoptes\/images\/([^/]+)\.svg$/);
+    const region = req.params.region.match(/^(\d+),(\d+),(\d+),(\d+)$/);
+    const size = req.params.size.match(/^(\d+),(\d+)$/);
+    if (!image) return res.status(404).send('Not an image from the mock Panoptes');
+    if (!region || !size) return res.status(400).send('Only x,y,w,h regions and w,h sizes are supported');
+
+    res.type('image/svg+xml');
+    return res.send(renderPageImage(
+      image[1],
+      { x: Number(region[1]), y: Number(region[2]), width: Number(region[3]), height: Number(region[4]) },
+      { width: Number(size[1]), height: Number(size[2]) },
+    ));
+  });
+
+  //Special cases
+  //----------------------------------------------------------------
+
+  //Cycles through the Subjects of the requested Subject Set (or all of them, if
+  //there aren't any), so each fetch gets a different Subject first. Like
+  //Panoptes, it skips Subjects already classified for the Workflow.
+  router.get('/api/subjects/queued', (req, res) => {
+    const workflowQuery = (req.query.workflow_id) ? { workflow_id: req.query.workflow_id } : {};
+    const classified = getResources('classifications')
+      .filter(classification => classification.completed !== false && matchesQuery(classification, workflowQuery))
+      .reduce((ids, classification) => ids.concat(classification.links.subjects || []), []);
+    const unclassified = getResources('subjects').filter(subject => classified.indexOf(subject.id) < 0);
+    const subjects = (unclassified.length) ? unclassified : getResources('subjects');
+    const inSet = subjects.filter(subject => matchesQuery(subject, { subject_set_id: req.query.subject_set_id || '' }));
+    const available = (inSet.length) ? inSet : subjects;
+    const queue = [];
+    for (let i = 0; i < Math.min(QUEUE_SIZE, available.length); i++) {
+      const subject = available[(queuePosition + i) % available.length];
+      queue.push(Object.assign({ already_seen: false, retired: false, favorite: false }, subject));
+    }
+    queuePosition += 1;
+    send(res, 'subjects', queue);
+  });
+
+  router.get('/api/classifications/incomplete', (req, res) => {
+    const incomplete = getResources('classifications')
+      .filter(classification => classification.completed === false && matchesQuery(classification, req.query));
+    send(res, 'classifications', incomplete);
+  });
+
+  router.get('/api/field_guides/:id/attached_images', (req, res) => {
+    const images = getResources('media').filter(media => media.links.linked.id === req.params.id);
+    send(res, 'media', images);
+  });
+
+  //Generic JSON API resources
+  //----------------------------------------------------------------
+
+  router.get('/api/:type', (req, res) => {
+    send(res, req.params.type, getResources(req.params.type).filter(resource => matchesQuery(resource, req.query)));
+  });
+
+  router.get('/api/:type/:ids', (req, res) => {
+    const resources = req.params.ids.split(',')
+      .map(id => findResource(req.params.type, id))
+      .filter(resource => resource);
+    if (!resources.length) return sendError(res, 404);
+    return send(res, req.params.type, resources);
+  });
+
+  router.post('/api/:type', (req, res) => {
+    withBody(req, res, (body) => {
+      const now = (new Date()).toISOString();
+      const resource = Object.assign({ links: {} }, body[req.params.type], {
+        id: String(nextId++),
+        created_at: now,
+        updated_at: now,
+      });
+      getResources(req.params.type).push(resource);
+      console.info(`mock/panoptes.js: created ${req.params.type} ${resource.id}`);
+      send(res, req.params.type, [resource], 201);
+    });
+  });
+
+  router.put('/api/:type/:id', (req, res) => {
+    const resource = findResource(req.params.type, req.params.id);
+    if (!resource) return sendError(res, 404);
+    return withBody(req, res, (body) => {
+      Object.assign(resource, body[req.params.type], { updated_at: (new Date()).toISOString() });
+      send(res, req.params.type, [resource]);
+    });
+  });
+
+  router.delete('/api/:type/:id', (req, res) => {
+    const resource = findResource(req.params.type, req.params.id);
+    if (!resource) return sendError(res, 404);
+    store[req.params.type] = getResources(req.params.type).filter(r => r !== resource);
+    return res.status(204).end();
+  });
+
+  router.post('/api/:type/:id/links/:link', (req, res) => {
+    const resource = findResource(req.params.type, req.params.id);
+    if (!resource) return sendError(res, 404);
+    return withBody(req, res, (body) => {
+      const linked = [].concat(resource.links[req.params.link] || []);
+      [].concat(body[req.params.link] || []).forEach((id) => {
+        if (linked.indexOf(String(id)) < 0) linked.push(String(id));
+      });
+      resource.links[req.params.link] = linked;
+      send(res, req.params.type, [resource]);
+    });
+  });
+
+  router.delete('/api/:type/:id/links/:link/:ids', (req, res) => {
+    const resource = findResource(req.params.type, req.params.id);
+    if (!resource) return sendError(res, 404);
+    const removed = req.params.ids.split(',');
+    resource.links[req.params.link] = [].concat(resource.links[req.params.link] || [])
+      .filter(id => removed.indexOf(String(id)) < 0);
+    return res.status(204).end();
+  });
+
+  router.use('/api', (req, res) => {
+    sendError(res, 404);
+  });
+
+  return router;
+};
+
+module.exports = mockPanoptes;
@@ -0,0 +1,19 @@
+/*  Reads a JSON request body. (Only the mock APIs need this, so there's no
+    body parser for the rest of the app.)
+ */
+const readJSONBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+};
+
+module.exports = readJSONBody;
@@ -7,11 +7,14 @@ const webpackMiddleware = require('webpack-dev-middleware');
 const webpackHotMiddleware = require('webpack-hot-middleware');
 const config = require('./webpack.config');
 const DashboardPlugin = require('webpack-dashboard/plugin');
+const mockCaesar = require('./mock/caesar');
+const mockPanoptes = require('./mock/panoptes');
 
 const isProduction = process.env.NODE_ENV === 'production';
 const port = isProduction ? process.env.PORT : 3000;
 const app = express();
 const indexHtml = path.join(__dirname, 'dist/index.html');
+const mockPanoptesEnabled = !!process.env.MOCK_PANOPTES;
 
 if (!isProduction) {
   const compiler = webpack(config);
@@ -31,6 +34,13 @@ if (!isProduction) {
 
   app.use(middleware);
   app.use(webpackHotMiddleware(compiler));
+
+  app.use('/mock-caesar', mockCaesar());
+  if (mockPanoptesEnabled) {
+    app.use('/mock-panoptes', mockPanoptes());
+    console.info('==> Serving the mock Panoptes API at /mock-panoptes');
+  }
+
   app.get('*', (req, res) => {
     res.write(middleware.fileSystem.readFileSync(indexHtml));
     res.end();
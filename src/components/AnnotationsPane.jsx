@@ -15,11 +15,28 @@ import { connect } from 'react-redux';
 import { VisibilitySplit } from 'seven-ten';
 import { Utility } from '../lib/Utility';
 import PendingAnnotation from './PendingAnnotation';
+import MarkupPreview from './MarkupPreview';
+import { DEFAULT_TAGS } from '../lib/transcription-markup';
 import { VARIANT_TYPES } from '../ducks/splits';
 import { MARKS_STATE } from '../ducks/subject-viewer';
+import {
+  moveAnnotationPoint, insertAnnotationPoint, removeAnnotationPoint,
+} from '../ducks/annotations';
 
 const CONSENSUS_LINE = { text: 'This line has been completed.', width: 310 };
 const TRANSCRIBED_LINE = { text: 'This line has existing transcriptions.', width: 360 };
+const TOOLTIP_PADDING = 18;
+const HANDLE_COLOR = '#5cb85c';
+const MIN_POINTS = 2;
+const END_POINT_RADIUS = 10;
+const VERTEX_RADIUS = 6;
+
+/*  The start and end of a line are drawn bigger than the points in between, so
+    a multi-point line still reads as a single line.
+ */
+const getPointRadius = (points, index) => {
+  return (index === 0 || index === points.length - 1) ? END_POINT_RADIUS : VERTEX_RADIUS;
+};
 
 class AnnotationsPane extends React.Component {
   constructor(props) {
@@ -29,19 +46,72 @@ class AnnotationsPane extends React.Component {
     this.renderPreviousAnnotations = this.renderPreviousAnnotations.bind(this);
     this.renderUserAnnotations = this.renderUserAnnotations.bind(this);
     this.determineGreenLine = this.determineGreenLine.bind(this);
+    this.renderEditHandles = this.renderEditHandles.bind(this);
+    this.onHandleMouseMove = this.onHandleMouseMove.bind(this);
+    this.onHandleMouseUp = this.onHandleMouseUp.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.showTooltip = this.showTooltip.bind(this);
+    this.hideTooltip = this.hideTooltip.bind(this);
+    this.moveTooltip = this.moveTooltip.bind(this);
+
+    //The root SVG element, and the pointer dragging a point, if any.
+    this.root = null;
+    this.pointerId = null;
 
     this.state = {
-      hoverObj: TRANSCRIBED_LINE,
+      draggedPoint: null,  //{ index, x, y } of the point being dragged, if any.
+      hoverObj: TRANSCRIBED_LINE,  //Either fixed { text, width }, or { markup } of a user's transcription.
     };
   }
 
+  /*  With Pointer Events (i.e. mouse, touch and pen alike), the points of the
+      selected line are dragged with whatever pointer picked them up. Without
+      them, only the mouse works. (React 15 doesn't support Pointer Events, so
+      they're listened to directly.)
+   */
+  componentDidMount() {
+    if (this.root && Utility.supportsPointerEvents()) {
+      this.root.addEventListener('pointerdown', this.onPointerDown);
+      this.root.addEventListener('pointermove', this.onPointerMove);
+      this.root.addEventListener('pointerup', this.onPointerUp);
+      this.root.addEventListener('pointercancel', this.onPointerUp);
+    }
+    this.sizeTooltip();
+  }
+
+  componentWillReceiveProps(nextProps) {
+    //A point can only be dragged on the line it was picked up from.
+    if (this.state.draggedPoint && (nextProps.selectedAnnotationIndex !== this.props.selectedAnnotationIndex ||
+        nextProps.annotations !== this.props.annotations)) {
+      this.setState({ draggedPoint: null });
+      this.pointerId = null;
+    }
+  }
+
+  componentDidUpdate() {
+    this.sizeTooltip();
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener('mousemove', this.onHandleMouseMove);
+    document.removeEventListener('mouseup', this.onHandleMouseUp);
+    if (this.root) {
+      this.root.removeEventListener('pointerdown', this.onPointerDown);
+      this.root.removeEventListener('pointermove', this.onPointerMove);
+      this.root.removeEventListener('pointerup', this.onPointerUp);
+      this.root.removeEventListener('pointercancel', this.onPointerUp);
+    }
+  }
+
   //----------------------------------------------------------------
 
   render() {
     const pendingLine = this.props.mouseInViewer && this.props.annotationInProgress !== null;
     const imageOffset = `translate(${-this.props.imageSize.width / 2}, ${-this.props.imageSize.height / 2})`;
     return (
-      <g transform={imageOffset}>
+      <g ref={(el) => { this.root = el; }} transform={imageOffset}>
         {pendingLine && (
           <PendingAnnotation
             annotationInProgress={this.props.annotationInProgress}
@@ -59,6 +129,10 @@ class AnnotationsPane extends React.Component {
 
         {this.renderAnnotationInProgress()}
 
+        {this.props.shownMarks !== MARKS_STATE.NONE && (
+          this.renderEditHandles()
+        )}
+
         <g ref={(el) => { this.tooltip = el; }} className="tooltip" >
           <defs>
             <filter id="shadow" height="180%">
@@ -66,10 +140,19 @@ class AnnotationsPane extends React.Component {
             </filter>
           </defs>
 
-          <rect x="25" y="-30" width={this.state.hoverObj.width} height="45" fill="#979797" filter="url(#shadow)" />
+          <rect
+            ref={(el) => { this.tooltipBackground = el; }}
+            x="25" y="-30" height="45" fill="#979797" filter="url(#shadow)"
+          />
           <polygon points="10,-6 25,-12 25,0" fill="#979797" />
-          <text x="43" fill="#fff" fontFamily="Playfair Display">
-            {this.state.hoverObj.text}
+          <text
+            ref={(el) => { this.tooltipText = el; }}
+            x={25 + TOOLTIP_PADDING} fill="#fff" fontFamily="Playfair Display"
+          >
+            {(this.state.hoverObj.markup !== undefined)
+              ? <MarkupPreview svg tags={this.props.tags} text={this.state.hoverObj.markup} />
+              : this.state.hoverObj.text
+            }
           </text>
         </g>
 
@@ -93,7 +176,7 @@ class AnnotationsPane extends React.Component {
       svgPoints.push(
         <circle
           key={svgPointPrefix + i}
-          cx={point.x} cy={point.y} r={10} fill="#00CED1"
+          cx={point.x} cy={point.y} r={(i === 0) ? END_POINT_RADIUS : VERTEX_RADIUS} fill="#00CED1"
         />,
       );
 
@@ -127,6 +210,149 @@ class AnnotationsPane extends React.Component {
     );
   }
 
+  /*  Renders the handles for editing the line of the selected user annotation:
+      drag a point to move it, double-click a point to remove it, and click the
+      smaller handle in the middle of a segment to add a point there.
+      While a point is being dragged, its new position is only kept locally;
+      the annotation is updated once, when the point is dropped.
+   */
+  renderEditHandles() {
+    const selected = this.props.selectedAnnotation;
+    const annotation = (selected && !selected.previousAnnotation && this.props.annotations)
+      ? this.props.annotations[this.props.selectedAnnotationIndex] : null;
+    if (!annotation || annotation.frame !== this.props.frame) return null;
+
+    const dragged = this.state.draggedPoint;
+    const points = annotation.points.map((point, i) => {
+      return (dragged && dragged.index === i) ? { x: dragged.x, y: dragged.y } : point;
+    });
+    const canRemove = points.length > MIN_POINTS;
+    const usePointerEvents = Utility.supportsPointerEvents();
+
+    const svgLines = [];
+    const svgInsertHandles = [];
+    const svgPointHandles = [];
+
+    points.forEach((point, i) => {
+      svgPointHandles.push(
+        <circle
+          key={`EDIT_POINT_${i}`}
+          className="annotation-edit__point"
+          cx={point.x} cy={point.y} r={14}
+          fill="#fff" stroke={HANDLE_COLOR} strokeWidth="4"
+          data-point-index={i}
+          onMouseDown={(usePointerEvents) ? null : (e) => {
+            document.addEventListener('mousemove', this.onHandleMouseMove);
+            document.addEventListener('mouseup', this.onHandleMouseUp);
+            this.setState({ draggedPoint: { index: i, x: point.x, y: point.y } });
+            return Utility.stopEvent(e);
+          }}
+          onDoubleClick={(e) => {
+            if (canRemove) this.props.dispatch(removeAnnotationPoint(i));
+            return Utility.stopEvent(e);
+          }}
+        >
+          <title>{canRemove ? 'Drag to move, double-click to remove' : 'Drag to move'}</title>
+        </circle>,
+      );
+
+      if (i > 0) {
+        const prevPoint = points[i - 1];
+        const midPoint = { x: (prevPoint.x + point.x) / 2, y: (prevPoint.y + point.y) / 2 };
+        svgLines.push(
+          <line
+            key={`EDIT_LINE_${i - 1}`}
+            x1={prevPoint.x} y1={prevPoint.y}
+            x2={point.x} y2={point.y}
+            stroke={HANDLE_COLOR} strokeWidth="2"
+          />,
+        );
+        svgInsertHandles.push(
+          <circle
+            key={`EDIT_INSERT_${i - 1}`}
+            className="annotation-edit__insert"
+            cx={midPoint.x} cy={midPoint.y} r={8}
+            fill={HANDLE_COLOR} fillOpacity="0.6"
+            onMouseDown={Utility.stopEvent}
+            onMouseUp={Utility.stopEvent}
+            onClick={(e) => {
+              this.props.dispatch(insertAnnotationPoint(i - 1, midPoint.x, midPoint.y));
+              return Utility.stopEvent(e);
+            }}
+          >
+            <title>Click to add a point</title>
+          </circle>,
+        );
+      }
+    });
+
+    return (
+      <g className="annotation-edit">
+        {svgLines}
+        {svgInsertHandles}
+        {svgPointHandles}
+      </g>
+    );
+  }
+
+  /*  The handle captures the pointer, so the drag carries on wherever the
+      pointer goes, and SubjectViewer doesn't treat it as panning the Subject.
+   */
+  onPointerDown(e) {
+    const handle = (e.target && e.target.closest) ? e.target.closest('.annotation-edit__point') : null;
+    const annotation = (this.props.annotations) ? this.props.annotations[this.props.selectedAnnotationIndex] : null;
+    if (!handle || !annotation || this.pointerId !== null) return undefined;
+
+    const index = parseInt(handle.getAttribute('data-point-index'), 10);
+    const point = annotation.points[index];
+    if (!point) return undefined;
+
+    this.pointerId = e.pointerId;
+    if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+    this.setState({ draggedPoint: { index, x: point.x, y: point.y } });
+    return Utility.stopEvent(e);
+  }
+
+  onPointerMove(e) {
+    if (e.pointerId !== this.pointerId) return undefined;
+    this.onHandleMouseMove(e);
+    return Utility.stopEvent(e);
+  }
+
+  onPointerUp(e) {
+    if (e.pointerId !== this.pointerId) return undefined;
+    this.pointerId = null;
+    this.dropPoint(e.type === 'pointerup');  //A cancelled drag leaves the point where it was.
+    return Utility.stopEvent(e);
+  }
+
+  onHandleMouseMove(e) {
+    if (!this.state.draggedPoint || !this.props.getPointerXY) return;
+    const pointer = this.props.getPointerXY(e);
+    this.setState({
+      draggedPoint: Object.assign({}, this.state.draggedPoint, { x: pointer.x, y: pointer.y }),
+    });
+  }
+
+  onHandleMouseUp(e) {
+    document.removeEventListener('mousemove', this.onHandleMouseMove);
+    document.removeEventListener('mouseup', this.onHandleMouseUp);
+    this.dropPoint(true);
+    Utility.stopEvent(e);
+  }
+
+  dropPoint(keepPosition) {
+    const dragged = this.state.draggedPoint;
+    if (!dragged) return;
+
+    this.setState({ draggedPoint: null });
+    const annotation = this.props.annotations[this.props.selectedAnnotationIndex];
+    const original = annotation && annotation.points[dragged.index];
+    if (keepPosition && original && (original.x !== dragged.x || original.y !== dragged.y)) {
+      this.props.dispatch(moveAnnotationPoint(dragged.index, dragged.x, dragged.y));
+    }
+  }
+
   /*  Renders all the annotations that the user has completed.
       WARNING: Not to be confused with annotations from other users!
    */
@@ -139,6 +365,34 @@ class AnnotationsPane extends React.Component {
     return this.renderAnnotations(this.props.previousAnnotations, true);
   }
 
+  showTooltip(hoverObj) {
+    this.setState({ hoverObj });
+    this.tooltip.style.visibility = 'visible';
+  }
+
+  /*  A transcription's tooltip has to be sized to fit its (rendered) text, so
+      like the tooltip's position, its width is set directly.
+   */
+  sizeTooltip() {
+    if (!this.tooltipBackground) return;
+    let width = this.state.hoverObj.width;
+    if (!width && this.tooltipText && this.tooltipText.getBBox) {
+      width = Math.ceil(this.tooltipText.getBBox().width) + (TOOLTIP_PADDING * 2);
+    }
+    this.tooltipBackground.setAttribute('width', width || 0);
+  }
+
+  hideTooltip() {
+    this.tooltip.style.visibility = 'hidden';
+  }
+
+  moveTooltip(e) {
+    const cursor = this.props.getPointerXY(e);
+    //Undo the Subject's rotation, so the tooltip is always upright.
+    const rotationOffset = -this.props.rotation;
+    this.tooltip.setAttribute('transform', `translate(${cursor.x}, ${cursor.y}) rotate(${rotationOffset})`);
+  }
+
   determineGreenLine(annotation, index) {
     let greenLine = false;
 
@@ -168,7 +422,12 @@ class AnnotationsPane extends React.Component {
       if (annotation.frame !== this.props.frame) return null;
 
       let onSelectAnnotation = this.props.onSelectAnnotation;
+      let selectable = !!onSelectAnnotation;
       let hoverObj = TRANSCRIBED_LINE;
+      const text = (annotation.details && annotation.details[0]) ? annotation.details[0].value : '';
+      if (!previousAnnotations) {
+        hoverObj = (text) ? { markup: text } : null;
+      }
       let fillColor = previousAnnotations ? '#c33' : '#00CED1';
       const style = { cursor: 'pointer' };
 
@@ -178,6 +437,7 @@ class AnnotationsPane extends React.Component {
       if (previousAnnotations && annotation.consensusReached) {
         hoverObj = CONSENSUS_LINE;
         onSelectAnnotation = () => {};
+        selectable = false;
         fillColor = '#979797';
         style.cursor = 'inherit';
       }
@@ -197,7 +457,7 @@ class AnnotationsPane extends React.Component {
         svgPoints.push(
           <circle
             key={svgPointPrefix + i}
-            cx={point.x} cy={point.y} r={10} fill={fillColor}
+            cx={point.x} cy={point.y} r={getPointRadius(annotation.points, i)} fill={fillColor}
           />,
         );
 
@@ -216,9 +476,11 @@ class AnnotationsPane extends React.Component {
 
       const renderedMarks = (
         <g
-          className="annotation"
+          className={(annotation.consensusReached) ? 'annotation annotation--retired' : 'annotation'}
           key={annotationPrefix + index}
           style={style}
+          data-annotation-index={(selectable) ? index : undefined}
+          data-previous-annotation={(selectable) ? previousAnnotations : undefined}
           onClick={(e) => {
             if (onSelectAnnotation) {
               onSelectAnnotation(index, previousAnnotations);
@@ -228,37 +490,18 @@ class AnnotationsPane extends React.Component {
             return Utility.stopEvent(e);
           }}
           onMouseOver={(e) => {
-            if (previousAnnotations) {
-              this.setState({ hoverObj });
-              this.tooltip.style.visibility = 'visible';
-              return;  //If retired line, don't stop events.
-            }
+            if (hoverObj) this.showTooltip(hoverObj);
+            if (previousAnnotations) return;  //If retired line, don't stop events.
             return Utility.stopEvent(e);
           }}
           onMouseOut={(e) => {
-            if (previousAnnotations) {
-              this.tooltip.style.visibility = 'hidden';
-              return;  //If retired line, don't stop events.
-            }
+            this.hideTooltip();
+            if (previousAnnotations) return;  //If retired line, don't stop events.
             return Utility.stopEvent(e);
           }}
           onMouseMove={(e) => {
-            if (previousAnnotations) {
-              const cursor = this.props.getPointerXY(e);
-              let rotationOffset;
-              switch (this.props.rotation) {
-                case 90:
-                  rotationOffset = 270;
-                  break;
-                case 270:
-                  rotationOffset = 90;
-                  break;
-                default:
-                  rotationOffset = this.props.rotation;
-              }
-              this.tooltip.setAttribute('transform', `translate(${cursor.x}, ${cursor.y}) rotate(${rotationOffset})`);
-              return;  //If retired line, don't stop events.
-            }
+            if (hoverObj) this.moveTooltip(e);
+            if (previousAnnotations) return;  //If retired line, don't stop events.
             return Utility.stopEvent(e);
           }}
           onMouseDown={(e) => {  //Prevent triggering actions in the parent SubjectViewer.
@@ -293,6 +536,7 @@ class AnnotationsPane extends React.Component {
 }
 
 AnnotationsPane.propTypes = {
+  dispatch: PropTypes.func,
   frame: PropTypes.number,
   onSelectAnnotation: PropTypes.func,
   //--------
@@ -329,10 +573,12 @@ AnnotationsPane.propTypes = {
   splits: PropTypes.shape({
     data: PropTypes.object,
   }),
+  tags: PropTypes.object,
   variant: PropTypes.string,
 };
 
 AnnotationsPane.defaultProps = {
+  dispatch: () => {},
   frame: 0,
   onSelectAnnotation: null,
   //--------
@@ -351,6 +597,7 @@ AnnotationsPane.defaultProps = {
   selectedAnnotationIndex: 0,
   shownMarks: 0,
   splits: null,
+  tags: DEFAULT_TAGS,
   variant: VARIANT_TYPES.INDIVIDUAL,
 };
 
@@ -362,6 +609,7 @@ const mapStateToProps = (state) => {
     selectedAnnotationIndex: state.annotations.selectedAnnotationIndex,
     shownMarks: state.subjectViewer.shownMarks,
     splits: state.splits.data,
+    tags: state.workflow.tags,
     variant: state.splits.variant,
   };
 };
@@ -16,6 +16,7 @@ import { SPLIT_STATUS } from '../ducks/splits';
 import GALogAdapter from '../lib/ga-log-adapter';
 import GoogleLogger from '../lib/GoogleLogger';
 import { checkLoginUser } from '../ducks/login';
+import { startClassificationsQueue, stopClassificationsQueue } from '../ducks/classifications-queue';
 import Banner from './Banner';
 
 
@@ -46,12 +47,17 @@ class App extends React.Component {
 
   componentDidMount() {
     this.props.dispatch(fetchProject());
+    this.props.dispatch(startClassificationsQueue());
     this.googleLogger.remember({ projectToken: 'antiSlaveryManuscripts' });
     Rollbar.global({ maxItems: 10 });
     Rollbar.configure({ payload: { environment: env } });
     generateSessionID();
   }
 
+  componentWillUnmount() {
+    this.props.dispatch(stopClassificationsQueue());
+  }
+
   componentWillReceiveProps(nextProps) {
     if (nextProps.user && nextProps.user !== this.props.user) {
       this.googleLogger.remember({ userID: nextProps.user.id });
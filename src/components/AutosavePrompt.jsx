@@ -0,0 +1,95 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { setAnnotations } from '../ducks/annotations';
+import { setSubjectCompletionAnswers } from '../ducks/classifications';
+import { changeFrame } from '../ducks/subject-viewer';
+import { changeFrameData } from '../ducks/previousAnnotations';
+import { removeAutosave } from '../lib/autosave';
+
+class AutosavePrompt extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.restore = this.restore.bind(this);
+    this.discard = this.discard.bind(this);
+  }
+
+  restore(e) {
+    const entry = this.props.entry;
+    //The prompt may have waited behind another dialog; the entry is kept for
+    //when its Subject is shown again.
+    if (this.props.subjectId !== entry.subjectId) {
+      this.props.onClose(e);
+      return;
+    }
+
+    this.props.dispatch(setAnnotations(entry.annotations));
+    this.props.dispatch(changeFrame(entry.frame));
+    this.props.dispatch(changeFrameData(entry.frame));
+    Object.keys(entry.subjectCompletionAnswers).forEach((taskId) => {
+      this.props.dispatch(setSubjectCompletionAnswers(taskId, entry.subjectCompletionAnswers[taskId]));
+    });
+    this.props.onClose(e);
+  }
+
+  discard(e) {
+    removeAutosave(this.props.user, this.props.entry.subjectId);
+    this.props.onClose(e);
+  }
+
+  render() {
+    const lines = this.props.entry.annotations.length;
+    return (
+      <div className="classification-prompt">
+        <h2>We found unsaved work!</h2>
+        <span>
+          You were working on this manuscript
+          {this.props.entry.savedAt && ` on ${new Date(this.props.entry.savedAt).toLocaleString()}`},
+          and transcribed {lines} line{(lines === 1) ? '' : 's'} that
+          weren&apos;t submitted. Would you like to restore your work?
+        </span>
+        <span>
+          <i>Note:</i> If you select &quot;Start Over&quot;, the unsaved work
+          will be lost.
+        </span>
+        <div>
+          <button className="button" onClick={this.discard}>Start Over</button>
+          <button className="button" onClick={this.restore}>Restore</button>
+        </div>
+      </div>
+    );
+  }
+}
+
+AutosavePrompt.defaultProps = {
+  dispatch: () => {},
+  onClose: () => {},
+  subjectId: null,
+  user: null,
+};
+
+AutosavePrompt.propTypes = {
+  dispatch: PropTypes.func,
+  entry: PropTypes.shape({
+    annotations: PropTypes.array,
+    frame: PropTypes.number,
+    savedAt: PropTypes.string,
+    subjectCompletionAnswers: PropTypes.object,
+    subjectId: PropTypes.string,
+  }).isRequired,
+  onClose: PropTypes.func,
+  subjectId: PropTypes.string,
+  user: PropTypes.shape({
+    id: PropTypes.string,
+  }),
+};
+
+const mapStateToProps = (state) => {
+  return {
+    subjectId: state.subject.id,
+    user: state.login.user,
+  };
+};
+
+export default connect(mapStateToProps)(AutosavePrompt);
@@ -0,0 +1,135 @@
+/*
+Consensus Reader
+----------------
+
+A read-only, page-by-page transcript of a Subject, assembled from what
+previous volunteers have transcribed (the Caesar reductions fetched by
+fetchPreviousAnnotations()). Each line shows its most agreed upon text, and is
+coloured by how many volunteers agree on it.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { PREVIOUS_ANNOTATION_STATUS } from '../ducks/previousAnnotations';
+import { constructConsensusTranscript, CONSENSUS_LEVELS } from '../lib/construct-previous-annotations';
+import { DEFAULT_TAGS } from '../lib/transcription-markup';
+import MarkupPreview from './MarkupPreview';
+
+const LEVEL_DESCRIPTIONS = {
+  [CONSENSUS_LEVELS.HIGH]: 'Most volunteers agree',
+  [CONSENSUS_LEVELS.MEDIUM]: 'Some volunteers agree',
+  [CONSENSUS_LEVELS.LOW]: 'Few volunteers agree',
+};
+
+class ConsensusReader extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      frame: props.frame,
+    };
+  }
+
+  changePage(frame) {
+    this.setState({ frame });
+  }
+
+  renderPage(page) {
+    if (!page || !page.lines.length) {
+      return <p className="consensus-reader__empty">Nobody has transcribed this page yet.</p>;
+    }
+
+    return (
+      <ol className="consensus-reader__lines">
+        {page.lines.map((line, i) => {
+          return (
+            <li
+              className={`consensus-reader__line consensus-reader__line--${line.level}`}
+              key={`CONSENSUS_LINE_${i}`}
+              title={`${LEVEL_DESCRIPTIONS[line.level]} (consensus score: ${line.score})`}
+            >
+              <MarkupPreview tags={this.props.tags} text={line.text} />
+            </li>
+          );
+        })}
+      </ol>
+    );
+  }
+
+  render() {
+    if (this.props.status === PREVIOUS_ANNOTATION_STATUS.FETCHING) {
+      return <div className="consensus-reader"><p>Loading transcriptions...</p></div>;
+    }
+
+    const transcript = constructConsensusTranscript(this.props.reductions);
+    const pageCount = Math.max(this.props.pageCount,
+      ...transcript.map(page => page.frame + 1));
+    const page = transcript.find(p => p.frame === this.state.frame);
+
+    return (
+      <div className="consensus-reader">
+        <p>
+          This is what volunteers have transcribed so far. Where they disagree,
+          the version most of them chose is shown.
+        </p>
+
+        <ul className="consensus-reader__legend">
+          {Object.keys(LEVEL_DESCRIPTIONS).map((level) => {
+            return (
+              <li className={`consensus-reader__line--${level}`} key={`CONSENSUS_LEVEL_${level}`}>
+                {LEVEL_DESCRIPTIONS[level]}
+              </li>
+            );
+          })}
+        </ul>
+
+        {(transcript.length === 0) ? (
+          <p className="consensus-reader__empty">Nobody has transcribed this letter yet.</p>
+        ) : (
+          <div>
+            <div className="consensus-reader__pages">
+              <button disabled={this.state.frame <= 0} onClick={this.changePage.bind(this, this.state.frame - 1)}>
+                <i className="fa fa-chevron-left" /> Previous
+              </button>
+              <span>Page {this.state.frame + 1} of {pageCount}</span>
+              <button disabled={this.state.frame >= pageCount - 1} onClick={this.changePage.bind(this, this.state.frame + 1)}>
+                Next <i className="fa fa-chevron-right" />
+              </button>
+            </div>
+            {this.renderPage(page)}
+          </div>
+        )}
+      </div>
+    );
+  }
+}
+
+ConsensusReader.defaultProps = {
+  frame: 0,
+  pageCount: 1,
+  reductions: null,
+  status: PREVIOUS_ANNOTATION_STATUS.IDLE,
+  tags: DEFAULT_TAGS,
+};
+
+ConsensusReader.propTypes = {
+  frame: PropTypes.number,
+  pageCount: PropTypes.number,
+  reductions: PropTypes.arrayOf(PropTypes.object),
+  status: PropTypes.string,
+  tags: PropTypes.object,
+};
+
+const mapStateToProps = (state) => {
+  const subject = state.subject.currentSubject;
+  return {
+    frame: state.subjectViewer.frame,
+    pageCount: (subject && subject.locations) ? subject.locations.length : 1,
+    reductions: state.previousAnnotations.data,
+    status: state.previousAnnotations.status,
+    tags: state.workflow.tags,
+  };
+};
+
+export default connect(mapStateToProps)(ConsensusReader);
@@ -4,8 +4,10 @@ import { connect } from 'react-redux';
 import { toggleDialog } from '../ducks/dialog';
 import SaveClip from '../components/SaveClip';
 import { SUBJECTVIEWER_STATE } from '../ducks/subject-viewer';
+import { Utility } from '../lib/Utility';
 
 const MINIMUM_SIZE = 10;
+const MOVE_EVENT = (Utility.supportsPointerEvents()) ? 'pointermove' : 'mousemove';  //i.e. touches, too.
 
 class Crop extends React.Component {
   constructor(props) {
@@ -19,7 +21,7 @@ class Crop extends React.Component {
   }
 
   componentWillMount() {
-    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener(MOVE_EVENT, this.handleMouseMove);
   }
 
   componentWillUnmount() {
@@ -27,7 +29,7 @@ class Crop extends React.Component {
     if (points.width > MINIMUM_SIZE && points.height > MINIMUM_SIZE && this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING) {
       this.props.dispatch(toggleDialog(<SaveClip points={points} />, false, true));
     }
-    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener(MOVE_EVENT, this.handleMouseMove);
   }
 
   handleMouseMove(e) {
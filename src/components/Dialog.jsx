@@ -49,7 +49,7 @@ class Dialog extends React.Component {
         <div
           className="popup dialog"
           ref={(c) => { this.popupBody = c; }}
-          onClick={(e) => { return e.target === this.popupBody && this.close(e); }}
+          onClick={(e) => { return !this.props.isPrompt && e.target === this.popupBody && this.close(e); }}
         >
           <div className="popup-content dialog-content">
             <div className="handle">
@@ -0,0 +1,140 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import apiClient from 'panoptes-client/lib/api-client';
+import { connect } from 'react-redux';
+import { retrieveClassification } from '../ducks/classifications';
+import { fetchSubject } from '../ducks/subject';
+import { loadDrafts, removeDraft } from '../lib/classification-drafts';
+
+class DraftsManager extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.close = this.close.bind(this);
+    this.cancelDiscard = this.cancelDiscard.bind(this);
+
+    this.state = {
+      drafts: loadDrafts(props.user),
+      confirmDiscard: null,  //ID of the draft waiting for the volunteer to confirm it should be discarded.
+    };
+  }
+
+  close(e) {
+    //At the start of a session, the first Subject waits until the volunteer
+    //has decided not to resume a draft.
+    if (!this.props.currentSubjectId) {
+      this.props.dispatch(fetchSubject());
+    }
+    this.props.onClose(e);
+  }
+
+  resumeDraft(draft, e) {
+    this.props.dispatch(retrieveClassification(draft.id));
+    this.props.onClose(e);
+  }
+
+  discardDraft(draft) {
+    apiClient.type('classifications/incomplete').get({ id: draft.id })
+      .then(([classification]) => {
+        if (!classification) return undefined;  //Already gone.
+        return classification.delete();
+      })
+      .catch((err) => {
+        console.warn('DraftsManager.discardDraft() warning: ', err);
+      });
+    this.setState({
+      drafts: removeDraft(this.props.user, { id: draft.id }),
+      confirmDiscard: null,
+    });
+  }
+
+  cancelDiscard() {
+    this.setState({ confirmDiscard: null });
+  }
+
+  renderDraft(draft) {
+    const isCurrent = this.props.currentSubjectId && draft.subjectId === this.props.currentSubjectId;
+    return (
+      <li className="drafts-manager__draft" key={`DRAFT_${draft.id}`}>
+        {(draft.thumbnail)
+          ? <img alt={`Subject ${draft.subjectId}`} src={draft.thumbnail} />
+          : <div className="drafts-manager__no-thumbnail"><i className="fa fa-file-text-o" /></div>
+        }
+        <div className="drafts-manager__details">
+          <b>{(draft.subjectId) ? `Subject ${draft.subjectId}` : 'Saved transcription'}</b>
+          {draft.savedAt && (
+            <span>Saved {new Date(draft.savedAt).toLocaleString()}</span>
+          )}
+          {draft.lines !== null && (
+            <span>{draft.lines} line{(draft.lines === 1) ? '' : 's'}</span>
+          )}
+        </div>
+        {(this.state.confirmDiscard === draft.id) ? (
+          <div>
+            <span>Discard this saved transcription? It can&apos;t be recovered.</span>
+            <button className="button" onClick={this.cancelDiscard}>Keep</button>
+            <button className="button" onClick={() => { this.discardDraft(draft); }}>Discard</button>
+          </div>
+        ) : (
+          <div>
+            <button className="button" onClick={() => { this.setState({ confirmDiscard: draft.id }); }}>
+              Discard
+            </button>
+            <button className="button" disabled={isCurrent} onClick={(e) => { this.resumeDraft(draft, e); }}>
+              {(isCurrent) ? 'Open' : 'Resume'}
+            </button>
+          </div>
+        )}
+      </li>
+    );
+  }
+
+  render() {
+    return (
+      <div className="drafts-manager">
+        <h2>Your saved work</h2>
+        {(this.state.drafts.length) ? (
+          <span>
+            Pick up where you left off on any of your saved transcriptions, or
+            discard the ones you don&apos;t need any more.
+          </span>
+        ) : (
+          <span>You don&apos;t have any saved transcriptions.</span>
+        )}
+        <ul>
+          {this.state.drafts.map(draft => this.renderDraft(draft))}
+        </ul>
+        <div>
+          <button className="button" onClick={this.close}>
+            {(this.props.currentSubjectId) ? 'Continue Current Manuscript' : 'Start a New Manuscript'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+DraftsManager.defaultProps = {
+  currentSubjectId: null,
+  dispatch: () => {},
+  onClose: () => {},
+  user: null,
+};
+
+DraftsManager.propTypes = {
+  currentSubjectId: PropTypes.string,
+  dispatch: PropTypes.func,
+  onClose: PropTypes.func,
+  user: PropTypes.shape({
+    id: PropTypes.string,
+  }),
+};
+
+const mapStateToProps = (state) => {
+  return {
+    currentSubjectId: state.subject.id,
+    user: state.login.user,
+  };
+};
+
+export default connect(mapStateToProps)(DraftsManager);
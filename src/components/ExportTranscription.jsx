@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { DEFAULT_TAGS } from '../lib/transcription-markup';
+import { sortAnnotations, toJSON, toPlainText, toTEI } from '../lib/transcription-export';
+import { downloadFile } from '../lib/download-file';
+
+const FORMATS = {
+  text: { label: 'Plain Text', extension: 'txt', type: 'text/plain' },
+  tei: { label: 'TEI-XML', extension: 'xml', type: 'application/tei+xml' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+};
+
+class ExportTranscription extends React.Component {
+  exportAs(format) {
+    const { annotations, subjectId, tags } = this.props;
+    let content;
+    switch (format) {
+      case 'tei':
+        content = toTEI(annotations, subjectId, tags);
+        break;
+      case 'json':
+        content = toJSON(annotations, subjectId);
+        break;
+      default:
+        content = toPlainText(annotations);
+    }
+
+    downloadFile(content, `transcription-subject-${subjectId}.${FORMATS[format].extension}`, FORMATS[format].type);
+
+    if (this.context.googleLogger) {
+      this.context.googleLogger.logEvent({ type: `export-transcription-${format}` });
+    }
+  }
+
+  render() {
+    const lines = sortAnnotations(this.props.annotations).length;
+    return (
+      <div className="classification-prompt export-transcription">
+        <h2>Export your transcription</h2>
+        {(lines) ? (
+          <span>
+            Download the {lines} line{(lines === 1) ? '' : 's'} you&apos;ve transcribed
+            on this manuscript, in reading order.
+          </span>
+        ) : (
+          <span>You haven&apos;t transcribed any lines on this manuscript yet.</span>
+        )}
+        <div>
+          {Object.keys(FORMATS).map((format) => {
+            return (
+              <button className="button" disabled={!lines} key={format} onClick={this.exportAs.bind(this, format)}>
+                {FORMATS[format].label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+}
+
+ExportTranscription.defaultProps = {
+  annotations: [],
+  subjectId: '',
+  tags: DEFAULT_TAGS,
+};
+
+ExportTranscription.propTypes = {
+  annotations: PropTypes.arrayOf(PropTypes.object),
+  subjectId: PropTypes.string,
+  tags: PropTypes.object,
+};
+
+ExportTranscription.contextTypes = {
+  googleLogger: PropTypes.object,
+};
+
+const mapStateToProps = (state) => {
+  return {
+    annotations: state.annotations.annotations,
+    subjectId: state.subject.id,
+    tags: state.workflow.tags,
+  };
+};
+
+export default connect(mapStateToProps)(ExportTranscription);
@@ -0,0 +1,81 @@
+/*
+Image Filter
+------------
+
+An SVG <filter> that applies the image filters (see lib/image-filters.js) to
+anything that uses it, e.g. <image style={{ filter: "url('#id')" }} />. Each
+setting that isn't at its default adds a step to the filter, so they can be
+combined freely. Filters work in sRGB, so the sliders behave the way they do in
+image editors.
+
+Render this inside an <svg>'s <defs>.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { DEFAULT_IMAGE_FILTERS } from '../lib/image-filters';
+
+const THRESHOLD_SLOPE = 1000;  //Steep enough that every pixel ends up black or white.
+const LUMINANCE = '0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0.2126 0.7152 0.0722 0 0 0 0 0 1 0';
+
+/*  A step that transforms the red, green and blue channels alike.
+ */
+const transfer = (key, attributes) => {
+  return (
+    <feComponentTransfer key={key}>
+      <feFuncR {...attributes} />
+      <feFuncG {...attributes} />
+      <feFuncB {...attributes} />
+    </feComponentTransfer>
+  );
+};
+
+const ImageFilter = ({ filters, id }) => {
+  const steps = [];
+
+  if (filters.grayscale) {
+    steps.push(<feColorMatrix key="grayscale" type="saturate" values={1 - filters.grayscale} />);
+  }
+  if (filters.brightness !== 1) {
+    steps.push(transfer('brightness', { type: 'linear', slope: filters.brightness }));
+  }
+  if (filters.contrast !== 1) {
+    steps.push(transfer('contrast', { type: 'linear', slope: filters.contrast, intercept: 0.5 - (0.5 * filters.contrast) }));
+  }
+  if (filters.gamma !== 1) {
+    steps.push(transfer('gamma', { type: 'gamma', amplitude: 1, exponent: 1 / filters.gamma, offset: 0 }));
+  }
+  if (filters.threshold) {
+    steps.push(<feColorMatrix key="threshold-luminance" type="matrix" values={LUMINANCE} />);
+    steps.push(transfer('threshold', {
+      type: 'linear', slope: THRESHOLD_SLOPE, intercept: -THRESHOLD_SLOPE * filters.threshold,
+    }));
+  }
+  if (filters.invert) {
+    steps.push(transfer('invert', { type: 'table', tableValues: '1 0' }));
+  }
+
+  return (
+    <filter id={id} colorInterpolationFilters="sRGB">
+      {steps}
+    </filter>
+  );
+};
+
+ImageFilter.propTypes = {
+  filters: PropTypes.shape({
+    brightness: PropTypes.number,
+    contrast: PropTypes.number,
+    gamma: PropTypes.number,
+    grayscale: PropTypes.number,
+    invert: PropTypes.bool,
+    threshold: PropTypes.number,
+  }),
+  id: PropTypes.string.isRequired,
+};
+
+ImageFilter.defaultProps = {
+  filters: DEFAULT_IMAGE_FILTERS,
+};
+
+export default ImageFilter;
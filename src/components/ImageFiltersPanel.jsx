@@ -0,0 +1,156 @@
+/*
+Image Filters Panel
+-------------------
+
+Sliders for the image filters (see lib/image-filters.js). Changes show on the
+Subject straight away, and are kept for every Subject after this one.
+
+Also has a slider to straighten a tilted page (see setSkew() in
+ducks/subject-viewer.js), which only applies to the current Subject.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import {
+  changeSkew, getSkew, resetImageFilters, setImageFilters, setSkew, MAX_ANGLE, SKEW_STEP,
+} from '../ducks/subject-viewer';
+import { isDefaultImageFilters, DEFAULT_IMAGE_FILTERS, IMAGE_FILTERS } from '../lib/image-filters';
+
+class ImageFiltersPanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.resetAll = this.resetAll.bind(this);
+    this.toggleInvert = this.toggleInvert.bind(this);
+    this.changeSkew = this.changeSkew.bind(this);
+  }
+
+  changeFilter(name, e) {
+    this.props.dispatch(setImageFilters({ [name]: parseFloat(e.target.value) }));
+  }
+
+  toggleInvert() {
+    this.props.dispatch(setImageFilters({ invert: !this.props.imageFilters.invert }));
+  }
+
+  resetAll() {
+    this.props.dispatch(resetImageFilters());
+  }
+
+  changeSkew(e) {
+    this.props.dispatch(setSkew(parseFloat(e.target.value)));
+  }
+
+  stepSkew(step) {
+    this.props.dispatch(changeSkew(step));
+  }
+
+  renderSkew() {
+    const skew = getSkew(this.props.rotation);
+    return (
+      <div className="image-filters-panel__filter">
+        <label htmlFor="image-filters-skew">Straighten</label>
+        <button onClick={this.stepSkew.bind(this, -SKEW_STEP)} title={`Rotate ${SKEW_STEP}° anticlockwise`}>
+          <i className="fa fa-undo" />
+        </button>
+        <input
+          id="image-filters-skew"
+          type="range"
+          min={-MAX_ANGLE}
+          max={MAX_ANGLE}
+          step={SKEW_STEP}
+          value={skew}
+          onChange={this.changeSkew}
+        />
+        <button onClick={this.stepSkew.bind(this, SKEW_STEP)} title={`Rotate ${SKEW_STEP}° clockwise`}>
+          <i className="fa fa-repeat" />
+        </button>
+        <span className="image-filters-panel__value">{skew.toFixed(1)}&deg;</span>
+      </div>
+    );
+  }
+
+  renderSlider(name) {
+    const range = IMAGE_FILTERS[name];
+    const value = this.props.imageFilters[name];
+    const inputId = `image-filters-${name}`;
+    let valueLabel = value.toFixed(2);
+    if (name === 'threshold' && !value) valueLabel = 'Off';
+
+    return (
+      <div className="image-filters-panel__filter" key={name}>
+        <label htmlFor={inputId}>{range.label}</label>
+        <input
+          id={inputId}
+          type="range"
+          min={range.min}
+          max={range.max}
+          step={range.step}
+          value={value}
+          onChange={this.changeFilter.bind(this, name)}
+        />
+        <span className="image-filters-panel__value">{valueLabel}</span>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div className="image-filters-panel">
+        <p>
+          Adjust the image to make faded or faint writing easier to read. Your
+          settings are kept for every page.
+        </p>
+        {Object.keys(IMAGE_FILTERS).map(name => this.renderSlider(name))}
+        <div className="image-filters-panel__filter">
+          <label htmlFor="image-filters-invert">Invert Colors</label>
+          <input
+            id="image-filters-invert"
+            type="checkbox"
+            checked={this.props.imageFilters.invert}
+            onChange={this.toggleInvert}
+          />
+        </div>
+        <button
+          className="button"
+          disabled={isDefaultImageFilters(this.props.imageFilters)}
+          onClick={this.resetAll}
+        >
+          Reset
+        </button>
+        <hr />
+        <p>Rotate the page a little at a time to level a tilted scan. This only applies to this page.</p>
+        {this.renderSkew()}
+      </div>
+    );
+  }
+}
+
+ImageFiltersPanel.defaultProps = {
+  dispatch: () => {},
+  imageFilters: DEFAULT_IMAGE_FILTERS,
+  rotation: 0,
+};
+
+ImageFiltersPanel.propTypes = {
+  dispatch: PropTypes.func,
+  imageFilters: PropTypes.shape({
+    brightness: PropTypes.number,
+    contrast: PropTypes.number,
+    gamma: PropTypes.number,
+    grayscale: PropTypes.number,
+    invert: PropTypes.bool,
+    threshold: PropTypes.number,
+  }),
+  rotation: PropTypes.number,
+};
+
+const mapStateToProps = (state) => {
+  return {
+    imageFilters: state.subjectViewer.imageFilters,
+    rotation: state.subjectViewer.rotation,
+  };
+};
+
+export default connect(mapStateToProps)(ImageFiltersPanel);
@@ -0,0 +1,75 @@
+/*
+Keyboard Cursor
+---------------
+
+The crosshair used to draw Annotations with the keyboard (see
+SubjectViewer.handleKeyDown). It's drawn in Subject image coordinates, but is
+scaled so it stays the same size on screen at any zoom level. If a line is in
+progress, the line to the cursor from the last placed point is shown too.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const CROSSHAIR_SIZE = 16;  //In screen pixels.
+const CROSSHAIR_GAP = 4;
+const COLOR = '#00CED1';
+
+const KeyboardCursor = ({ annotationInProgress, imageSize, position, scaling }) => {
+  if (!position) return null;
+
+  const size = CROSSHAIR_SIZE / scaling;
+  const gap = CROSSHAIR_GAP / scaling;
+  const strokeWidth = 2 / scaling;
+  const points = (annotationInProgress && annotationInProgress.points) || [];
+  const lastPoint = points[points.length - 1];
+  const { x, y } = position;
+
+  return (
+    <g
+      className="keyboard-cursor"
+      transform={`translate(${-imageSize.width / 2}, ${-imageSize.height / 2})`}
+      pointerEvents="none"
+    >
+      {lastPoint && (
+        <line
+          x1={lastPoint.x} y1={lastPoint.y} x2={x} y2={y}
+          stroke={COLOR} strokeWidth={strokeWidth} strokeDasharray={`${size / 2} ${size / 4}`}
+        />
+      )}
+      <circle cx={x} cy={y} r={size} fill="none" stroke="#fff" strokeWidth={strokeWidth * 3} />
+      <circle cx={x} cy={y} r={size} fill="none" stroke={COLOR} strokeWidth={strokeWidth} />
+      <line x1={x - size - gap} y1={y} x2={x - gap} y2={y} stroke={COLOR} strokeWidth={strokeWidth} />
+      <line x1={x + gap} y1={y} x2={x + size + gap} y2={y} stroke={COLOR} strokeWidth={strokeWidth} />
+      <line x1={x} y1={y - size - gap} x2={x} y2={y - gap} stroke={COLOR} strokeWidth={strokeWidth} />
+      <line x1={x} y1={y + gap} x2={x} y2={y + size + gap} stroke={COLOR} strokeWidth={strokeWidth} />
+    </g>
+  );
+};
+
+KeyboardCursor.propTypes = {
+  annotationInProgress: PropTypes.shape({
+    points: PropTypes.arrayOf(PropTypes.shape({
+      x: PropTypes.number,
+      y: PropTypes.number,
+    })),
+  }),
+  imageSize: PropTypes.shape({
+    width: PropTypes.number,
+    height: PropTypes.number,
+  }),
+  position: PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+  }),
+  scaling: PropTypes.number,
+};
+
+KeyboardCursor.defaultProps = {
+  annotationInProgress: null,
+  imageSize: { width: 0, height: 0 },
+  position: null,
+  scaling: 1,
+};
+
+export default KeyboardCursor;
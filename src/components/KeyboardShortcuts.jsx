@@ -1,38 +1,204 @@
+/*
+Keyboard Shortcuts
+------------------
+
+Lists every keyboard shortcut (see lib/shortcuts.js), and lets volunteers
+change them. To change a shortcut, click its Change button and press the new
+keys (or Esc to stop). Keys that another command already uses at the same time
+aren't accepted. Changes are saved in the volunteer's project preferences.
+ */
+
 import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { saveShortcuts } from '../ducks/project';
+import { KEY_CODES, Utility } from '../lib/Utility';
+import {
+  bindingFromEvent, findConflict, formatBinding, getShortcuts, setRecordingShortcut, SHORTCUT_GROUPS,
+} from '../lib/shortcuts';
+import { DEFAULT_TAGS } from '../lib/transcription-markup';
+
+class KeyboardShortcuts extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      message: null,
+      recording: null,
+    };
+
+    this.pendingBinding = null;
+    this.recordKeyDown = this.recordKeyDown.bind(this);
+    this.recordShortcut = this.recordShortcut.bind(this);
+    this.stopRecording = this.stopRecording.bind(this);
+    this.resetAll = this.resetAll.bind(this);
+  }
+
+  componentWillUnmount() {
+    this.removeListeners();
+  }
+
+  startRecording(id) {
+    this.removeListeners();
+    setRecordingShortcut(true);
+    document.addEventListener('keydown', this.recordKeyDown);
+    document.addEventListener('keyup', this.recordShortcut);
+    this.setState({ message: null, recording: id });
+  }
+
+  stopRecording() {
+    this.removeListeners();
+    this.setState({ recording: null });
+  }
+
+  removeListeners() {
+    setRecordingShortcut(false);
+    this.pendingBinding = null;
+    document.removeEventListener('keydown', this.recordKeyDown);
+    document.removeEventListener('keyup', this.recordShortcut);
+  }
+
+  /*  The keys are read on keydown, while the modifiers are still held, but
+      only used on keyup, after any other shortcut listeners have seen (and
+      ignored) them. A keyup without a keydown, e.g. from the Enter that
+      pressed the Change button, is ignored.
+   */
+  recordKeyDown(e) {
+    const binding = bindingFromEvent(e);
+    if (binding) {
+      this.pendingBinding = binding;
+      Utility.stopEvent(e);
+    }
+  }
+
+  recordShortcut(e) {
+    const binding = this.pendingBinding;
+    if (!binding) return;  //e.g. only a modifier key was released.
+    Utility.stopEvent(e);
+
+    if (Utility.getKeyCode(e) === KEY_CODES.ESCAPE) {
+      this.stopRecording();
+      return;
+    }
+
+    const id = this.state.recording;
+    const conflict = findConflict(id, binding, this.props.shortcuts, this.props.tags);
+    this.stopRecording();
+    if (conflict) {
+      this.setState({
+        message: `${formatBinding(binding)} is already used for "${conflict.description}".`,
+      });
+      return;
+    }
+    this.changeShortcut(id, binding);
+  }
+
+  getDefaultBinding(id) {
+    const shortcut = getShortcuts({}, this.props.tags).find(s => s.id === id);
+    return (shortcut) ? shortcut.binding : '';
+  }
+
+  changeShortcut(id, binding) {
+    const shortcuts = Object.assign({}, this.props.shortcuts);
+    if (binding === this.getDefaultBinding(id)) {
+      delete shortcuts[id];
+    } else {
+      shortcuts[id] = binding;
+    }
+    this.props.dispatch(saveShortcuts(shortcuts));
+  }
+
+  resetShortcut(id) {
+    const binding = this.getDefaultBinding(id);
+    const conflict = findConflict(id, binding, this.props.shortcuts, this.props.tags);
+    if (conflict) {
+      this.setState({
+        message: `The default keys, ${formatBinding(binding)}, are now used for "${conflict.description}".`,
+      });
+      return;
+    }
+    this.setState({ message: null });
+    this.changeShortcut(id, binding);
+  }
+
+  resetAll() {
+    this.stopRecording();
+    this.setState({ message: null });
+    this.props.dispatch(saveShortcuts({}));
+  }
+
+  renderShortcut(shortcut) {
+    const recording = this.state.recording === shortcut.id;
+    let keys = (shortcut.binding) ? formatBinding(shortcut.binding) : 'none';
+    if (recording) keys = 'Press the new keys...';
+
+    return (
+      <tr key={shortcut.id}>
+        <td>{keys}</td>
+        <td>{shortcut.description}</td>
+        <td className="keyboard-shortcuts__buttons">
+          <button
+            onClick={(recording) ? this.stopRecording : this.startRecording.bind(this, shortcut.id)}
+          >
+            {(recording) ? 'Cancel' : 'Change'}
+          </button>
+          {shortcut.binding !== shortcut.defaultBinding && (
+            <button onClick={this.resetShortcut.bind(this, shortcut.id)}>Reset</button>
+          )}
+        </td>
+      </tr>
+    );
+  }
+
+  render() {
+    const shortcuts = getShortcuts(this.props.shortcuts, this.props.tags);
+
+    return (
+      <div className="keyboard-shortcuts">
+        <h2>Keyboard Shortcuts</h2>
+        {this.state.message && (
+          <p className="keyboard-shortcuts__message" role="alert">{this.state.message}</p>
+        )}
+        <table>
+          {SHORTCUT_GROUPS.map((group) => {
+            return (
+              <tbody key={group.context}>
+                <tr>
+                  <th colSpan="3">{group.title}</th>
+                </tr>
+                {shortcuts
+                  .filter(shortcut => shortcut.context === group.context)
+                  .map(shortcut => this.renderShortcut(shortcut))}
+              </tbody>
+            );
+          })}
+        </table>
+        <button className="button" onClick={this.resetAll}>Reset All Shortcuts</button>
+      </div>
+    );
+  }
+}
+
+KeyboardShortcuts.defaultProps = {
+  dispatch: () => {},
+  shortcuts: {},
+  tags: DEFAULT_TAGS,
+};
+
+KeyboardShortcuts.propTypes = {
+  dispatch: PropTypes.func,
+  shortcuts: PropTypes.objectOf(PropTypes.string),
+  tags: PropTypes.objectOf(PropTypes.shape({
+    label: PropTypes.string,
+    shortcut: PropTypes.string,
+  })),
+};
 
-const KeyboardShortcuts = () => {
-  return (
-    <div className="keyboard-shortcuts">
-      <h2>Keyboard Shortcuts</h2>
-      <table>
-        <tbody>
-          <tr>
-            <th>When Annotating</th>
-          </tr>
-          <tr>
-            <td>m</td>
-            <td>Toggle Previous Marks</td>
-          </tr>
-          <tr>
-            <td>a</td>
-            <td>Toggle Navigate and Transcribe</td>
-          </tr>
-          <tr>
-            <th>When Transcribing</th>
-          </tr>
-          <tr>
-            <td>ctrl + enter</td>
-            <td>Submit Classifications</td>
-          </tr>
-          <tr>
-            <td>esc</td>
-            <td>Close and Cancel Transcription Box</td>
-          </tr>
-        </tbody>
-      </table>
-    </div>
-
-  );
+const mapStateToProps = (state) => {
+  return {
+    shortcuts: state.project.shortcuts,
+    tags: state.workflow.tags,
+  };
 };
 
-export default KeyboardShortcuts;
+export default connect(mapStateToProps)(KeyboardShortcuts);
@@ -0,0 +1,99 @@
+/*
+Loupe
+-----
+
+A circular magnifier that follows the pointer around the Subject Viewer. It
+shows a magnified copy (an SVG <use>) of the Subject Viewer's contents, so the
+Subject is rotated and filtered exactly as it is underneath, and the marks are
+shown too. The copy is magnified around the pointer, so whatever is in the
+middle of the loupe is exactly where a click would place a point.
+
+The loupe doesn't catch any pointer events itself; everything works as usual
+underneath it.
+
+Render this inside the Subject Viewer's <svg>, whose (0,0) origin is at its
+centre.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Utility } from '../lib/Utility';
+
+const LOUPE_RADIUS = 90;  //In screen pixels.
+const CLIP_PATH_ID = 'loupe-clip';
+const MOVE_EVENT = (Utility.supportsPointerEvents()) ? 'pointermove' : 'mousemove';  //i.e. touches, too.
+
+class Loupe extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.handleMove = this.handleMove.bind(this);
+    this.state = {
+      position: null,  //The pointer's position on the Subject Viewer, if it's over it.
+    };
+  }
+
+  componentWillMount() {
+    document.addEventListener(MOVE_EVENT, this.handleMove);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener(MOVE_EVENT, this.handleMove);
+  }
+
+  handleMove(e) {
+    const position = this.props.getPointerXY(e);
+    const inViewer = position.x >= 0 && position.y >= 0 &&
+      position.x <= this.props.viewerSize.width && position.y <= this.props.viewerSize.height;
+    if (inViewer) {
+      this.setState({ position });
+    } else if (this.state.position) {
+      this.setState({ position: null });
+    }
+  }
+
+  render() {
+    if (!this.state.position) return null;
+
+    const x = this.state.position.x - (this.props.viewerSize.width / 2);
+    const y = this.state.position.y - (this.props.viewerSize.height / 2);
+    const zoom = this.props.zoom;
+
+    return (
+      <g className="loupe" pointerEvents="none">
+        <defs>
+          <clipPath id={CLIP_PATH_ID}>
+            <circle cx={x} cy={y} r={LOUPE_RADIUS} />
+          </clipPath>
+        </defs>
+        <g clipPath={`url(#${CLIP_PATH_ID})`}>
+          <circle className="loupe__background" cx={x} cy={y} r={LOUPE_RADIUS} />
+          <g transform={`translate(${x}, ${y}) scale(${zoom}) translate(${-x}, ${-y})`}>
+            <use xlinkHref={`#${this.props.contentId}`} />
+          </g>
+        </g>
+        <circle className="loupe__border" cx={x} cy={y} r={LOUPE_RADIUS} />
+      </g>
+    );
+  }
+}
+
+Loupe.propTypes = {
+  contentId: PropTypes.string.isRequired,
+  getPointerXY: PropTypes.func.isRequired,
+  viewerSize: PropTypes.shape({
+    width: PropTypes.number,
+    height: PropTypes.number,
+  }),
+  zoom: PropTypes.number,
+};
+
+Loupe.defaultProps = {
+  viewerSize: {
+    width: 0,
+    height: 0,
+  },
+  zoom: 2,
+};
+
+export default Loupe;
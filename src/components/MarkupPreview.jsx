@@ -0,0 +1,75 @@
+/*
+Markup Preview
+--------------
+
+Renders transcription text with its markup applied, e.g. "[deletion]word[/deletion]"
+is shown as struck-through text, so volunteers can see what their tags mean.
+
+Set `svg` to render <tspan>s for use inside an SVG <text> element, instead of
+HTML elements. Tags without a style of their own (e.g. ones added in the
+workflow's configuration) are rendered as plain spans with a
+`markup-preview__<name>` class, and self-closing ones as their label.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { parseMarkup, DEFAULT_TAGS } from '../lib/transcription-markup';
+
+const MARKERS = {
+  unclear: '[?]',
+};
+
+const HTML_STYLES = {
+  deletion: 'del',
+  insertion: 'sup',
+  underline: 'u',
+};
+
+const SVG_STYLES = {
+  deletion: { textDecoration: 'line-through' },
+  insertion: { baselineShift: 'super', fontSize: '0.7em' },
+  underline: { textDecoration: 'underline' },
+};
+
+const renderNode = (node, key, svg, tags) => {
+  if (node.type === 'text') return node.value;
+
+  const children = node.children.map((child, i) => renderNode(child, `${key}.${i}`, svg, tags));
+
+  if (node.selfClosing) {
+    const marker = MARKERS[node.name] || tags[node.name].label;
+    return (svg)
+      ? <tspan key={key} className={`markup-preview__${node.name}`} fontStyle="italic">{marker}</tspan>
+      : <span key={key} className={`markup-preview__${node.name} markup-preview__marker`} title={node.name}>{marker}</span>;
+  }
+
+  if (svg) {
+    return <tspan key={key} style={SVG_STYLES[node.name]}>{children}</tspan>;
+  }
+  const Element = HTML_STYLES[node.name] || 'span';
+  return <Element key={key} className={`markup-preview__${node.name}`}>{children}</Element>;
+};
+
+const MarkupPreview = ({ className, svg, tags, text }) => {
+  const { ast } = parseMarkup(text, tags);
+  const children = ast.children.map((child, i) => renderNode(child, `${i}`, svg, tags));
+
+  if (svg) return <tspan className={className}>{children}</tspan>;
+  return <span className={`markup-preview ${className}`}>{children}</span>;
+};
+
+MarkupPreview.propTypes = {
+  className: PropTypes.string,
+  svg: PropTypes.bool,
+  tags: PropTypes.object,
+  text: PropTypes.string,
+};
+
+MarkupPreview.defaultProps = {
+  className: '',
+  svg: false,
+  tags: DEFAULT_TAGS,
+  text: '',
+};
+
+export default MarkupPreview;
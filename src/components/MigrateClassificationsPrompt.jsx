@@ -0,0 +1,88 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { migrateAnonymousClassifications } from '../ducks/classifications-queue';
+
+class MigrateClassificationsPrompt extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.migrate = this.migrate.bind(this);
+
+    this.state = {
+      migrated: null,  //Summaries of the migrated Classifications, once done.
+    };
+  }
+
+  migrate() {
+    this.props.dispatch(migrateAnonymousClassifications())
+      .then((migrated) => {
+        this.setState({ migrated });
+      });
+  }
+
+  renderReport() {
+    const migrated = this.state.migrated;
+    return (
+      <div className="classification-prompt">
+        <h2>{(migrated.length) ? 'Your work has been added to your account' : 'Nothing was added'}</h2>
+        {(migrated.length > 0) ? (
+          <ul>
+            {migrated.map((summary, i) => {
+              return (
+                <li key={`MIGRATED_${i}`}>
+                  Subject {summary.subjectId || 'unknown'}: {summary.lines} line{(summary.lines === 1) ? '' : 's'}
+                  {summary.timestamp && ` (${new Date(summary.timestamp).toLocaleString()})`}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <span>Your transcriptions couldn&apos;t be moved to your account. They&apos;re still saved on this computer.</span>
+        )}
+        <div>
+          <button className="button" onClick={this.props.onClose}>OK</button>
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    if (this.state.migrated) return this.renderReport();
+
+    const count = this.props.count;
+    return (
+      <div className="classification-prompt">
+        <h2>We found work from before you signed in!</h2>
+        <span>
+          There {(count === 1) ? 'is 1 transcription' : `are ${count} transcriptions`} on
+          this computer that you made while signed out, which haven&apos;t been sent yet.
+          Would you like to add {(count === 1) ? 'it' : 'them'} to your account?
+        </span>
+        <span>
+          <i>Note:</i> If you select &quot;Not Now&quot;, {(count === 1) ? 'it' : 'they'} will
+          stay on this computer. We&apos;ll ask again the next time you sign in, or
+          you can add {(count === 1) ? 'it' : 'them'} from Pending Submissions.
+        </span>
+        <div>
+          <button className="button" onClick={this.props.onClose}>Not Now</button>
+          <button className="button" onClick={this.migrate}>Add to My Account</button>
+        </div>
+      </div>
+    );
+  }
+}
+
+MigrateClassificationsPrompt.defaultProps = {
+  count: 0,
+  dispatch: () => {},
+  onClose: () => {},
+};
+
+MigrateClassificationsPrompt.propTypes = {
+  count: PropTypes.number,
+  dispatch: PropTypes.func,
+  onClose: PropTypes.func,
+};
+
+export default connect()(MigrateClassificationsPrompt);
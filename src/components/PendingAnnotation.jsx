@@ -34,13 +34,12 @@ class PendingAnnotation extends React.Component {
     let pendingPoint = null;
     let pendingLine = null;
     const i = this.props.annotationInProgress.points.length;
-
-    const point = this.props.annotationInProgress.points[i];
     let fill = "#00CED1";
 
-    if (this.state.pointer) {
+    //The pending line always runs from the last placed point to the pointer,
+    //however many points the line already has.
+    if (this.state.pointer && i > 0) {
       const prevPoint = this.props.annotationInProgress.points[i - 1];
-      const beforePoint = this.props.annotationInProgress.points[i - 2];
       pendingPoint = (
         <circle
           key="PENDING_POINT"
@@ -0,0 +1,210 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import {
+  discardQueuedClassification, discardRejectedClassification, migrateAnonymousClassifications,
+  saveQueuedClassifications, QUEUE_STATUS,
+} from '../ducks/classifications-queue';
+import { loadQueue, loadRejected, summariseClassification } from '../lib/classifications-queue';
+import { downloadFile } from '../lib/download-file';
+
+const downloadJSON = (data, filename) => {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+};
+
+const formatTimestamp = (timestamp) => {
+  return (timestamp) ? new Date(timestamp).toLocaleString() : 'Unknown time';
+};
+
+class PendingSubmissions extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.retryAll = this.retryAll.bind(this);
+    this.downloadAll = this.downloadAll.bind(this);
+    this.cancelDiscard = this.cancelDiscard.bind(this);
+    this.migrate = this.migrate.bind(this);
+
+    this.state = {
+      confirmDiscard: null,  //Key of the item waiting for the volunteer to confirm it should be discarded.
+    };
+  }
+
+  retryAll() {
+    this.props.dispatch(saveQueuedClassifications());
+  }
+
+  discardQueued(classification) {
+    this.setState({ confirmDiscard: null });
+    this.props.dispatch(discardQueuedClassification(classification));
+  }
+
+  discardRejected(index) {
+    this.setState({ confirmDiscard: null });
+    this.props.dispatch(discardRejectedClassification(index));
+  }
+
+  migrate() {
+    this.props.dispatch(migrateAnonymousClassifications());
+  }
+
+  cancelDiscard() {
+    this.setState({ confirmDiscard: null });
+  }
+
+  downloadAll() {
+    downloadJSON({
+      queued: loadQueue(this.props.user),
+      rejected: loadRejected(this.props.user),
+    }, 'pending-transcriptions.json');
+  }
+
+  /*  Discarding can't be undone, so the Discard button asks for confirmation
+      in place, before calling `discard`.
+   */
+  renderItem(classification, key, discard, error) {
+    const summary = summariseClassification(classification);
+    const confirming = this.state.confirmDiscard === key;
+    return (
+      <li className="pending-submissions__item" key={key}>
+        <div>
+          <b>Subject {summary.subjectId || 'unknown'}</b>
+          <span>{formatTimestamp(summary.timestamp)}</span>
+          <span>{summary.lines} line{(summary.lines === 1) ? '' : 's'}</span>
+          {error && (
+            <span className="pending-submissions__error">{error.message}</span>
+          )}
+        </div>
+        {(confirming) ? (
+          <div>
+            <span>Discard this transcription? It can&apos;t be recovered.</span>
+            <button onClick={this.cancelDiscard}>Keep</button>
+            <button onClick={discard}>Discard</button>
+          </div>
+        ) : (
+          <div>
+            <button
+              onClick={() => { downloadJSON(classification, `transcription-subject-${summary.subjectId}.json`); }}
+            >
+              Download
+            </button>
+            <button
+              disabled={!error && this.props.queueStatus === QUEUE_STATUS.SAVING}
+              onClick={() => { this.setState({ confirmDiscard: key }); }}
+            >
+              Discard
+            </button>
+          </div>
+        )}
+      </li>
+    );
+  }
+
+  render() {
+    const saving = this.props.queueStatus === QUEUE_STATUS.SAVING;
+    const queue = loadQueue(this.props.user);
+    const rejected = loadRejected(this.props.user);
+    //Work done while signed out, that the volunteer chose not to add to their
+    //account when they signed in (see MigrateClassificationsPrompt).
+    const anonymousLength = (this.props.user) ? loadQueue(null).length : 0;
+
+    return (
+      <div className="pending-submissions">
+        <p>
+          These transcriptions are saved on this computer, but haven&apos;t been
+          sent yet. We&apos;ll keep trying to send them in the background.
+        </p>
+
+        {this.props.queueError && this.props.queueLength > 0 && (
+          <p className="pending-submissions__error">
+            The last attempt failed: {this.props.queueError.message}
+          </p>
+        )}
+
+        {anonymousLength > 0 && (
+          <p>
+            There {(anonymousLength === 1) ? 'is 1 transcription' : `are ${anonymousLength} transcriptions`} on
+            this computer that you made while signed out.
+            <button className="button" disabled={saving} onClick={this.migrate}>Add to My Account</button>
+          </p>
+        )}
+
+        {this.props.queueLength === 0 && this.props.rejectedLength === 0 && (
+          <p>Everything has been sent!</p>
+        )}
+
+        <ul>
+          {queue.map((classification, i) => {
+            return this.renderItem(classification, `QUEUED_${i}`, () => { this.discardQueued(classification); });
+          })}
+        </ul>
+
+        {this.props.rejectedLength > 0 && (
+          <div>
+            <h3>Rejected</h3>
+            <p>
+              These transcriptions couldn&apos;t be accepted, so they won&apos;t
+              be sent again. You can download them to keep a copy of your work.
+            </p>
+            <ul>
+              {rejected.map((item, i) => {
+                return this.renderItem(
+                  item.classification, `REJECTED_${i}`, () => { this.discardRejected(i); }, item.error,
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        <div className="pending-submissions__buttons">
+          <button className="button" disabled={saving || this.props.queueLength === 0} onClick={this.retryAll}>
+            {(saving) ? 'Sending...' : 'Retry Now'}
+          </button>
+          <button
+            className="button"
+            disabled={this.props.queueLength === 0 && this.props.rejectedLength === 0}
+            onClick={this.downloadAll}
+          >
+            Download All
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+PendingSubmissions.defaultProps = {
+  dispatch: () => {},
+  queueError: null,
+  queueLength: 0,
+  queueStatus: QUEUE_STATUS.IDLE,
+  rejectedLength: 0,
+  user: null,
+};
+
+PendingSubmissions.propTypes = {
+  dispatch: PropTypes.func,
+  queueError: PropTypes.shape({
+    message: PropTypes.string,
+  }),
+  queueLength: PropTypes.number,
+  queueStatus: PropTypes.string,
+  rejectedLength: PropTypes.number,
+  user: PropTypes.shape({
+    id: PropTypes.string,
+  }),
+};
+
+//The queue itself lives in localStorage; its length (kept up to date in the
+//store) is what re-renders the list whenever it changes.
+const mapStateToProps = (state) => {
+  return {
+    queueError: state.classificationsQueue.lastError,
+    queueLength: state.classificationsQueue.length,
+    queueStatus: state.classificationsQueue.status,
+    rejectedLength: state.classificationsQueue.rejectedLength,
+    user: state.login.user,
+  };
+};
+
+export default connect(mapStateToProps)(PendingSubmissions);
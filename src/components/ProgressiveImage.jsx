@@ -0,0 +1,350 @@
+/*
+Progressive Image
+-----------------
+
+Like SVGImage, but for large scans: it shows a blurry version straight away,
+then sharper parts of it as they're needed.
+
+1. A small placeholder from the thumbnail service (see getThumbnailSource()) is
+   shown first, stretched to the full size of the image.
+2. Sharper tiles are loaded for the part of the image that's on screen, at a
+   resolution to suit the scaling, i.e. about one image pixel per screen pixel.
+   Resolutions come in "levels": level 0 is the original image, level 1 is half
+   its width and height, level 2 a quarter, and so on (see lib/image-tiles.js).
+   Which tiles are on screen is worked out from the Subject Viewer's transform,
+   given as `viewport`; without one, the whole image is.
+3. As the volunteer zooms in, tiles of sharper levels are loaded, and shown on
+   top of the blurrier ones as they arrive. Panning loads the tiles that come
+   into view, and stops loading the ones that have gone out of it.
+
+Tiles come from the IIIF Image API server in config.tileServer. Without one, or
+if a tile can't be loaded, the thumbnail service is used instead: it can only
+resize whole images, so every level is the whole page, and zooming in far
+enough loads the whole original. Zooming out keeps the sharpest one so far.
+
+Annotations are measured against the original image, so nothing can be shown
+until its size is known. If it's known already (e.g. from the Subject's image
+metadata, once a page has been shown before), it's given as `size`, and all of
+the above applies. Otherwise, the original is loaded first to find out, and
+it's shown as soon as it arrives; the placeholder and levels only help once
+the size is known. Either way, onLoad() is called with the size, i.e.
+{ width, height }.
+
+If a level can't be loaded (e.g. the thumbnail service can't reach the image,
+as with images served locally), the next sharper level is used instead.
+
+Usage:
+  <svg>
+    <ProgressiveImage
+      src="example.jpg"
+      scaling={0.5}
+      viewport={{
+        scaling: 0.5, translationX: 0, translationY: 0, rotation: 0,
+        viewerSize: { width: 800, height: 600 },
+      }}
+      onLoad={(size) => { console.log(size.width, size.height); }}
+    />
+  </svg>
+
+NOTE: like SVGImage, the image is centred on the (0,0) origin.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import SubjectLoading from './SubjectLoading';
+import { config } from '../config';
+import { getThumbnailSource } from '../lib/get-subject-location';
+import {
+  getLevelCount, getLevelForScaling, getLevelSource, getTiles, getTileSource, getVisibleRegion,
+} from '../lib/image-tiles';
+
+const isKnownSize = size => !!(size && size.width && size.height);
+
+export default class ProgressiveImage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: false,
+      placeholder: false,  //Whether the placeholder has loaded.
+      size: null,  //The original image's size, once it's known.
+      level: null,  //The sharpest whole level loaded so far.
+      tiles: {},  //The tiles loaded so far, by key.
+    };
+
+    //Images that are no longer wanted are simply forgotten; their onload and
+    //onerror check that they're still the ones being waited for.
+    this.placeholder = null;
+    this.placeholderFailed = false;
+    this.sizeTimer = null;
+    this.loading = null;  //The whole level being loaded, i.e. { image, level }.
+    this.loadingTiles = {};  //The tiles being loaded, i.e. an Image for each key.
+    this.tilesFailed = false;
+    this.failedLevels = {};
+  }
+
+  componentDidMount() {
+    this.load(this.props.src, this.props.size);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.src !== this.props.src) {
+      this.load(nextProps.src, nextProps.size);
+    }
+  }
+
+  componentDidUpdate() {
+    this.loadImages();
+  }
+
+  componentWillUnmount() {
+    this.stop();
+  }
+
+  onSize(size, level) {
+    this.sizeTimer = null;
+
+    //The viewer fits itself to the image here, so the scaling is up to date
+    //when the level is chosen.
+    if (this.props.onLoad) this.props.onLoad(size);
+    this.setState({ size, level });
+  }
+
+  onError(err) {
+    this.stop();
+    if (this.props.onError) this.props.onError(err);
+    this.setState({ error: true });
+  }
+
+  /*  The level that suits the scaling, or null if the placeholder will do.
+   */
+  getLevel() {
+    const levelCount = getLevelCount(this.state.size);
+    const pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const level = getLevelForScaling(this.props.scaling, levelCount, pixelRatio);
+    return (level === null && this.placeholderFailed) ? levelCount - 1 : level;
+  }
+
+  getVisibleTiles(level) {
+    return getTiles(this.state.size, level, getVisibleRegion(this.state.size, this.props.viewport));
+  }
+
+  stop() {
+    clearTimeout(this.sizeTimer);
+    this.placeholder = null;
+    this.loading = null;
+    this.loadingTiles = {};
+    this.sizeTimer = null;
+  }
+
+  load(src, size) {
+    this.stop();
+    this.failedLevels = {};
+    this.placeholderFailed = false;
+    this.tilesFailed = false;
+    this.setState({ error: !src, placeholder: false, size: null, level: null, tiles: {} });
+    if (!src) return;
+
+    const placeholder = new Image();
+    placeholder.onload = () => {
+      if (this.placeholder === placeholder) this.setState({ placeholder: true });
+    };
+    placeholder.onerror = () => {
+      if (this.placeholder !== placeholder) return;
+      this.placeholderFailed = true;
+      this.loadImages();
+    };
+    this.placeholder = placeholder;
+    placeholder.src = getThumbnailSource(src);
+
+    if (isKnownSize(size)) {
+      //Like a loaded image, the size is reported once this render is over.
+      const knownSize = { width: size.width, height: size.height };
+      this.sizeTimer = setTimeout(() => { this.onSize(knownSize, null); }, 0);
+      return;
+    }
+
+    const loading = { image: new Image(), level: 0 };
+    loading.image.onload = () => {
+      if (this.loading !== loading) return;
+      this.loading = null;
+      this.onSize({ width: loading.image.naturalWidth || 1, height: loading.image.naturalHeight || 1 }, 0);
+    };
+    loading.image.onerror = (err) => {
+      if (this.loading === loading) this.onError(err);
+    };
+    this.loading = loading;
+    loading.image.src = src;
+  }
+
+  loadImages() {
+    if (!this.state.size || this.state.error) return;
+    if (config.tileServer && !this.tilesFailed) {
+      this.loadTiles();
+    } else {
+      this.loadLevel();
+    }
+  }
+
+  /*  Starts loading the tiles on screen at the level that suits the scaling,
+      and stops waiting for the ones that aren't any more.
+   */
+  loadTiles() {
+    const level = this.getLevel();
+    //When the size had to be found out first, the original is shown already.
+    const wanted = (level === null || this.state.level === 0) ? [] : this.getVisibleTiles(level);
+    const wantedKeys = wanted.map(tile => tile.key);
+    Object.keys(this.loadingTiles).forEach((key) => {
+      if (wantedKeys.indexOf(key) < 0) delete this.loadingTiles[key];
+    });
+
+    wanted.forEach((tile) => {
+      if (this.state.tiles[tile.key] || this.loadingTiles[tile.key]) return;
+
+      const image = new Image();
+      image.onload = () => {
+        if (this.loadingTiles[tile.key] !== image) return;
+        delete this.loadingTiles[tile.key];
+        this.setState(state => ({ tiles: Object.assign({}, state.tiles, { [tile.key]: tile }) }));
+      };
+      image.onerror = () => {
+        if (this.loadingTiles[tile.key] !== image) return;
+        //Parts of the page would stay blurry, so whole levels are used instead.
+        this.tilesFailed = true;
+        this.loadingTiles = {};
+        this.loadLevel();
+      };
+      this.loadingTiles[tile.key] = image;
+      image.src = getTileSource(config.tileServer, this.props.src, tile);
+    });
+  }
+
+  /*  Starts loading the whole level that suits the scaling, if it's sharper
+      than what's shown already.
+   */
+  loadLevel() {
+    let level = this.getLevel();
+    if (level === null) return;
+    while (level > 0 && this.failedLevels[level]) level -= 1;
+    if (this.state.level !== null && this.state.level <= level) return;
+    if (this.loading && this.loading.level <= level) return;
+
+    const loading = { image: new Image(), level };
+    loading.image.onload = () => {
+      if (this.loading !== loading) return;
+      this.loading = null;
+      this.setState({ level });
+    };
+    loading.image.onerror = (err) => {
+      if (this.loading !== loading) return;
+      this.loading = null;
+      if (level === 0) {
+        this.onError(err);
+      } else {
+        this.failedLevels[level] = true;
+        this.loadLevel();
+      }
+    };
+    this.loading = loading;
+    loading.image.src = getLevelSource(this.props.src, this.state.size, level);
+  }
+
+  /*  The loaded tiles on screen, from the blurriest level to the one that
+      suits the scaling, so the sharpest end up on top.
+   */
+  renderTiles() {
+    const level = this.getLevel();
+    if (level === null) return [];
+
+    const size = this.state.size;
+    const tiles = [];
+    for (let tileLevel = getLevelCount(size) - 1; tileLevel >= level; tileLevel -= 1) {
+      this.getVisibleTiles(tileLevel).forEach((tile) => {
+        if (!this.state.tiles[tile.key]) return;
+        tiles.push(
+          <image
+            className="svg-image"
+            key={tile.key}
+            width={tile.width}
+            height={tile.height}
+            x={`${tile.x - (size.width / 2)}px`}
+            y={`${tile.y - (size.height / 2)}px`}
+            preserveAspectRatio="none"
+            xlinkHref={getTileSource(config.tileServer, this.props.src, tile)}
+          />,
+        );
+      });
+    }
+    return tiles;
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <g className="svg-image-error">
+          <path d="M -60 -80 L 0 -20 L 60 -80 L 80 -60 L 20 0 L 80 60 L 60 80 L 0 20 L -60 80 L -80 60 L -20 0 L -80 -60 Z" />
+        </g>
+      );
+    }
+
+    const size = this.state.size;
+    const hasTiles = Object.keys(this.state.tiles).length > 0;
+    if (!size || (!this.state.placeholder && this.state.level === null && !hasTiles)) {
+      return <SubjectLoading loaded={false} />;
+    }
+
+    //Thumbnails and tiles are rounded to whole pixels, so they're stretched to fit.
+    const imageProps = {
+      className: 'svg-image',
+      width: size.width,
+      height: size.height,
+      x: `${size.width * -0.5}px`,
+      y: `${size.height * -0.5}px`,
+      preserveAspectRatio: 'none',
+    };
+    const filterStyle = (this.props.filterId) ? { filter: `url('#${this.props.filterId}')` } : {};
+
+    return (
+      <g className="progressive-image" style={filterStyle}>
+        {this.state.placeholder && (
+          <image {...imageProps} xlinkHref={getThumbnailSource(this.props.src)} />
+        )}
+        {this.state.level !== null && (
+          <image {...imageProps} xlinkHref={getLevelSource(this.props.src, size, this.state.level)} />
+        )}
+        {this.renderTiles()}
+      </g>
+    );
+  }
+}
+
+ProgressiveImage.propTypes = {
+  filterId: PropTypes.string,
+  scaling: PropTypes.number,
+  size: PropTypes.shape({
+    width: PropTypes.number,
+    height: PropTypes.number,
+  }),
+  src: PropTypes.string,
+  viewport: PropTypes.shape({
+    scaling: PropTypes.number,
+    translationX: PropTypes.number,
+    translationY: PropTypes.number,
+    rotation: PropTypes.number,
+    viewerSize: PropTypes.shape({
+      width: PropTypes.number,
+      height: PropTypes.number,
+    }),
+  }),
+  onLoad: PropTypes.func,
+  onError: PropTypes.func,
+};
+
+ProgressiveImage.defaultProps = {
+  filterId: null,
+  scaling: 1,
+  size: null,
+  src: null,
+  viewport: null,
+  onLoad: null,
+  onError: null,
+};
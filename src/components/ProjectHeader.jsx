@@ -3,6 +3,9 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router';
 import { connect } from 'react-redux';
 import { config } from '../config';
+import { QUEUE_STATUS } from '../ducks/classifications-queue';
+import { toggleDialog } from '../ducks/dialog';
+import PendingSubmissions from './PendingSubmissions';
 
 class ProjectHeader extends React.Component {
   constructor(props) {
@@ -11,6 +14,7 @@ class ProjectHeader extends React.Component {
     this.aboutClick = this.aboutClick.bind(this);
     this.talkClick = this.talkClick.bind(this);
     this.blogClick = this.blogClick.bind(this);
+    this.showPendingSubmissions = this.showPendingSubmissions.bind(this);
   }
 
   aboutClick() {
@@ -31,12 +35,47 @@ class ProjectHeader extends React.Component {
     }
   }
 
+  showPendingSubmissions() {
+    this.props.dispatch(toggleDialog(<PendingSubmissions />, true, false, 'Pending Submissions'));
+  }
+
+  renderQueueStatus() {
+    if (!this.props.queueLength && !this.props.rejectedLength) return null;
+
+    const saving = this.props.queueStatus === QUEUE_STATUS.SAVING;
+    let text;
+    if (saving) {
+      text = 'Sending transcriptions...';
+    } else if (this.props.queueLength) {
+      text = `${this.props.queueLength} transcription${(this.props.queueLength === 1) ? '' : 's'} waiting to be sent`;
+    } else {
+      text = `${this.props.rejectedLength} transcription${(this.props.rejectedLength === 1) ? '' : 's'} could not be sent`;
+    }
+    let title = 'Your work is saved on this computer. Click for details.';
+    if (this.props.queueError) {
+      title = `The last attempt to send it failed (${this.props.queueError.message}). ${title}`;
+    }
+
+    return (
+      <button
+        className="project-header__queue"
+        onClick={this.showPendingSubmissions}
+        title={title}
+      >
+        <i className={(saving) ? 'fa fa-spinner fa-spin' : 'fa fa-cloud-upload'} />
+        {' '}
+        {text}
+      </button>
+    );
+  }
+
   render() {
     return (
       <div id="project-header" className="project-header">
         {this.props.showTitle && (
           <h1 className="main-title">Anti-Slavery Manuscripts</h1>
         )}
+        {this.renderQueueStatus()}
         <nav className="project-header__nav">
           <Link
             activeClassName="project-header__link--active"
@@ -106,11 +145,23 @@ class ProjectHeader extends React.Component {
 }
 
 ProjectHeader.defaultProps = {
+  dispatch: () => {},
+  queueError: null,
+  queueLength: 0,
+  queueStatus: QUEUE_STATUS.IDLE,
+  rejectedLength: 0,
   showTitle: false,
   user: null,
 };
 
 ProjectHeader.propTypes = {
+  dispatch: PropTypes.func,
+  queueError: PropTypes.shape({
+    message: PropTypes.string,
+  }),
+  queueLength: PropTypes.number,
+  queueStatus: PropTypes.string,
+  rejectedLength: PropTypes.number,
   showTitle: PropTypes.bool,
   user: PropTypes.shape({
     admin: PropTypes.bool,
@@ -123,6 +174,10 @@ ProjectHeader.contextTypes = {
 
 const mapStateToProps = (state) => {
   return {
+    queueError: state.classificationsQueue.lastError,
+    queueLength: state.classificationsQueue.length,
+    queueStatus: state.classificationsQueue.status,
+    rejectedLength: state.classificationsQueue.rejectedLength,
     user: state.login.user,
   };
 };
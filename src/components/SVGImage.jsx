@@ -21,6 +21,7 @@ Usage:
 
 Intended functionality:
 * Display a single image
+* Optionally, apply an SVG filter to it (e.g. an ImageFilter), by ID.
 
 NOTE: we've adjusted the (0,0) origin of the SVG to the CENTRE, instead of the
 default top left. Please review SubjectViewer.jsx, SVGImage.jsx and
@@ -31,8 +32,6 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import SubjectLoading from './SubjectLoading';
 
-const FILTER = "url('#svg-invert-filter')"
-
 export default class SVGImage extends React.Component {
   constructor(props) {
     super(props);
@@ -70,13 +69,13 @@ export default class SVGImage extends React.Component {
   }
 
   render() {
-    const invertFilter = this.props.contrast ? { filter: FILTER } : {};
+    const filterStyle = (this.props.filterId) ? { filter: `url('#${this.props.filterId}')` } : {};
 
     if (this.state.loaded) {
       return (
         <image
           className="svg-image"
-          style={invertFilter}
+          style={filterStyle}
           xlinkHref={this.image.src}
           width={this.image.width}
           height={this.image.height}
@@ -97,14 +96,14 @@ export default class SVGImage extends React.Component {
 }
 
 SVGImage.propTypes = {
-  contrast: PropTypes.bool,
+  filterId: PropTypes.string,
   src: PropTypes.string,
   onLoad: PropTypes.func,
   onError: PropTypes.func,
 };
 
 SVGImage.defaultProps = {
-  contrast: false,
+  filterId: null,
   src: null,
   onLoad: null,
   onError: null,
@@ -2,10 +2,13 @@ import React from 'react';
 import Rnd from 'react-rnd';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
-import { Utility, KEY_CODES } from '../lib/Utility';
+import { Utility } from '../lib/Utility';
+import { formatBinding, getShortcut, matchesShortcut } from '../lib/shortcuts';
 import { VARIANT_TYPES } from '../ducks/splits';
 import { collaborateWithAnnotation, updateText, deleteSelectedAnnotation } from '../ducks/annotations';
 import { updatePreviousAnnotation, reenablePreviousAnnotation } from '../ducks/previousAnnotations';
+import { cleanMarkup, describeMarkupError, parseMarkup, DEFAULT_TAGS } from '../lib/transcription-markup';
+import MarkupPreview from './MarkupPreview';
 
 const PANE_WIDTH = 800;
 const PANE_HEIGHT = 350;
@@ -25,6 +28,7 @@ class SelectedAnnotation extends React.Component {
     this.insertTextModifier = this.insertTextModifier.bind(this);
     this.cancelAnnotation = this.cancelAnnotation.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleInputKeyDown = this.handleInputKeyDown.bind(this);
     this.checkPaneBounds = this.checkPaneBounds.bind(this);
 
     this.state = {
@@ -75,6 +79,7 @@ class SelectedAnnotation extends React.Component {
     let textAfter;
     let textInBetween;
 
+    const selfClosing = this.props.tags[textTag] && this.props.tags[textTag].selfClosing;
     const startTag = '[' + textTag + ']';
     const endTag = '[/' + textTag + ']';
     const text = this.inputText;
@@ -84,7 +89,7 @@ class SelectedAnnotation extends React.Component {
     const textBefore = textAreaValue.substring(0, selectionStart);
     if (selectionStart === selectionEnd) {
       textAfter = textAreaValue.substring(selectionStart, textAreaValue.length);
-      if (textTag === 'unclear') {
+      if (selfClosing) {
         value = textBefore + startTag + textAfter;
       } else {
         value = textBefore + startTag + endTag + textAfter;
@@ -92,51 +97,22 @@ class SelectedAnnotation extends React.Component {
     } else {
       textInBetween = textAreaValue.substring(selectionStart, selectionEnd);
       textAfter = textAreaValue.substring(selectionEnd, textAreaValue.length);
-      if (textTag === 'unclear') {
+      if (selfClosing) {
         value = textBefore + startTag + textInBetween + textAfter;
       } else {
         value = textBefore + startTag + textInBetween + endTag + textAfter;
       }
     }
 
+    //Make the text more palatable to the aggregation engine.
+    //NOTE: cleanMarkup() could also be added to onTextUpdate() to create an
+    //"auto-correct as you type" feature, but we need to be careful about
+    //messing around with standard user input.
     this.setState({
-      annotationText: this.cleanText(value),
+      annotationText: cleanMarkup(value, this.props.tags),
     });
   }
 
-  /*  cleanText() makes the user's transcription text more palatable to the
-      aggregation engine.
-
-      NOTE: cleanText() can be added to onTextUpdate() to create an
-      "auto-correct as you type" feature, but boy oh boy we need to be careful
-      about messing around with standard user input. (@shaun 20171107)
-   */
-  cleanText(text) {
-    return text
-
-    //Generic tags
-    .replace(/(\[\w+\])/g, ' $1')  //When  we see [tag], add a space in front of it.
-    .replace(/(\[\/\w+\])/g, ' $1')  //When  we see [/tag], add a space after it.
-    .replace(/(\[\w+\])\s*([^\[])/g, '$1$2')  //When we see [tag]__word, change it to [tag]word
-    .replace(/([^\]])\s*(\[\/\w+\])/g, '$1$2')  //When we see word___[/tag], change it to word[/tag]
-    .replace(/\[(\w+\])\s*(\S*)\s*\[\/(\1)/g, '[$1$2[/$3')  //When we see [tag]   whatever_or_nothing   [/tag], change it to [tag]whatever_or_nothing[/tag]
-    //WARNING: This code does NOT handle [tag1][tag2]nested metatags[/tag2][/tag1] properly, except for the special case.
-
-    //TODO: verify if the following handles nested metatags:
-    //.replace(/(\[\w+\])\s+(\[\w+\])/g, '$1$2')  //When we see opening tags like [tag1] [tag2], bring them together like [tag1][tag2]
-    //.replace(/(\[\/\w+\])\s+(\[\/\w+\])/g, '$1$2')  //When we see closing tags like [/tag1] [/tag2], bring them together like [/tag1][/tag2]
-
-    //Special case: [unclear]
-    .replace(/(\[unclear\])/g, ' $1 ') //Add spaces before/after [unclear]
-    .replace(/(\[\w+\])\s*(\[unclear\])/g, '$1$2')  //If [unclear] is between [tags][/tags], make sure there's no space before...
-    .replace(/(\[unclear\])\s*(\[\/\w+\])/g, '$1$2')  //...or after it. So [tag] [unclear] [tag] becomes [tag][unclear][/tag]
-    .replace(/\[unclear\]\[unclear\]/g, '[unclear] [unclear]')  //Why do you even have multiple consecutive [unclear]s? Well, we're accounting for it anyway.
-
-    //General cleanup
-    .trim()  //Remove useless spaces at the start and the end of the lines.
-    .replace(/\s+/g, ' ');  //No multiple spaces.
-  }
-
   checkPaneBounds(x, y) {
     const windowWidth = window.innerWidth;
     const windowHeight = window.innerHeight + window.pageYOffset;
@@ -183,7 +159,9 @@ class SelectedAnnotation extends React.Component {
     inputY = inputY * this.props.scaling + (this.props.translationY * this.props.scaling);
     inputY = inputY + this.props.viewerSize.height / 2;
 
-    const inputClass = this.props.annotation.previousAnnotation ? 'selected-annotation__previous' : 'selected-annotation__user';
+    let inputClass = this.props.annotation.previousAnnotation ? 'selected-annotation__previous' : 'selected-annotation__user';
+    const markupErrors = parseMarkup(this.state.annotationText, this.props.tags).errors;
+    if (markupErrors.length) inputClass += ' selected-annotation__invalid';
 
     const boundPos = this.checkPaneBounds(inputX, inputY);
 
@@ -214,10 +192,18 @@ class SelectedAnnotation extends React.Component {
 
           <div className="selected-annotation__markup">
             <p>Text Modifiers</p>
-            <button onClick={this.insertTextModifier.bind(this, 'insertion')}>[insertion]</button>
-            <button onClick={this.insertTextModifier.bind(this, 'deletion')}>[deletion]</button>
-            <button onClick={this.insertTextModifier.bind(this, 'unclear')}>[unclear]</button>
-            <button onClick={this.insertTextModifier.bind(this, 'underline')}>[underline]</button>
+            {Object.keys(this.props.tags).map((name) => {
+              const tag = this.props.tags[name];
+              return (
+                <button
+                  key={`TEXT_MODIFIER_${name}`}
+                  onClick={this.insertTextModifier.bind(this, name)}
+                  title={this.getTagShortcutLabel(name)}
+                >
+                  {tag.label}
+                </button>
+              );
+            })}
           </div>
 
           <p>
@@ -226,6 +212,7 @@ class SelectedAnnotation extends React.Component {
               type="text"
               ref={(c) => { this.inputText = c; }}
               onChange={this.onTextUpdate}
+              onKeyDown={this.handleInputKeyDown}
               onMouseDown={() => { this.dialog.className = DISABLE_DRAG; }}
               onMouseUp={() => { this.dialog.className = ENABLE_DRAG; }}
               value={this.state.annotationText}
@@ -239,6 +226,27 @@ class SelectedAnnotation extends React.Component {
 
           </p>
 
+          {this.state.annotationText && (
+            <div className="selected-annotation__preview">
+              <span>Preview</span>
+              <MarkupPreview tags={this.props.tags} text={this.state.annotationText} />
+            </div>
+          )}
+
+          {markupErrors.length > 0 && (
+            <ul className="selected-annotation__errors">
+              {markupErrors.map((error, i) => {
+                return (
+                  <li key={`MARKUP_ERROR_${i}`}>
+                    <i className="fa fa-exclamation-triangle" />
+                    {' '}{describeMarkupError(error)}
+                    {' '}<q>{this.state.annotationText.substr(error.index, 30)}</q>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
           {this.state.showAnnotationOptions && (
             this.renderAnnotationOptions()
           )}
@@ -323,14 +331,30 @@ class SelectedAnnotation extends React.Component {
   }
 
   handleKeyUp(e) {
-    if (Utility.getKeyCode(e) === KEY_CODES.ESCAPE) {
+    if (matchesShortcut(e, 'closeTranscription', this.props.shortcuts, this.props.tags)) {
       this.cancelAnnotation();
     }
-    if (Utility.getKeyCode(e) === KEY_CODES.ENTER && e.ctrlKey) {
+    if (matchesShortcut(e, 'saveTranscription', this.props.shortcuts, this.props.tags)) {
       this.saveText();
     }
   }
 
+  handleInputKeyDown(e) {
+    //A tag's shortcut (by default, Alt + its shortcut letter) inserts that tag.
+    const name = Object.keys(this.props.tags).find((tagName) => {
+      return matchesShortcut(e, `tag.${tagName}`, this.props.shortcuts, this.props.tags);
+    });
+    if (name) {
+      Utility.stopEvent(e);
+      this.insertTextModifier(name);
+    }
+  }
+
+  getTagShortcutLabel(name) {
+    const shortcut = getShortcut(`tag.${name}`, this.props.shortcuts, this.props.tags);
+    return (shortcut && shortcut.binding) ? formatBinding(shortcut.binding) : null;
+  }
+
   onTextUpdate() {
     if (!this.inputText) return;
 
@@ -354,6 +378,8 @@ SelectedAnnotation.defaultProps = {
   rotation: 0,
   scaling: 1,
   selectedAnnotation: null,
+  shortcuts: {},
+  tags: DEFAULT_TAGS,
   translationX: 0,
   translationY: 0,
   variant: VARIANT_TYPES.INDIVIDUAL,
@@ -379,6 +405,12 @@ SelectedAnnotation.propTypes = {
     points: PropTypes.array,
   }),
   selectedAnnotationIndex: PropTypes.number,
+  shortcuts: PropTypes.objectOf(PropTypes.string),
+  tags: PropTypes.objectOf(PropTypes.shape({
+    label: PropTypes.string,
+    selfClosing: PropTypes.bool,
+    shortcut: PropTypes.string,
+  })),
   translationX: PropTypes.number,
   translationY: PropTypes.number,
   variant: PropTypes.string,
@@ -400,6 +432,8 @@ const mapStateToProps = (state, ownProps) => {
     scaling: sv.scaling,
     selectedAnnotation: state.annotations.selectedAnnotation,
     selectedAnnotationIndex: state.annotations.selectedAnnotationIndex,
+    shortcuts: state.project.shortcuts,
+    tags: state.workflow.tags,
     translationX: sv.translationX,
     translationY: sv.translationY,
     variant: state.splits.variant,
@@ -1,34 +1,93 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { SUBJECTVIEWER_STATE } from '../ducks/subject-viewer';
+import { LOUPE_ZOOMS, SUBJECTVIEWER_STATE } from '../ducks/subject-viewer';
 
-const ZoomTools = ({ viewerState, usePanTool, useZoomIn, useZoomOut }) => {
+const ZoomTools = ({
+  fitHeight, fitWidth, loupe, loupeZoom, scaling, setLoupeZoom, toggleLoupe,
+  useActualSize, viewerState, usePanTool, useZoomIn, useZoomOut,
+}) => {
   return (
     <div className="zoom-tools">
-      <button className="flat-button block" onClick={useZoomIn}>
+      <span className="zoom-tools__readout" aria-live="polite" title="Zoom">
+        {Math.round(scaling * 100)}%
+      </span>
+
+      <button className="flat-button block" onClick={useZoomIn} title="Zoom In">
         <i className="fa fa-plus" />
       </button>
 
-      <button className="flat-button block" onClick={useZoomOut}>
+      <button className="flat-button block" onClick={useZoomOut} title="Zoom Out">
         <i className="fa fa-minus" />
       </button>
 
+      <button className="flat-button block" onClick={fitWidth} title="Fit Width">
+        <i className="fa fa-arrows-h" />
+      </button>
+
+      <button className="flat-button block" onClick={fitHeight} title="Fit Height">
+        <i className="fa fa-arrows-v" />
+      </button>
+
+      <button className="flat-button block" onClick={useActualSize} title="Actual Size (100%)">
+        <span className="zoom-tools__text">1:1</span>
+      </button>
+
       <button
         className={(viewerState === SUBJECTVIEWER_STATE.NAVIGATING) ? 'flat-button block selected' : 'flat-button block'}
         onClick={usePanTool}
       >
         <i className="fa fa-arrows" />
       </button>
+
+      <button
+        className={(loupe) ? 'flat-button block selected' : 'flat-button block'}
+        onClick={toggleLoupe}
+        title="Magnifier"
+      >
+        <i className="fa fa-search" />
+      </button>
+
+      {loupe && (
+        <select
+          className="zoom-tools__loupe-zoom"
+          value={loupeZoom}
+          onChange={(e) => { setLoupeZoom(parseFloat(e.target.value)); }}
+          title="Magnification"
+        >
+          {LOUPE_ZOOMS.map(zoom => (
+            <option key={zoom} value={zoom}>{zoom}&times;</option>
+          ))}
+        </select>
+      )}
     </div>
 
   );
 };
 
 ZoomTools.propTypes = {
+  fitHeight: PropTypes.func,
+  fitWidth: PropTypes.func,
+  loupe: PropTypes.bool,
+  loupeZoom: PropTypes.number,
+  scaling: PropTypes.number,
+  setLoupeZoom: PropTypes.func,
+  toggleLoupe: PropTypes.func,
+  useActualSize: PropTypes.func,
   usePanTool: PropTypes.func,
   useZoomIn: PropTypes.func,
   useZoomOut: PropTypes.func,
   viewerState: PropTypes.string
 };
 
+ZoomTools.defaultProps = {
+  fitHeight: () => {},
+  fitWidth: () => {},
+  loupe: false,
+  loupeZoom: LOUPE_ZOOMS[0],
+  scaling: 1,
+  setLoupeZoom: () => {},
+  toggleLoupe: () => {},
+  useActualSize: () => {},
+};
+
 export default ZoomTools;
@@ -8,6 +8,20 @@ By default, this is the development environment, but this can be changed either
 - An ?env query string, e.g. localhost:3000?env=production
 - The NODE_ENV environment variable on the system running the app.
 
+Previous volunteers' transcriptions (reductions) come from Caesar by default.
+For development, they can come from somewhere else instead (see
+lib/reductions-source.js), chosen either by:
+
+- A ?reductions query string, e.g. localhost:3000?reductions=fixture
+- The REDUCTIONS_SOURCE environment variable when starting the dev server.
+
+Large Subject images are shown in tiles when there's an IIIF Image API server
+to cut them (see lib/image-tiles.js), and otherwise as whole images from the
+thumbnail service. The server is chosen either by:
+
+- A ?tiles query string, e.g. localhost:3000?tiles=https://iiif.example.org/iiif/2
+- The TILE_SERVER environment variable when starting the dev server.
+
  */
 
 var DEFAULT_ENV = 'development';
@@ -15,6 +29,8 @@ var CONSENSUS_SCORE = 3;
 var envFromBrowser = locationMatch(/\W?env=(\w+)/);
 var envFromShell = process.env.NODE_ENV;
 var env = envFromBrowser || envFromShell || DEFAULT_ENV;
+var reductionsSource = locationMatch(/\W?reductions=(\w+)/) || process.env.REDUCTIONS_SOURCE || 'live';
+const tileServer = locationMatch(/\W?tiles=([^&]+)/) || process.env.TILE_SERVER || null;
 
 if (!env.match(/^(production|staging|development)$/)) {
   throw new Error(`Error: Invalid Environment - ${env}`);
@@ -27,6 +43,7 @@ const baseConfig = {
       host: 'https://master.pfe-preview.zooniverse.org/',
       caesarHost: 'https://caesar-staging.zooniverse.org/graphql',
       caesarReducerKey: 'ext-17',
+      mockCaesarHost: '/mock-caesar/graphql',  //Served by server.js
       projectId: '1764',
       projectSlug: 'wgranger-test/anti-slavery-testing',
       workflowId: '3017',
@@ -40,6 +57,7 @@ const baseConfig = {
       host: 'https://www.zooniverse.org/',
       caesarHost: 'https://caesar.zooniverse.org/graphql',
       caesarReducerKey: 'ext',
+      mockCaesarHost: '/mock-caesar/graphql',
       projectId: '4973',
       projectSlug: 'bostonpubliclibrary/anti-slavery-manuscripts',
       workflowId: '5329',
@@ -69,7 +87,10 @@ const baseSubjectSets = {
 baseConfig.staging = baseConfig.development;  //staging === development, as far as we're concerned.
 baseSubjectSets.staging = baseSubjectSets.development;
 
-const config = baseConfig[env];
+const config = Object.assign({
+  reductionsSource,
+  tileServer: tileServer && decodeURIComponent(tileServer),
+}, baseConfig[env]);
 const subjectSets = baseSubjectSets[env];
 
 export { env, config, CONSENSUS_SCORE, subjectSets };
@@ -9,9 +9,9 @@ import { config } from '../config';
 import oauth from 'panoptes-client/lib/oauth';
 
 import {
-  setRotation, setContrast, resetView,
-  togglePreviousMarks, setViewerState,
-  MARKS_STATE, SUBJECTVIEWER_STATE,
+  changeFrame, fitView, setRotation, setContrast, resetView,
+  toggleLoupe, togglePreviousMarks, setViewerState, setDrawingMode,
+  DRAWING_MODE, MARKS_STATE, SUBJECTVIEWER_STATE, VIEW_FIT,
 } from '../ducks/subject-viewer';
 
 import { fetchGuide, GUIDE_STATUS } from '../ducks/field-guide';
@@ -20,7 +20,9 @@ import { toggleFavorite } from '../ducks/subject';
 import { toggleDialog } from '../ducks/dialog';
 import { VARIANT_TYPES, toggleVariant } from '../ducks/splits';
 import { saveClassificationInProgress } from '../ducks/classifications';
-import { Utility, KEY_CODES } from '../lib/Utility';
+import { undoAnnotationChange, redoAnnotationChange } from '../ducks/annotations';
+import { changeFrameData, syncPreviousAnnotations } from '../ducks/previousAnnotations';
+import { isTyping, matchesShortcut } from '../lib/shortcuts';
 
 import SubjectViewer from './SubjectViewer';
 
@@ -35,6 +37,10 @@ import Divider from '../images/img_divider.png';
 import FieldGuide from '../components/FieldGuide';
 import SubmitClassificationForm from '../components/SubmitClassificationForm';
 import CribSheet from '../components/CribSheet';
+import DraftsManager from '../components/DraftsManager';
+import ExportTranscription from '../components/ExportTranscription';
+import ImageFiltersPanel from '../components/ImageFiltersPanel';
+import ConsensusReader from '../components/ConsensusReader';
 
 const ROTATION_STEP = 90;
 
@@ -58,8 +64,15 @@ class ClassifierContainer extends React.Component {
     this.toggleUserVariant = this.toggleUserVariant.bind(this);
     this.toggleFieldGuide = this.toggleFieldGuide.bind(this);
     this.saveCurrentClassification = this.saveCurrentClassification.bind(this);
+    this.showDrafts = this.showDrafts.bind(this);
+    this.showExport = this.showExport.bind(this);
+    this.showImageFilters = this.showImageFilters.bind(this);
+    this.showConsensusReader = this.showConsensusReader.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     this.toggleCribDraw = this.toggleCribDraw.bind(this);
+    this.togglePolyline = this.togglePolyline.bind(this);
+    this.useUndo = this.useUndo.bind(this);
+    this.useRedo = this.useRedo.bind(this);
 
     this.state = {
       popup: null,
@@ -116,7 +129,9 @@ class ClassifierContainer extends React.Component {
             <h2>directions</h2>
             <p>
               Using the Transcribe tool, click under the start and end of a line
-              of text, then add your transcription.
+              of text, then add your transcription. For slanted or curved lines,
+              use the Multi-point Line tool: click along the line, then
+              double-click or press Enter to finish.
 
               {/*TEMPORARILY REMOVED: CRIBSHEET Clip common symbols or phrases to your
               crib sheet for reference.*/}
@@ -133,6 +148,7 @@ class ClassifierContainer extends React.Component {
             {this.props.guide && this.props.guideStatus === GUIDE_STATUS.READY && (
               <button className="white-red button" onClick={this.toggleFieldGuide}>Field Guide</button>
             )}
+            <button className="white-red button" onClick={this.showConsensusReader}>Read This Letter</button>
             {this.props.user && (
               <button className={`${activeCrop} white-red button`} onClick={this.toggleCribDraw}>Your Crib Sheet</button>
             )}
@@ -142,6 +158,10 @@ class ClassifierContainer extends React.Component {
             {this.props.user && (
               <button className="white-green button" onClick={this.saveCurrentClassification}>Save Progress</button>
             )}
+            {this.props.user && (
+              <button className="white-green button" onClick={this.showDrafts}>Saved Work</button>
+            )}
+            <button className="white-green button" onClick={this.showExport}>Export</button>
 
             <button className="white-green button" onClick={this.prepareSubmitClassificationForm}>Finish</button>
           </div>
@@ -176,6 +196,39 @@ class ClassifierContainer extends React.Component {
               <span>Transcribe</span>
             </button>
 
+            <button
+              disabled={disableTranscribe}
+              className={(this.props.drawingMode === DRAWING_MODE.POLYLINE) ? 'flat-button block selected' : 'flat-button block'}
+              onClick={this.togglePolyline}
+            >
+              <span className="classifier-toolbar__icon">
+                <i className={`fa fa-line-chart ${disableTranscribe && 'disable-icon'}`} />
+              </span>
+              <span>Multi-point Line</span>
+            </button>
+
+            <button
+              className="flat-button block"
+              disabled={disableTranscribe || !this.props.canUndo}
+              onClick={this.useUndo}
+            >
+              <span className="classifier-toolbar__icon">
+                <i className="fa fa-undo" />
+              </span>
+              <span>Undo</span>
+            </button>
+
+            <button
+              className="flat-button block"
+              disabled={disableTranscribe || !this.props.canRedo}
+              onClick={this.useRedo}
+            >
+              <span className="classifier-toolbar__icon">
+                <i className="fa fa-undo fa-flip-horizontal" />
+              </span>
+              <span>Redo</span>
+            </button>
+
             <button className="flat-button block" onClick={this.useRotate90}>
               <span className="classifier-toolbar__icon">
                 <i className="fa fa-repeat" />
@@ -204,6 +257,13 @@ class ClassifierContainer extends React.Component {
               <span>Invert Colors</span>
             </button>
 
+            <button className="flat-button block" onClick={this.showImageFilters}>
+              <span className="classifier-toolbar__icon">
+                <i className="fa fa-sliders" />
+              </span>
+              <span>Adjust Image</span>
+            </button>
+
             {this.props.user && (
               <FavoritesButton favorite={this.props.favoriteSubject} toggleFavorite={this.toggleFavorite} />
             )}
@@ -294,18 +354,29 @@ class ClassifierContainer extends React.Component {
   }
 
   handleKeyUp(e) {
-    if (this.props.selectedAnnotation === null) {
-      if (Utility.getKeyCode(e) === KEY_CODES.A) {
-        if (this.props.viewerState === SUBJECTVIEWER_STATE.NAVIGATING && !this.props.selectedAnnotation) {
-          this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.ANNOTATING));
-        } else {
-          this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.NAVIGATING));
-        }
-      }
-      if (Utility.getKeyCode(e) === KEY_CODES.M) {
-        this.togglePreviousMarks();
+    if (this.props.selectedAnnotation !== null || isTyping(e)) return;
+    const shortcuts = this.props.shortcuts;
+
+    if (matchesShortcut(e, 'toggleTranscribe', shortcuts)) {
+      if (this.props.viewerState === SUBJECTVIEWER_STATE.NAVIGATING) {
+        this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.ANNOTATING));
+      } else {
+        this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.NAVIGATING));
       }
     }
+    if (matchesShortcut(e, 'toggleMarks', shortcuts)) this.togglePreviousMarks();
+    if (matchesShortcut(e, 'undo', shortcuts)) this.useUndo();
+    if (matchesShortcut(e, 'redo', shortcuts)) this.useRedo();
+    if (matchesShortcut(e, 'rotate', shortcuts)) this.useRotate90();
+    if (matchesShortcut(e, 'resetView', shortcuts)) this.useResetImage();
+    if (matchesShortcut(e, 'fitWidth', shortcuts)) this.props.dispatch(fitView(VIEW_FIT.WIDTH));
+    if (matchesShortcut(e, 'fitHeight', shortcuts)) this.props.dispatch(fitView(VIEW_FIT.HEIGHT));
+    if (matchesShortcut(e, 'actualSize', shortcuts)) this.props.dispatch(fitView(VIEW_FIT.ACTUAL_SIZE));
+    if (matchesShortcut(e, 'toggleContrast', shortcuts)) this.useContrast();
+    if (matchesShortcut(e, 'toggleLoupe', shortcuts)) this.props.dispatch(toggleLoupe());
+    if (matchesShortcut(e, 'previousFrame', shortcuts)) this.changeFrameBy(-1);
+    if (matchesShortcut(e, 'nextFrame', shortcuts)) this.changeFrameBy(1);
+    if (matchesShortcut(e, 'submit', shortcuts) && !this.state.popup) this.prepareSubmitClassificationForm();
   }
 
   //----------------------------------------------------------------
@@ -318,6 +389,23 @@ class ClassifierContainer extends React.Component {
     this.setState({ popup: <SubmitClassificationForm closePopup={this.closePopup} /> });
   }
 
+  togglePolyline() {
+    const drawingMode = (this.props.drawingMode === DRAWING_MODE.POLYLINE)
+      ? DRAWING_MODE.LINE : DRAWING_MODE.POLYLINE;
+    this.props.dispatch(setDrawingMode(drawingMode));
+    this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.ANNOTATING));
+  }
+
+  useUndo() {
+    this.props.dispatch(undoAnnotationChange());
+    this.props.dispatch(syncPreviousAnnotations());
+  }
+
+  useRedo() {
+    this.props.dispatch(redoAnnotationChange());
+    this.props.dispatch(syncPreviousAnnotations());
+  }
+
   useRotate90() {
     this.props.dispatch(setRotation(this.props.rotation + ROTATION_STEP));
   }
@@ -338,6 +426,14 @@ class ClassifierContainer extends React.Component {
     this.props.dispatch(setContrast());
   }
 
+  changeFrameBy(offset) {
+    const locations = (this.props.currentSubject && this.props.currentSubject.locations) || [];
+    const frame = this.props.frame + offset;
+    if (frame < 0 || frame >= locations.length) return;
+    this.props.dispatch(changeFrame(frame));
+    this.props.dispatch(changeFrameData(frame));
+  }
+
   toggleFavorite() {
     this.props.dispatch(toggleFavorite());
   }
@@ -383,17 +479,42 @@ class ClassifierContainer extends React.Component {
   saveCurrentClassification() {
     this.props.dispatch(saveClassificationInProgress());
   }
+
+  showDrafts() {
+    this.props.dispatch(toggleDialog(<DraftsManager />, true, false, 'Saved Work'));
+  }
+
+  showConsensusReader() {
+    if (this.context.googleLogger) {
+      this.context.googleLogger.logEvent({ type: 'open-consensus-reader' });
+    }
+
+    this.props.dispatch(toggleDialog(<ConsensusReader />, true, false, 'Read This Letter'));
+  }
+
+  showExport() {
+    this.props.dispatch(toggleDialog(<ExportTranscription />, false, false, 'Export'));
+  }
+
+  showImageFilters() {
+    this.props.dispatch(toggleDialog(<ImageFiltersPanel />, false, false, 'Adjust Image'));
+  }
 }
 
 ClassifierContainer.propTypes = {
   dispatch: PropTypes.func,
   //--------
+  canRedo: PropTypes.bool,
+  canUndo: PropTypes.bool,
   currentSubject: PropTypes.shape({
     id: PropTypes.string,
+    locations: PropTypes.array,
     metadata: PropTypes.object,
   }),
   dispatch: PropTypes.func,
+  drawingMode: PropTypes.string,
   favoriteSubject: PropTypes.bool,
+  frame: PropTypes.number,
   goldStandardMode: PropTypes.bool,
   guide: PropTypes.object,
   icons: PropTypes.object,
@@ -407,6 +528,7 @@ ClassifierContainer.propTypes = {
   selectedAnnotation: PropTypes.shape({
     status: PropTypes.string,
   }),
+  shortcuts: PropTypes.objectOf(PropTypes.string),
   shownMarks: PropTypes.number,
   tutorial: PropTypes.shape({
     steps: PropTypes.array,
@@ -425,8 +547,12 @@ ClassifierContainer.propTypes = {
 ClassifierContainer.defaultProps = {
   dispatch: () => {},
   //--------
+  canRedo: false,
+  canUndo: false,
   currentSubject: null,
+  drawingMode: DRAWING_MODE.LINE,
   favoriteSubject: false,
+  frame: 0,
   goldStandardMode: false,
   guide: null,
   guideStatus: GUIDE_STATUS.IDLE,
@@ -436,6 +562,7 @@ ClassifierContainer.defaultProps = {
   previousAnnotations: [],
   rotation: 0,
   selectedAnnotation: null,
+  shortcuts: {},
   shownMarks: 0,
   tutorial: null,
   tutorialStatus: TUTORIAL_STATUS.IDLE,
@@ -451,8 +578,12 @@ ClassifierContainer.contextTypes = {
 
 const mapStateToProps = (state, ownProps) => {
   return {
+    canRedo: state.annotations.redoHistory.length > 0,
+    canUndo: state.annotations.undoHistory.length > 0,
     currentSubject: state.subject.currentSubject,
+    drawingMode: state.subjectViewer.drawingMode,
     favoriteSubject: state.subject.favorite,
+    frame: state.subjectViewer.frame,
     goldStandardMode: state.workflow.goldStandardMode,
     guide: state.fieldGuide.guide,
     guideStatus: state.fieldGuide.status,
@@ -462,6 +593,7 @@ const mapStateToProps = (state, ownProps) => {
     previousAnnotations: state.previousAnnotations.marks,
     rotation: state.subjectViewer.rotation,
     selectedAnnotation: state.annotations.selectedAnnotation,
+    shortcuts: state.project.shortcuts,
     shownMarks: state.subjectViewer.shownMarks,
     tutorial: state.tutorial.data,
     tutorialStatus: state.tutorial.status,
@@ -1,10 +1,11 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
-import SVGImage from '../components/SVGImage';
+import ProgressiveImage from '../components/ProgressiveImage';
 import { Utility } from '../lib/Utility';
 
 import { setTranslation } from '../ducks/subject-viewer';
+import { getImageSize } from '../ducks/subject';
 import { getSubjectLocation } from '../lib/get-subject-location';
 
 const SVG_WIDTH = 150;
@@ -17,12 +18,61 @@ class Navigator extends React.Component {
     //HTML element refs.
     this.section = null;
     this.svg = null;
-    this.svgImage = null;
 
     //Other functions
     this.getBoundingBox = this.getBoundingBox.bind(this);
     this.clickZoom = this.clickZoom.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+
+    //The pointer being dragged around the Navigator, if any.
+    this.pointerId = null;
+  }
+
+  //----------------------------------------------------------------
+
+  /*  With Pointer Events (i.e. mouse, touch and pen alike), the view follows
+      the pointer while it's dragged around the Navigator. Without them, only
+      clicking works. (React 15 doesn't support Pointer Events, so they're
+      listened to directly.)
+   */
+  componentDidMount() {
+    if (this.svg && Utility.supportsPointerEvents()) {
+      this.svg.addEventListener('pointerdown', this.onPointerDown);
+      this.svg.addEventListener('pointermove', this.onPointerMove);
+      this.svg.addEventListener('pointerup', this.onPointerUp);
+      this.svg.addEventListener('pointercancel', this.onPointerUp);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.svg) {
+      this.svg.removeEventListener('pointerdown', this.onPointerDown);
+      this.svg.removeEventListener('pointermove', this.onPointerMove);
+      this.svg.removeEventListener('pointerup', this.onPointerUp);
+      this.svg.removeEventListener('pointercancel', this.onPointerUp);
+    }
   }
+
+  onPointerDown(e) {
+    if (this.pointerId !== null) return undefined;
+    this.pointerId = e.pointerId;
+    if (this.svg.setPointerCapture) this.svg.setPointerCapture(e.pointerId);
+    return this.clickZoom(e);
+  }
+
+  onPointerMove(e) {
+    if (e.pointerId !== this.pointerId) return undefined;
+    return this.clickZoom(e);
+  }
+
+  onPointerUp(e) {
+    if (e.pointerId !== this.pointerId) return undefined;
+    this.pointerId = null;
+    return Utility.stopEvent(e);
+  }
+
   //----------------------------------------------------------------
 
   clickZoom(e) {
@@ -72,20 +122,21 @@ class Navigator extends React.Component {
       subjectLocation = (subjectLocation && subjectLocation.src) ? subjectLocation.src : undefined;
     }
 
+    //The page is only shown once the Subject Viewer has found out its size, so
+    //it isn't fetched twice. At this size, the placeholder is sharp enough.
+    const imageSize = getImageSize(this.props.imageMetadata[this.props.frame]);
+
     return (
       <section className="navigator-viewer" ref={(c) => { this.section = c; }}>
         <svg
           style={{ width: `${SVG_WIDTH}px`, height: `${SVG_HEIGHT}px` }}
           ref={(c) => { this.svg = c; }}
-          onMouseUp={this.clickZoom}
+          onMouseUp={(Utility.supportsPointerEvents()) ? null : this.clickZoom}
           viewBox={viewBox}
         >
           <g transform={rotate}>
-            {subjectLocation && (
-              <SVGImage
-                ref={(c) => { this.svgImage = c; }}
-                src={subjectLocation}
-              />
+            {subjectLocation && imageSize && (
+              <ProgressiveImage src={subjectLocation} size={imageSize} scaling={scale} />
             )}
           </g>
           <g transform={transform}>
@@ -115,6 +166,10 @@ Navigator.propTypes = {
     src: PropTypes.string,
   }),
   frame: PropTypes.number,
+  imageMetadata: PropTypes.arrayOf(PropTypes.shape({
+    naturalWidth: PropTypes.number,
+    naturalHeight: PropTypes.number,
+  })),
   imageSize: PropTypes.shape({
     width: PropTypes.number,
     height: PropTypes.number,
@@ -131,6 +186,7 @@ Navigator.propTypes = {
 };
 Navigator.defaultProps = {
   frame: 0,
+  imageMetadata: [],
   imageSize: {
     width: 0,
     height: 0,
@@ -148,6 +204,7 @@ const mapStateToProps = (state, ownProps) => {  //Listens for changes in the Red
   const store = state.subjectViewer;
   return {
     currentSubject: state.subject.currentSubject,
+    imageMetadata: state.subject.imageMetadata,
     frame: store.frame,
     rotation: store.rotation,
     scaling: store.scaling,
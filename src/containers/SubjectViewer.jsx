@@ -2,19 +2,38 @@
 Subject Viewer
 --------------
 
-This component allows users to view a single Subject image (i.e. the SVGImage)
-and navigate (pan and zoom) the Subject using the mouse.
+This component allows users to view a single Subject image (i.e. the
+ProgressiveImage) and navigate (pan and zoom) the Subject using the mouse.
 
 Intended functionality:
 * Display a single image
 * When in 'Navigating' mode, click & drag mouse to pan the Subject Image.
-* When in 'Navigating' mode, mouse wheel to zoom in/out.
-* (TODO) When in 'Annotating' mode, mouse click to place a sequence of
-  annotation marks, then click again (on the last annotation mark) to finish
-  the sequence.
+* When in 'Navigating' or 'Annotating' mode, mouse wheel to zoom in/out,
+  around the pointer.
+* When in 'Annotating' mode, mouse click to place the start and end of a line.
+  If the drawing mode is set to polyline, mouse click to place a sequence of
+  annotation marks, then click again on the last annotation mark (i.e.
+  double-click) or press Enter to finish the sequence.
+* When in 'Annotating' mode, with the Subject Viewer focused, lines can be drawn
+  with the keyboard instead: the arrow keys move a crosshair (hold Shift for
+  bigger steps), Space places a point, and Enter finishes the line. The
+  crosshair's position is announced to screen readers.
+* These keys, and the ones for zooming and panning, are the default bindings of
+  commands in lib/shortcuts.js, which volunteers can change.
+* The Subject can be rotated by any angle (quarter turns, plus a few degrees
+  either way to straighten a tilted page). Annotation points are always
+  stored in the coordinates of the unrotated image.
+* Once a page's size is known, it appears quickly, as a blurry placeholder, and
+  gets sharper as the user zooms in, one on-screen tile at a time (see
+  ProgressiveImage.jsx).
+* With the magnifier loupe on (in either mode), a magnified circle of the
+  Subject follows the pointer.
+* On touch screens (and with pens): drag one finger to pan the Subject, in
+  either mode, and pinch with two fingers to zoom. In 'Annotating' mode, tap to
+  place points. Long press on a line to select it.
 
 NOTE: we've adjusted the (0,0) origin of the SVG to the CENTRE, instead of the
-default top left. Please review SubjectViewer.jsx, SVGImage.jsx and
+default top left. Please review SubjectViewer.jsx, ProgressiveImage.jsx and
 AnnotationsPane.jsx for details.
  */
 
@@ -22,21 +41,26 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import Popup from '../components/Popup';
-import SVGImage from '../components/SVGImage';
+import ProgressiveImage from '../components/ProgressiveImage';
 import AnnotationsPane from '../components/AnnotationsPane';
 import ZoomTools from '../components/ZoomTools';
-import { Utility, KEY_CODES } from '../lib/Utility';
-import { fetchSubject, setImageMetadata } from '../ducks/subject';
+import { Utility } from '../lib/Utility';
+import { isTyping, matchesShortcut } from '../lib/shortcuts';
+import { isDefaultImageFilters, DEFAULT_IMAGE_FILTERS } from '../lib/image-filters';
+import { fetchSubject, getImageSize, setImageMetadata } from '../ducks/subject';
 import { getSubjectLocation } from '../lib/get-subject-location';
 import SelectedAnnotation from '../components/SelectedAnnotation';
 import Crop from '../components/Crop';
+import KeyboardCursor from '../components/KeyboardCursor';
+import ImageFilter from '../components/ImageFilter';
+import Loupe from '../components/Loupe';
 import AnnotationReminder from '../components/AnnotationReminder';
 import AlreadySeen from '../components/AlreadySeen';
 
 import {
-  setScaling, setTranslation, resetView,
+  setScaling, setTranslation, resetView, fitView, setLoupeZoom, toggleLoupe, changeSkew,
   setViewerState, updateViewerSize, updateImageSize,
-  SUBJECTVIEWER_STATE,
+  DRAWING_MODE, MAX_SCALING, MIN_SCALING, SKEW_STEP, SUBJECTVIEWER_STATE, VIEW_FIT,
 } from '../ducks/subject-viewer';
 
 import {
@@ -50,7 +74,42 @@ const INPUT_STATE = {
 };
 
 const ZOOM_STEP = 0.1;
-const MAX_ANGLE = 8;
+const WHEEL_ZOOM_SPEED = 0.002;  //Per pixel scrolled, i.e. scrolling 100px zooms by about 20%.
+const WHEEL_LINE_HEIGHT = 16;  //Some browsers scroll by lines instead of pixels.
+const SAME_POINT_DISTANCE = 6;  //In screen pixels. Clicking this close to the last point counts as clicking on it.
+const KEYBOARD_STEP = 5;  //In screen pixels.
+const KEYBOARD_BIG_STEP = 50;
+const PAN_STEP = 20;  //In screen pixels.
+const PAN_BIG_STEP = 200;
+const ANNOUNCE_DELAY = 500;  //Only announce the keyboard cursor's position once it's stopped moving.
+const SVG_LABEL = 'Subject image. To draw a line with the keyboard, switch to Transcribe mode, then use the ' +
+  'arrow keys to move the cursor, Space to place a point, and Enter to finish the line.';
+const IMAGE_FILTER_ID = 'svg-image-filter';
+const CONTENT_ID = 'subject-viewer-content';  //What the loupe magnifies.
+const TAP_DISTANCE = 10;  //In screen pixels. A touch that moves further than this is a drag, not a tap.
+const LONG_PRESS_DELAY = 500;  //In milliseconds.
+const LONG_PRESS_RADIUS = 20;  //In screen pixels. A long press selects a line this close to the finger.
+
+/*  Whether an element is part of a line that handles its own pointer input.
+    Lines that have reached consensus don't.
+ */
+const isOnAnnotation = (element) => {
+  return !!(element && element.closest && element.closest('.annotation:not(.annotation--retired), .annotation-edit'));
+};
+
+//Which way each shortcut moves the keyboard cursor, or pans the page.
+const CURSOR_DIRECTIONS = {
+  cursorLeft: { x: -1, y: 0 },
+  cursorRight: { x: 1, y: 0 },
+  cursorUp: { x: 0, y: -1 },
+  cursorDown: { x: 0, y: 1 },
+};
+const PAN_DIRECTIONS = {
+  panLeft: { x: -1, y: 0 },
+  panRight: { x: 1, y: 0 },
+  panUp: { x: 0, y: -1 },
+  panDown: { x: 0, y: 1 },
+};
 
 //Add ?dev=1 to the URL to enable DEV_MODE
 const DEV_MODE = window.location && /(\?|&)dev(=|&|$)/ig.test(window.location.search);
@@ -62,7 +121,6 @@ class SubjectViewer extends React.Component {
     //HTML element refs.
     this.section = null;
     this.svg = null;
-    this.svgImage = null;
 
     //Events!
     this.updateSize = this.updateSize.bind(this);
@@ -72,9 +130,21 @@ class SubjectViewer extends React.Component {
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onMouseEnter = this.onMouseEnter.bind(this);
     this.onMouseLeave = this.onMouseLeave.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerEnter = this.onPointerEnter.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+    this.onClickCapture = this.onClickCapture.bind(this);
     this.useZoomIn = this.useZoomIn.bind(this);
     this.useZoomOut = this.useZoomOut.bind(this);
     this.usePanTool = this.usePanTool.bind(this);
+    this.toggleLoupe = this.toggleLoupe.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.fitWidth = this.fitWidth.bind(this);
+    this.fitHeight = this.fitHeight.bind(this);
+    this.useActualSize = this.useActualSize.bind(this);
+    this.setLoupeZoom = this.setLoupeZoom.bind(this);
 
     //Other functions
     this.getBoundingBox = this.getBoundingBox.bind(this);
@@ -82,7 +152,10 @@ class SubjectViewer extends React.Component {
     this.getPointerXYOnImage = this.getPointerXYOnImage.bind(this);
     this.onSelectAnnotation = this.onSelectAnnotation.bind(this);
     this.closeAnnotation = this.closeAnnotation.bind(this);
-    this.escapeCrop = this.escapeCrop.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleDocumentKeyDown = this.handleDocumentKeyDown.bind(this);
+    this.onBlur = this.onBlur.bind(this);
     this.alreadySeen = this.alreadySeen.bind(this);
     this.closePopup = this.closePopup.bind(this);
 
@@ -93,16 +166,30 @@ class SubjectViewer extends React.Component {
       state: INPUT_STATE.IDLE,
     };
 
+    //With Pointer Events, the mouse, touches and pens all use onPointerDown()
+    //etc.; without them, only the mouse works, with onMouseDown() etc.
+    this.usePointerEvents = Utility.supportsPointerEvents();
+
+    //Touch and pen pointers currently down, by pointerId, and what they're
+    //doing together (see startGesture())
+    this.touches = {};
+    this.gesture = null;
+    this.longPressTimer = null;
+    this.ignoreNextClick = false;
+
     //Mouse or touch rectangle
     this.rectangleStart = { x: 0, y: 0 };
 
     //Misc
     this.tmpTransform = null;
+    this.announceTimer = null;
 
     //State
     this.state = {
       annotation: null,
+      announcement: '',  //For screen readers.
       cropping: INPUT_STATE.IDLE,
+      keyboardCursor: null,  //Position of the keyboard drawing crosshair on the Subject image, if it's in use.
       mouseInViewer: false,
       pointerXYOnImage: null,
       popup: null,
@@ -140,26 +227,51 @@ class SubjectViewer extends React.Component {
         )}
 
         <div>
-          <ZoomTools viewerState={this.props.viewerState} usePanTool={this.usePanTool} useZoomIn={this.useZoomIn} useZoomOut={this.useZoomOut} />
+          <ZoomTools
+            fitHeight={this.fitHeight}
+            fitWidth={this.fitWidth}
+            loupe={this.props.loupe}
+            loupeZoom={this.props.loupeZoom}
+            scaling={this.props.scaling}
+            setLoupeZoom={this.setLoupeZoom}
+            toggleLoupe={this.toggleLoupe}
+            useActualSize={this.useActualSize}
+            viewerState={this.props.viewerState}
+            usePanTool={this.usePanTool}
+            useZoomIn={this.useZoomIn}
+            useZoomOut={this.useZoomOut}
+          />
 
           {this.state.annotation}
 
           <svg
             ref={(c)=>{this.svg=c}}
             viewBox="0 0 100 100"
-            onMouseEnter={this.onMouseEnter}
-            onMouseDown={this.onMouseDown}
-            onMouseUp={this.onMouseUp}
-            onMouseMove={this.onMouseMove}
-            onMouseLeave={this.onMouseLeave}
+            tabIndex="0"
+            aria-label={SVG_LABEL}
+            onKeyDown={this.handleKeyDown}
+            onBlur={this.onBlur}
+            onMouseEnter={(this.usePointerEvents) ? null : this.onMouseEnter}
+            onMouseDown={(this.usePointerEvents) ? null : this.onMouseDown}
+            onMouseUp={(this.usePointerEvents) ? null : this.onMouseUp}
+            onMouseMove={(this.usePointerEvents) ? null : this.onMouseMove}
+            onMouseLeave={(this.usePointerEvents) ? null : this.onMouseLeave}
           >
-            <g transform={transform}>
+            <g id={CONTENT_ID} transform={transform}>
               {subjectLocation && (
-                <SVGImage
-                  ref={(c) => { this.svgImage = c; }}
+                <ProgressiveImage
                   src={subjectLocation}
+                  size={getImageSize(this.props.imageMetadata[this.props.frame])}
+                  scaling={(this.props.loupe) ? this.props.scaling * this.props.loupeZoom : this.props.scaling}
+                  viewport={{
+                    scaling: this.props.scaling,
+                    translationX: this.props.translationX,
+                    translationY: this.props.translationY,
+                    rotation: this.props.rotation,
+                    viewerSize: this.props.viewerSize,
+                  }}
                   onLoad={this.onImageLoad}
-                  contrast={this.props.contrast}
+                  filterId={(isDefaultImageFilters(this.props.imageFilters)) ? null : IMAGE_FILTER_ID}
                 />
               )}
               <AnnotationsPane
@@ -172,6 +284,14 @@ class SubjectViewer extends React.Component {
                 onSelectAnnotation={this.onSelectAnnotation}
                 previousAnnotations={this.props.previousAnnotations}
               />
+              {this.props.viewerState === SUBJECTVIEWER_STATE.ANNOTATING && (
+                <KeyboardCursor
+                  annotationInProgress={this.props.annotationInProgress}
+                  imageSize={this.props.imageSize}
+                  position={this.state.keyboardCursor}
+                  scaling={this.props.scaling}
+                />
+              )}
             </g>
 
             {this.state.cropping === INPUT_STATE.ACTIVE && (
@@ -185,6 +305,15 @@ class SubjectViewer extends React.Component {
               </g>
             )}
 
+            {this.props.loupe && (
+              <Loupe
+                contentId={CONTENT_ID}
+                getPointerXY={this.getPointerXY}
+                viewerSize={this.props.viewerSize}
+                zoom={this.props.loupeZoom}
+              />
+            )}
+
             {(!DEV_MODE) ? null :
               <g className="developer-grid" transform={transform + `translate(${(-this.props.imageSize.width/2)},${(-this.props.imageSize.height/2)})`}>
                 {(()=>{
@@ -212,15 +341,12 @@ class SubjectViewer extends React.Component {
               </g>
             }
             <defs>
-              <filter id="svg-invert-filter">
-                <feComponentTransfer>
-                  <feFuncR type="table" tableValues="1 0"/>
-                  <feFuncG type="table" tableValues="1 0"/>
-                  <feFuncB type="table" tableValues="1 0"/>
-                </feComponentTransfer>
-              </filter>
+              <ImageFilter id={IMAGE_FILTER_ID} filters={this.props.imageFilters} />
             </defs>
           </svg>
+          <div className="subject-viewer__announcer" role="status" aria-live="polite">
+            {this.state.announcement}
+          </div>
         </div>
 
         {(this.state.popup === null) ? null :
@@ -237,9 +363,25 @@ class SubjectViewer extends React.Component {
   componentDidMount() {
     //Make sure we monitor visible size of Subject Viewer.
     window.addEventListener('resize', this.updateSize);
-    document.addEventListener('keyup', this.escapeCrop);
+    document.addEventListener('keyup', this.handleKeyUp);
+    document.addEventListener('keydown', this.handleDocumentKeyDown);
     this.updateSize();
 
+    //The wheel listener has to be able to stop the page scrolling, which React's
+    //(passive, in newer browsers) listener can't.
+    if (this.svg) this.svg.addEventListener('wheel', this.onWheel, { passive: false });
+
+    //React 15 doesn't support Pointer Events, so they're listened to directly.
+    if (this.svg && this.usePointerEvents) {
+      this.svg.addEventListener('pointerdown', this.onPointerDown);
+      this.svg.addEventListener('pointermove', this.onPointerMove);
+      this.svg.addEventListener('pointerup', this.onPointerUp);
+      this.svg.addEventListener('pointercancel', this.onPointerUp);
+      this.svg.addEventListener('pointerenter', this.onPointerEnter);
+      this.svg.addEventListener('pointerleave', this.onPointerLeave);
+      this.svg.addEventListener('click', this.onClickCapture, true);
+    }
+
     //Fetch the first subject, IF no subject has yet been loaded.
     //Fetching a subject will also ensure a clean slate for Annotations,
     //Previous Annotations, and Classifications.
@@ -255,12 +397,40 @@ class SubjectViewer extends React.Component {
         annotation: <SelectedAnnotation annotation={next.selectedAnnotation} onClose={this.closeAnnotation} />
       });
     }
+
+    //The selection was cleared from elsewhere, e.g. by undoing a change.
+    if (this.props.selectedAnnotation && !next.selectedAnnotation && this.state.annotation) {
+      this.setState({ annotation: null });
+    }
+
+    //A line drawn with the keyboard was finished.
+    if (this.state.keyboardCursor && this.props.annotationInProgress && !next.annotationInProgress) {
+      this.announce('Line finished. Type what it says in the transcription box.');
+    }
+
+    //The keyboard cursor starts afresh on every page.
+    if (this.props.frame !== next.frame || this.props.currentSubject !== next.currentSubject) {
+      this.setState({ keyboardCursor: null });
+    }
   }
 
   componentWillUnmount() {
     //Cleanup
     window.removeEventListener('resize', this.updateSize);
-    document.removeEventListener('keyup', this.escapeCrop);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    document.removeEventListener('keydown', this.handleDocumentKeyDown);
+    clearTimeout(this.announceTimer);
+    clearTimeout(this.longPressTimer);
+    if (this.svg) {
+      this.svg.removeEventListener('wheel', this.onWheel, { passive: false });
+      this.svg.removeEventListener('pointerdown', this.onPointerDown);
+      this.svg.removeEventListener('pointermove', this.onPointerMove);
+      this.svg.removeEventListener('pointerup', this.onPointerUp);
+      this.svg.removeEventListener('pointercancel', this.onPointerUp);
+      this.svg.removeEventListener('pointerenter', this.onPointerEnter);
+      this.svg.removeEventListener('pointerleave', this.onPointerLeave);
+      this.svg.removeEventListener('click', this.onClickCapture, true);
+    }
   }
 
   //----------------------------------------------------------------
@@ -290,19 +460,137 @@ class SubjectViewer extends React.Component {
     this.props.dispatch(updateViewerSize(svgW, svgH));
   }
 
-  escapeCrop(e) {
-    if (Utility.getKeyCode(e) === KEY_CODES.ESCAPE && this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING) {
+  handleKeyUp(e) {
+    if (isTyping(e)) return;
+
+    if (matchesShortcut(e, 'cancelCrop', this.props.shortcuts) &&
+        this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING) {
       this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.NAVIGATING));
       this.setState({ cropping: INPUT_STATE.IDLE });
     }
+
+    //Finishes a multi-point line. (Two-point lines finish by themselves.)
+    if (matchesShortcut(e, 'finishLine', this.props.shortcuts) && this.props.annotationInProgress &&
+        this.props.viewerState === SUBJECTVIEWER_STATE.ANNOTATING) {
+      this.props.dispatch(completeAnnotation());
+    }
+  }
+
+  /*  Zooming, straightening and panning work wherever the focus is (except in
+      text fields), and repeat while the keys are held down.
+   */
+  handleDocumentKeyDown(e) {
+    if (this.props.selectedAnnotation || isTyping(e)) return undefined;
+    const shortcuts = this.props.shortcuts;
+
+    if (matchesShortcut(e, 'zoomIn', shortcuts)) {
+      this.useZoomIn();
+      return Utility.stopEvent(e);
+    }
+    if (matchesShortcut(e, 'zoomOut', shortcuts)) {
+      this.useZoomOut();
+      return Utility.stopEvent(e);
+    }
+    if (matchesShortcut(e, 'skewLeft', shortcuts)) {
+      this.props.dispatch(changeSkew(-SKEW_STEP));
+      return Utility.stopEvent(e);
+    }
+    if (matchesShortcut(e, 'skewRight', shortcuts)) {
+      this.props.dispatch(changeSkew(SKEW_STEP));
+      return Utility.stopEvent(e);
+    }
+
+    if (this.props.viewerState !== SUBJECTVIEWER_STATE.NAVIGATING) return undefined;
+    const command = Object.keys(PAN_DIRECTIONS).find(id => matchesShortcut(e, id, shortcuts));
+    if (command) {
+      //Panning left shows more of the left of the page, i.e. moves the image right.
+      const step = ((e.shiftKey) ? PAN_BIG_STEP : PAN_STEP) / this.props.scaling;
+      this.props.dispatch(setTranslation(
+        this.props.translationX - (PAN_DIRECTIONS[command].x * step),
+        this.props.translationY - (PAN_DIRECTIONS[command].y * step),
+      ));
+      return Utility.stopEvent(e);
+    }
+    return undefined;
+  }
+
+  /*  Keyboard drawing: the cursor shortcuts (arrow keys, by default) move the
+      crosshair and placePoint (Space) places a point. (finishLine is handled
+      in handleKeyUp.)
+   */
+  handleKeyDown(e) {
+    if (this.props.viewerState !== SUBJECTVIEWER_STATE.ANNOTATING || this.props.selectedAnnotation) return undefined;
+    const shortcuts = this.props.shortcuts;
+
+    const command = Object.keys(CURSOR_DIRECTIONS).find(id => matchesShortcut(e, id, shortcuts));
+    if (command) {
+      const step = (e.shiftKey) ? KEYBOARD_BIG_STEP : KEYBOARD_STEP;
+      this.moveKeyboardCursor(CURSOR_DIRECTIONS[command].x * step, CURSOR_DIRECTIONS[command].y * step);
+      return Utility.stopEvent(e);
+    }
+
+    if (matchesShortcut(e, 'placePoint', shortcuts)) {
+      const position = this.getKeyboardCursor();
+      this.setState({ keyboardCursor: position });
+      const completed = this.placeAnnotationPoint(position);
+      if (!completed) {
+        const points = (this.props.annotationInProgress) ? this.props.annotationInProgress.points.length + 1 : 1;
+        this.announce(`Point ${points} placed. Move the cursor and place the next point${
+          (points >= 2) ? ', or finish the line' : ''}.`);
+      }
+      return Utility.stopEvent(e);
+    }
+    return undefined;
+  }
+
+  onBlur() {
+    this.setState({ keyboardCursor: null });
+  }
+
+  /*  The keyboard cursor starts at the last point of the line in progress, or
+      in the middle of the page.
+   */
+  getKeyboardCursor() {
+    if (this.state.keyboardCursor) return this.state.keyboardCursor;
+    const points = (this.props.annotationInProgress && this.props.annotationInProgress.points) || [];
+    if (points.length) return points[points.length - 1];
+    return { x: this.props.imageSize.width / 2, y: this.props.imageSize.height / 2 };
+  }
+
+  /*  Moves the keyboard cursor by a distance on screen, i.e. so the arrow keys
+      always move it up, down, left or right however the image is rotated.
+   */
+  moveKeyboardCursor(screenX, screenY) {
+    const position = this.getKeyboardCursor();
+    const rotation = (-this.props.rotation / 180) * Math.PI;
+    const dx = screenX / this.props.scaling;
+    const dy = screenY / this.props.scaling;
+    const keyboardCursor = {
+      x: Math.max(0, Math.min(this.props.imageSize.width,
+        position.x + ((dx * Math.cos(rotation)) - (dy * Math.sin(rotation))))),
+      y: Math.max(0, Math.min(this.props.imageSize.height,
+        position.y + ((dx * Math.sin(rotation)) + (dy * Math.cos(rotation))))),
+    };
+    this.setState({ keyboardCursor });
+
+    const across = Math.round((keyboardCursor.x / (this.props.imageSize.width || 1)) * 100);
+    const down = Math.round((keyboardCursor.y / (this.props.imageSize.height || 1)) * 100);
+    this.announce(`Cursor ${across}% across and ${down}% down the page.`, ANNOUNCE_DELAY);
+  }
+
+  announce(announcement, delay = 0) {
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      this.setState({ announcement });
+    }, delay);
   }
 
   /*  Once the Subject has been loaded properly, fit it into the SVG Viewer.
    */
-  onImageLoad() {
-    if (this.svgImage && this.svgImage.image) {
-      const imgW = (this.svgImage.image.width) ? this.svgImage.image.width : 1;
-      const imgH = (this.svgImage.image.height) ? this.svgImage.image.height : 1;
+  onImageLoad(imageSize) {
+    if (imageSize) {
+      const imgW = (imageSize.width) ? imageSize.width : 1;
+      const imgH = (imageSize.height) ? imageSize.height : 1;
 
       this.props.dispatch(setImageMetadata(this.props.frame, {
         naturalWidth: imgW,
@@ -332,6 +620,52 @@ class SubjectViewer extends React.Component {
     this.props.dispatch(setScaling(this.props.scaling - ZOOM_STEP));
   }
 
+  fitWidth() {
+    this.props.dispatch(fitView(VIEW_FIT.WIDTH));
+  }
+
+  fitHeight() {
+    this.props.dispatch(fitView(VIEW_FIT.HEIGHT));
+  }
+
+  useActualSize() {
+    this.props.dispatch(fitView(VIEW_FIT.ACTUAL_SIZE));
+  }
+
+  /*  Zooms to a new scale, keeping the part of the Subject under a point on
+      the Subject Viewer (e.g. the pointer) in the same place.
+      From getPointerXYOnImage(), a point on the viewer, relative to its centre,
+      is over (point / scaling - translation) before rotation. For that to be
+      the same at the new scale, the translation has to change by
+      (point / newScale - point / scaling).
+   */
+  zoomAt(newScale, pointerXY) {
+    const scaling = Math.max(MIN_SCALING, Math.min(MAX_SCALING, newScale));
+    const x = pointerXY.x - (this.props.viewerSize.width / 2);
+    const y = pointerXY.y - (this.props.viewerSize.height / 2);
+    this.props.dispatch(setScaling(scaling));
+    this.props.dispatch(setTranslation(
+      this.props.translationX + ((x / scaling) - (x / this.props.scaling)),
+      this.props.translationY + ((y / scaling) - (y / this.props.scaling)),
+    ));
+  }
+
+  onWheel(e) {
+    if (this.props.viewerState !== SUBJECTVIEWER_STATE.NAVIGATING &&
+        this.props.viewerState !== SUBJECTVIEWER_STATE.ANNOTATING) return undefined;
+    const delta = (e.deltaMode === 1) ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+    this.zoomAt(this.props.scaling * Math.exp(-delta * WHEEL_ZOOM_SPEED), this.getPointerXY(e));
+    return Utility.stopEvent(e);
+  }
+
+  toggleLoupe() {
+    this.props.dispatch(toggleLoupe());
+  }
+
+  setLoupeZoom(zoom) {
+    this.props.dispatch(setLoupeZoom(zoom));
+  }
+
   //----------------------------------------------------------------
 
   onMouseDown(e) {
@@ -368,22 +702,9 @@ class SubjectViewer extends React.Component {
       this.tmpTransform = false;
       return Utility.stopEvent(e);
     } else if (this.props.viewerState === SUBJECTVIEWER_STATE.ANNOTATING) {
-      const pointerXYOnImage = this.getPointerXYOnImage(e);
-      this.props.dispatch(addAnnotationPoint(pointerXYOnImage.x, pointerXYOnImage.y, this.props.frame));
-
-      if (this.context.googleLogger && !this.props.annotationInProgress) {
-        this.context.googleLogger.logEvent({ type: 'novel-transcription' });
-      }
-      //The second added point should automatically complete the annotation.
-      //As of Dec 2017 we've moved from multi-point lines to a line consisting
-      //of a start and end point, only.
-      if (this.props.annotationInProgress && this.props.annotationInProgress.points &&
-          this.props.annotationInProgress.points.length >= 1) {
-        this.props.dispatch(completeAnnotation());
+      if (this.placeAnnotationPoint(this.getPointerXYOnImage(e))) {
+        return Utility.stopEvent(e);
       }
-
-      //TODO: Check if there's an issue with addAnnotationPoint() completing AFTER completeAnnotation();
-      //I don't trust Redux.dispatch() to be synchronous given the weirdness we've seen. (@shaun 20171215)
     } else if (this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING) {
       this.setState({ cropping: INPUT_STATE.IDLE });
       this.props.dispatch(setViewerState(SUBJECTVIEWER_STATE.NAVIGATING));
@@ -391,6 +712,37 @@ class SubjectViewer extends React.Component {
     }
   }
 
+  /*  Adds a point (on the Subject image) to the line in progress, whether it
+      was placed with the mouse or the keyboard. Returns true if that finished
+      the line.
+   */
+  placeAnnotationPoint(pointOnImage) {
+    const points = (this.props.annotationInProgress && this.props.annotationInProgress.points) || [];
+
+    //In polyline mode, clicking on the last point again finishes the line.
+    if (this.props.drawingMode === DRAWING_MODE.POLYLINE && points.length > 0 &&
+        this.isOnPoint(pointOnImage, points[points.length - 1])) {
+      this.props.dispatch(completeAnnotation());
+      return true;
+    }
+
+    this.props.dispatch(addAnnotationPoint(pointOnImage.x, pointOnImage.y, this.props.frame));
+
+    if (this.context.googleLogger && !this.props.annotationInProgress) {
+      this.context.googleLogger.logEvent({ type: 'novel-transcription' });
+    }
+    //In (straight) line mode, the second added point should automatically
+    //complete the annotation.
+    if (this.props.drawingMode === DRAWING_MODE.LINE && points.length >= 1) {
+      this.props.dispatch(completeAnnotation());
+      return true;
+    }
+
+    //TODO: Check if there's an issue with addAnnotationPoint() completing AFTER completeAnnotation();
+    //I don't trust Redux.dispatch() to be synchronous given the weirdness we've seen. (@shaun 20171215)
+    return false;
+  }
+
   onMouseMove(e) {
     if (this.props.viewerState === SUBJECTVIEWER_STATE.NAVIGATING) {
       const pointerXY = this.getPointerXY(e);
@@ -426,6 +778,190 @@ class SubjectViewer extends React.Component {
     return Utility.stopEvent(e);
   }
 
+  //----------------------------------------------------------------
+
+  /*  Pointer input. The mouse works just as it does without Pointer Events
+      (see onMouseDown() etc.), except that pressing a line, or the handles of
+      the selected line, is left to the line. Touches and pens make gestures
+      (see startGesture()).
+   */
+  onPointerDown(e) {
+    if (e.pointerType === 'mouse') {
+      return (isOnAnnotation(e.target)) ? undefined : this.onMouseDown(e);
+    }
+
+    //Cropping works just like it does with the mouse.
+    if (this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING) {
+      this.setState({ mouseInViewer: true });
+      return this.onMouseDown(e);
+    }
+
+    if (this.svg.setPointerCapture) this.svg.setPointerCapture(e.pointerId);
+    this.ignoreNextClick = false;
+    this.touches[e.pointerId] = this.getPointerXY(e);
+    this.startGesture(e);
+    return Utility.stopEvent(e);
+  }
+
+  onPointerMove(e) {
+    if (e.pointerType === 'mouse') return this.onMouseMove(e);
+    if (!this.touches[e.pointerId] || !this.gesture) return undefined;
+    this.touches[e.pointerId] = this.getPointerXY(e);
+    const gesture = this.gesture;
+
+    if (gesture.type === 'drag') {
+      const now = this.touches[e.pointerId];
+      const delta = { x: now.x - gesture.start.x, y: now.y - gesture.start.y };
+      if (gesture.isTap && Math.sqrt((delta.x * delta.x) + (delta.y * delta.y)) < TAP_DISTANCE) {
+        return Utility.stopEvent(e);
+      }
+      gesture.isTap = false;
+      clearTimeout(this.longPressTimer);
+      this.props.dispatch(setTranslation(
+        gesture.translateX + (delta.x / gesture.scale),
+        gesture.translateY + (delta.y / gesture.scale),
+      ));
+    } else if (gesture.type === 'pinch') {
+      const pinch = this.getPinch();
+      const scale = Math.max(MIN_SCALING, Math.min(MAX_SCALING, (gesture.scale * pinch.distance) / gesture.distance));
+
+      //Keep the part of the Subject that was under the centre of the pinch
+      //under the centre of the pinch, wherever the fingers have moved to.
+      const halfWidth = this.props.viewerSize.width / 2;
+      const halfHeight = this.props.viewerSize.height / 2;
+      const pinchOffset = {
+        x: ((pinch.centre.x - halfWidth) / scale) - ((gesture.centre.x - halfWidth) / gesture.scale),
+        y: ((pinch.centre.y - halfHeight) / scale) - ((gesture.centre.y - halfHeight) / gesture.scale),
+      };
+      this.props.dispatch(setScaling(scale));
+      this.props.dispatch(setTranslation(
+        gesture.translateX + pinchOffset.x,
+        gesture.translateY + pinchOffset.y,
+      ));
+    }
+    return Utility.stopEvent(e);
+  }
+
+  onPointerUp(e) {
+    if (e.pointerType === 'mouse') {
+      //Releasing the mouse on a line selects it (see AnnotationsPane), rather
+      //than placing a point.
+      const isOnLine = this.props.viewerState === SUBJECTVIEWER_STATE.ANNOTATING && isOnAnnotation(e.target);
+      return (e.type === 'pointerup' && !isOnLine) ? this.onMouseUp(e) : undefined;
+    }
+
+    if (this.props.viewerState === SUBJECTVIEWER_STATE.CROPPING && !this.touches[e.pointerId]) {
+      return (e.type === 'pointerup') ? this.onMouseUp(e) : undefined;
+    }
+    if (!this.touches[e.pointerId]) return undefined;
+
+    const gesture = this.gesture;
+    delete this.touches[e.pointerId];
+    clearTimeout(this.longPressTimer);
+
+    //A tap works like a click: it places a point, unless it's on a line.
+    if (e.type === 'pointerup' && gesture && gesture.type === 'drag' && gesture.isTap &&
+        this.props.viewerState === SUBJECTVIEWER_STATE.ANNOTATING && !isOnAnnotation(e.target)) {
+      this.onMouseUp(e);
+    }
+
+    //Lifting one finger of a pinch carries on with a drag.
+    if (Object.keys(this.touches).length) {
+      this.startGesture(null);
+    } else {
+      this.gesture = null;
+    }
+    return Utility.stopEvent(e);
+  }
+
+  /*  Works out what the pointers that are down are doing: one drags (or taps,
+      or long presses, if it hasn't moved) and two pinch. Gestures start afresh
+      whenever a pointer is added or removed.
+   */
+  startGesture(e) {
+    const transform = {
+      scale: this.props.scaling,
+      translateX: this.props.translationX,
+      translateY: this.props.translationY,
+    };
+    const ids = Object.keys(this.touches);
+    clearTimeout(this.longPressTimer);
+
+    if (ids.length === 1) {
+      //Only a new touch (with an event) can be a tap or a long press.
+      this.gesture = Object.assign(transform, { type: 'drag', start: this.touches[ids[0]], isTap: !!e });
+      if (e) {
+        const clientX = e.clientX;
+        const clientY = e.clientY;
+        this.longPressTimer = setTimeout(() => { this.onLongPress(clientX, clientY); }, LONG_PRESS_DELAY);
+      }
+    } else {
+      const pinch = this.getPinch();
+      this.gesture = Object.assign(transform, { type: 'pinch', centre: pinch.centre, distance: pinch.distance });
+    }
+  }
+
+  /*  The centre of, and distance between, the first two touches.
+   */
+  getPinch() {
+    const ids = Object.keys(this.touches);
+    const a = this.touches[ids[0]];
+    const b = this.touches[ids[1]] || a;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return {
+      centre: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.max(1, Math.sqrt((dx * dx) + (dy * dy))),
+    };
+  }
+
+  /*  Selects the line under (or, since fingers aren't very precise, near) a
+      long press. Lines that can be selected are marked by AnnotationsPane.
+   */
+  onLongPress(clientX, clientY) {
+    if (!this.gesture || !this.gesture.isTap) return;
+    this.gesture.isTap = false;
+
+    const offsets = [{ x: 0, y: 0 }];
+    for (let angle = 0; angle < 360; angle += 45) {
+      const radians = (angle / 180) * Math.PI;
+      [0.5, 1].forEach((distance) => {
+        offsets.push({
+          x: Math.cos(radians) * LONG_PRESS_RADIUS * distance,
+          y: Math.sin(radians) * LONG_PRESS_RADIUS * distance,
+        });
+      });
+    }
+
+    for (let i = 0; i < offsets.length; i += 1) {
+      const element = document.elementFromPoint(clientX + offsets[i].x, clientY + offsets[i].y);
+      const annotation = element && element.closest && element.closest('[data-annotation-index]');
+      if (annotation) {
+        this.ignoreNextClick = true;  //i.e. the click when the finger's lifted.
+        this.onSelectAnnotation(
+          parseInt(annotation.getAttribute('data-annotation-index'), 10),
+          annotation.getAttribute('data-previous-annotation') === 'true',
+        );
+        return;
+      }
+    }
+  }
+
+  onPointerEnter(e) {
+    return (e.pointerType === 'mouse') ? this.onMouseEnter(e) : undefined;
+  }
+
+  onPointerLeave(e) {
+    return (e.pointerType === 'mouse') ? this.onMouseLeave(e) : undefined;
+  }
+
+  onClickCapture(e) {
+    if (this.ignoreNextClick) {
+      this.ignoreNextClick = false;
+      Utility.stopEvent(e);
+    }
+  }
+
   closePopup() {
     this.setState({ popup: null });
   }
@@ -465,11 +1001,10 @@ class SubjectViewer extends React.Component {
     const boundingBox = this.getBoundingBox();
     let clientX = 0;
     let clientY = 0;
-    if (e.clientX && e.clientY) {
+    if (typeof e.clientX === 'number' && typeof e.clientY === 'number') {
       clientX = e.clientX;
       clientY = e.clientY;
-    } else if (e.touches && e.touches.length > 0 && e.touches[0].clientX &&
-        e.touches[0].clientY) {
+    } else if (e.touches && e.touches.length > 0) {
       clientX = e.touches[0].clientX;
       clientY = e.touches[0].clientY;
     }
@@ -523,6 +1058,16 @@ class SubjectViewer extends React.Component {
     return { x: inputX, y: inputY };
   }
 
+  /*  Checks if a point on the Subject image is close enough to another that,
+      on screen, the user would consider it to be the same point.
+   */
+  isOnPoint(pointOnImage, targetOnImage) {
+    const dx = pointOnImage.x - targetOnImage.x;
+    const dy = pointOnImage.y - targetOnImage.y;
+    const distance = Math.sqrt((dx * dx) + (dy * dy));
+    return distance * this.props.scaling <= SAME_POINT_DISTANCE;
+  }
+
   closePopup() {
     this.setState({ popup: null });
   }
@@ -544,9 +1089,18 @@ SubjectViewer.propTypes = {
     already_seen: PropTypes.bool,
     src: PropTypes.string,
   }),
+  imageMetadata: PropTypes.arrayOf(PropTypes.shape({
+    naturalWidth: PropTypes.number,
+    naturalHeight: PropTypes.number,
+  })),
   //--------
-  contrast: PropTypes.bool,
+  imageFilters: PropTypes.shape({
+    invert: PropTypes.bool,
+  }),
+  drawingMode: PropTypes.string,
   frame: PropTypes.number,
+  loupe: PropTypes.bool,
+  loupeZoom: PropTypes.number,
   rotation: PropTypes.number,
   scaling: PropTypes.number,
   translationX: PropTypes.number,
@@ -588,6 +1142,7 @@ SubjectViewer.propTypes = {
       y: PropTypes.number,
     })),
   }),
+  shortcuts: PropTypes.objectOf(PropTypes.string),
   workflow: PropTypes.shape({
     id: PropTypes.string,
   }),
@@ -598,9 +1153,13 @@ SubjectViewer.defaultProps = {
   //-------
   alreadySeen: [],
   currentSubject: null,
+  imageMetadata: [],
   //-------
-  contrast: false,
+  imageFilters: DEFAULT_IMAGE_FILTERS,
+  drawingMode: DRAWING_MODE.LINE,
   frame: 0,
+  loupe: false,
+  loupeZoom: 2,
   rotation: 0,
   scaling: 1,
   selectedAnnotation: null,
@@ -622,6 +1181,7 @@ SubjectViewer.defaultProps = {
   annotations: [],
   //--------
   reminderSeen: false,
+  shortcuts: {},
   workflow: null,
 };
 
@@ -638,9 +1198,13 @@ const mapStateToProps = (state) => {  //Listens for changes in the Redux Store
     //--------
     alreadySeen: state.subject.alreadySeen,
     currentSubject: state.subject.currentSubject,
+    imageMetadata: state.subject.imageMetadata,
     //--------
-    contrast: sv.contrast,
+    imageFilters: sv.imageFilters,
+    drawingMode: sv.drawingMode,
     frame: sv.frame,
+    loupe: sv.loupe,
+    loupeZoom: sv.loupeZoom,
     rotation: sv.rotation,
     scaling: sv.scaling,
     translationX: sv.translationX,
@@ -656,6 +1220,7 @@ const mapStateToProps = (state) => {  //Listens for changes in the Redux Store
     //--------
     reminderSeen: state.project.reminderSeen,
     selectedAnnotation: state.annotations.selectedAnnotation,
+    shortcuts: state.project.shortcuts,
     workflow: state.workflow.data,
   };
 };
@@ -14,6 +14,11 @@ const DELETE_SELECTED_ANNOTATION = 'DELETE_SELECTED_ANNOTATION';
 const COLLABORATE_WITH_ANNOTATION = 'COLLABORATE_WITH_ANNOTATION';
 const UPDATE_TEXT = 'UPDATE_TEXT';
 const SET_ANNOTATIONS = 'SET_ANNOTATIONS';
+const MOVE_ANNOTATION_POINT = 'MOVE_ANNOTATION_POINT';
+const INSERT_ANNOTATION_POINT = 'INSERT_ANNOTATION_POINT';
+const REMOVE_ANNOTATION_POINT = 'REMOVE_ANNOTATION_POINT';
+const UNDO_ANNOTATION_CHANGE = 'UNDO_ANNOTATION_CHANGE';
+const REDO_ANNOTATION_CHANGE = 'REDO_ANNOTATION_CHANGE';
 
 //Misc Constants
 const ANNOTATION_STATUS = {
@@ -21,6 +26,26 @@ const ANNOTATION_STATUS = {
   IN_PROGRESS: 'annotation_status_in_progress',
 };
 
+//Actions that change the user's Annotations, and can therefore be undone.
+const UNDOABLE_ACTIONS = [
+  ADD_ANNOTATION_POINT,
+  COMPLETE_ANNOTATION,
+  COLLABORATE_WITH_ANNOTATION,
+  UPDATE_TEXT,
+  DELETE_SELECTED_ANNOTATION,
+  SET_ANNOTATIONS,
+  MOVE_ANNOTATION_POINT,
+  INSERT_ANNOTATION_POINT,
+  REMOVE_ANNOTATION_POINT,
+];
+
+//A line needs a start and an end.
+const MIN_POINTS = 2;
+
+//The undo history is reset with every new Subject, so this is effectively the
+//maximum number of steps a volunteer can undo on a single Subject.
+const MAX_HISTORY = 50;
+
 //------------------------------------------------------------------------------
 
 //Reducer
@@ -31,6 +56,8 @@ const ANNOTATION_STATUS = {
 //    { x: 20, y: 5 }, ...
 //  ]
 //}
+//Annotations that agree with a Previous Annotation also record the id of that
+//Previous Annotation as `previousAnnotationId`.
 
 const initialState = {
   status: ANNOTATION_STATUS.IDLE,
@@ -39,16 +66,45 @@ const initialState = {
   annotations: [],  //Completed annotations.
   selectedAnnotation: null,  //Existing annotation that's been selected, by clicking on them. null if nothing is selected.
   selectedAnnotationIndex: null,
+  undoHistory: [],  //Snapshots of earlier states, most recent last.
+  redoHistory: [],  //Snapshots of undone states, most recent last.
 };
 
-const annotationsReducer = (state = initialState, action) => {
+/*  Applies changes to (a copy of) the points of the selected user Annotation.
+    `change` returns the updated points, or null if there's nothing to change.
+ */
+const updateSelectedPoints = (state, change) => {
+  const index = state.selectedAnnotationIndex;
+  const annotation = (state.annotations && index !== null) ? state.annotations[index] : null;
+  if (!annotation || !state.selectedAnnotation || state.selectedAnnotation.previousAnnotation) return state;
+
+  const points = change(annotation.points.slice());
+  if (!points) return state;
+
+  const updatedAnnotation = Object.assign({}, annotation, { points });
+  const annotations = state.annotations.slice();
+  annotations[index] = updatedAnnotation;
+
+  return Object.assign({}, state, {
+    annotations,
+    selectedAnnotation: updatedAnnotation,
+  });
+};
+
+/*  The Annotations reducer proper. Every case must treat the state as
+    immutable (copy, don't modify), since the undo/redo history keeps
+    references to earlier versions of the state.
+ */
+const changeAnnotations = (state, action) => {
   switch (action.type) {
     case RESET_ANNOTATIONS:
       return initialState;
 
     case ADD_ANNOTATION_POINT:
       const annotationInProgress = (state.annotationInProgress)
-        ? Object.assign({}, state.annotationInProgress) //Create a copy, don't modify the existing object.
+        ? Object.assign({}, state.annotationInProgress, {  //Create a copy, don't modify the existing object.
+          points: state.annotationInProgress.points.slice(),
+        })
         : { details: [{value: ''}], points: [], frame: action.frame };
       annotationInProgress.points.push({ x: action.x, y: action.y });
       return Object.assign({}, state, {
@@ -57,8 +113,9 @@ const annotationsReducer = (state = initialState, action) => {
       });
 
     case COMPLETE_ANNOTATION:
+      if (!state.annotationInProgress || state.annotationInProgress.points.length < MIN_POINTS) return state;
       const annotations = (state.annotations)
-        ? state.annotations.splice(0)  //Make a copy, don't just modify the current object, just to be sure we trigger Redux-React changers.
+        ? state.annotations.slice()  //Make a copy, so Redux-React notices the change.
         : [];
       annotations.push(state.annotationInProgress);
       const endPoint = state.annotationInProgress.points[state.annotationInProgress.points.length - 1];
@@ -72,7 +129,8 @@ const annotationsReducer = (state = initialState, action) => {
       });
 
     case SELECT_ANNOTATION:
-      const selectedAnnotation = action.annotation ? action.annotation : null;
+      if (!action.annotation) return state;
+      const selectedAnnotation = action.annotation;
       const annotationPanePosition = selectedAnnotation.points[selectedAnnotation.points.length - 1];
       return Object.assign({}, state, {
         selectedAnnotation,
@@ -82,12 +140,13 @@ const annotationsReducer = (state = initialState, action) => {
 
     case COLLABORATE_WITH_ANNOTATION:
       const userAnnotations = (state.annotations)
-        ? state.annotations.splice(0)
+        ? state.annotations.slice()
         : [];
       const newAnnotation = {
         details: [{ value: action.text }],
         points: action.annotation.points,
-        frame: action.annotation.frame
+        frame: action.annotation.frame,
+        previousAnnotationId: action.annotation.id,
       };
       userAnnotations.push(newAnnotation);
 
@@ -103,11 +162,37 @@ const annotationsReducer = (state = initialState, action) => {
     case UPDATE_TEXT:
       const newDetails = [{value: action.text}];
       const annotationCopy = state.annotations.slice();
-      const updatedAnnotation = annotationCopy[state.selectedAnnotationIndex];
-      updatedAnnotation.details = newDetails;
+      const updatedAnnotation = Object.assign({}, annotationCopy[state.selectedAnnotationIndex], {
+        details: newDetails,
+      });
+      annotationCopy[state.selectedAnnotationIndex] = updatedAnnotation;
 
       return Object.assign({}, state, {
-        annotations: annotationCopy
+        annotations: annotationCopy,
+        selectedAnnotation: updatedAnnotation,
+      });
+
+    case MOVE_ANNOTATION_POINT:
+      return updateSelectedPoints(state, (points) => {
+        if (!points[action.pointIndex]) return null;
+        return points.map((point, index) => {
+          return (index === action.pointIndex) ? { x: action.x, y: action.y } : point;
+        });
+      });
+
+    case INSERT_ANNOTATION_POINT:
+      return updateSelectedPoints(state, (points) => {
+        //The new point goes right after the point at pointIndex.
+        if (action.pointIndex < 0 || action.pointIndex >= points.length) return null;
+        points.splice(action.pointIndex + 1, 0, { x: action.x, y: action.y });
+        return points;
+      });
+
+    case REMOVE_ANNOTATION_POINT:
+      return updateSelectedPoints(state, (points) => {
+        if (points.length <= MIN_POINTS || !points[action.pointIndex]) return null;
+        points.splice(action.pointIndex, 1);
+        return points;
       });
 
     case UNSELECT_ANNOTATION:
@@ -137,6 +222,87 @@ const annotationsReducer = (state = initialState, action) => {
   }
 };
 
+/*  A snapshot records only the parts of the state that undo/redo restores.
+    Selections aren't restored; undoing or redoing always clears them.
+ */
+const takeSnapshot = (state, type) => {
+  return {
+    type,
+    annotationInProgress: state.annotationInProgress,
+    annotations: state.annotations,
+  };
+};
+
+const restoreSnapshot = (state, snapshot, undoHistory, redoHistory) => {
+  return Object.assign({}, state, {
+    status: (snapshot.annotationInProgress) ? ANNOTATION_STATUS.IN_PROGRESS : ANNOTATION_STATUS.IDLE,
+    annotationInProgress: snapshot.annotationInProgress,
+    annotations: snapshot.annotations,
+    annotationPanePosition: null,
+    selectedAnnotation: null,
+    selectedAnnotationIndex: null,
+    undoHistory,
+    redoHistory,
+  });
+};
+
+/*  Steps back (undo) or forward (redo) through the history, recording the
+    current state on the opposite history.
+ */
+const undoChange = (state) => {
+  if (!state.undoHistory.length) return state;
+  const snapshot = state.undoHistory[state.undoHistory.length - 1];
+  return restoreSnapshot(state, snapshot,
+    state.undoHistory.slice(0, -1),
+    state.redoHistory.concat(takeSnapshot(state, snapshot.type)),
+  );
+};
+
+const redoChange = (state) => {
+  if (!state.redoHistory.length) return state;
+  const snapshot = state.redoHistory[state.redoHistory.length - 1];
+  return restoreSnapshot(state, snapshot,
+    state.undoHistory.concat(takeSnapshot(state, snapshot.type)),
+    state.redoHistory.slice(0, -1),
+  );
+};
+
+const annotationsReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case UNDO_ANNOTATION_CHANGE:
+      return undoChange(state);
+
+    case REDO_ANNOTATION_CHANGE:
+      return redoChange(state);
+
+    default:
+      break;
+  }
+
+  const newState = changeAnnotations(state, action);
+  if (newState === state || !UNDOABLE_ACTIONS.includes(action.type)) return newState;
+
+  //Record the state before the change. Completing an Annotation folds all the
+  //points that were added to it into a single step, so that one undo removes
+  //the whole line instead of its points one by one.
+  let undoHistory = state.undoHistory.slice();
+  let snapshot = takeSnapshot(state, action.type);
+  if (action.type === COMPLETE_ANNOTATION) {
+    while (undoHistory.length && undoHistory[undoHistory.length - 1].type === ADD_ANNOTATION_POINT) {
+      snapshot = Object.assign({}, undoHistory.pop(), { type: COMPLETE_ANNOTATION });
+    }
+  }
+  undoHistory.push(snapshot);
+  if (undoHistory.length > MAX_HISTORY) {
+    undoHistory = undoHistory.slice(undoHistory.length - MAX_HISTORY);
+  }
+
+  return Object.assign({}, newState, {
+    undoHistory,
+    redoHistory: [],  //Any new change makes the undone steps unreachable.
+  });
+};
+
 //------------------------------------------------------------------------------
 
 //Action Creators
@@ -168,7 +334,7 @@ const selectAnnotation = (index, previousAnnotation) => {
 
     // If an Annotation is already selected, don't allow a new Annotation to be selected over it.
     // Instead, use unselectAnnotation() to get a clean slate first.
-    if (annotation && getState().annotations.selectedAnnotation) return;
+    if (!annotation || getState().annotations.selectedAnnotation) return;
 
     dispatch({
       type: SELECT_ANNOTATION,
@@ -199,7 +365,10 @@ const deleteSelectedAnnotation = () => {
 };
 
 const completeAnnotation = () => {
-  return (dispatch) => {
+  return (dispatch, getState) => {
+    const annotationInProgress = getState().annotations.annotationInProgress;
+    if (!annotationInProgress || annotationInProgress.points.length < MIN_POINTS) return;
+
     dispatch({
       type: COMPLETE_ANNOTATION,
     });
@@ -235,6 +404,70 @@ const setAnnotations = (annotations) => {
   };
 };
 
+/*  Edit the line of the selected user Annotation.
+    pointIndex is the index of the point being moved or removed, or the point
+    right before the newly inserted one.
+ */
+const moveAnnotationPoint = (pointIndex, x, y) => {
+  return (dispatch) => {
+    dispatch({
+      type: MOVE_ANNOTATION_POINT,
+      pointIndex,
+      x,
+      y,
+    });
+  };
+};
+
+const insertAnnotationPoint = (pointIndex, x, y) => {
+  return (dispatch) => {
+    dispatch({
+      type: INSERT_ANNOTATION_POINT,
+      pointIndex,
+      x,
+      y,
+    });
+  };
+};
+
+const removeAnnotationPoint = (pointIndex) => {
+  return (dispatch) => {
+    dispatch({
+      type: REMOVE_ANNOTATION_POINT,
+      pointIndex,
+    });
+  };
+};
+
+const restoreAnnotationContext = () => {
+  return (dispatch, getState) => {
+    if (getState().annotations.annotationInProgress) {
+      dispatch(setViewerState(SUBJECTVIEWER_STATE.ANNOTATING));
+    }
+  };
+};
+
+/*  Undo/redo the last change to the user's Annotations. If that brings back an
+    Annotation that was still being drawn, the user can carry on drawing it.
+    NOTE: the Previous Annotations the user agreed with may have changed too;
+    follow up with previousAnnotations.syncPreviousAnnotations().
+ */
+const undoAnnotationChange = () => {
+  return (dispatch, getState) => {
+    if (!getState().annotations.undoHistory.length) return;
+    dispatch({ type: UNDO_ANNOTATION_CHANGE });
+    dispatch(restoreAnnotationContext());
+  };
+};
+
+const redoAnnotationChange = () => {
+  return (dispatch, getState) => {
+    if (!getState().annotations.redoHistory.length) return;
+    dispatch({ type: REDO_ANNOTATION_CHANGE });
+    dispatch(restoreAnnotationContext());
+  };
+};
+
 export default annotationsReducer;
 
 //------------------------------------------------------------------------------
@@ -248,4 +481,6 @@ export {
   deleteSelectedAnnotation,
   collaborateWithAnnotation,
   updateText, ANNOTATION_STATUS,
+  undoAnnotationChange, redoAnnotationChange,
+  moveAnnotationPoint, insertAnnotationPoint, removeAnnotationPoint,
 };
@@ -0,0 +1,269 @@
+import { expect } from 'chai';
+import { createMockStore } from '../../test/helpers';
+import annotationsReducer, {
+  addAnnotationPoint,
+  collaborateWithAnnotation,
+  completeAnnotation,
+  deleteSelectedAnnotation,
+  insertAnnotationPoint,
+  moveAnnotationPoint,
+  redoAnnotationChange,
+  removeAnnotationPoint,
+  resetAnnotations,
+  selectAnnotation,
+  setAnnotations,
+  undoAnnotationChange,
+  unselectAnnotation,
+  updateText,
+  ANNOTATION_STATUS,
+} from './annotations';
+import { SUBJECTVIEWER_STATE } from './subject-viewer';
+
+const initialState = () => annotationsReducer(undefined, { type: '@@INIT' });
+
+const withAnnotations = (state, action) => {
+  return Object.assign({}, state, { annotations: annotationsReducer(state.annotations, action) });
+};
+
+//Runs the action creators against the real reducer, and returns the final state.
+const run = (...actionCreators) => {
+  const store = createMockStore({ annotations: initialState(), previousAnnotations: { marks: [] } }, withAnnotations);
+  actionCreators.forEach(actionCreator => store.dispatch(actionCreator));
+  return store.getState().annotations;
+};
+
+const drawLine = (...points) => {
+  return points.map(([x, y]) => addAnnotationPoint(x, y, 0)).concat(completeAnnotation());
+};
+
+describe('ducks/annotations', () => {
+  describe('reducer', () => {
+    it('builds up the Annotation in progress, point by point', () => {
+      const state = run(addAnnotationPoint(1, 2, 3), addAnnotationPoint(4, 5, 3));
+      expect(state.status).to.equal(ANNOTATION_STATUS.IN_PROGRESS);
+      expect(state.annotationInProgress).to.deep.equal({
+        details: [{ value: '' }],
+        points: [{ x: 1, y: 2 }, { x: 4, y: 5 }],
+        frame: 3,
+      });
+      expect(state.annotations).to.deep.equal([]);
+    });
+
+    it('completes an Annotation with at least two points, and selects it', () => {
+      const state = run(...drawLine([1, 2], [4, 5], [7, 8]));
+      expect(state.status).to.equal(ANNOTATION_STATUS.IDLE);
+      expect(state.annotationInProgress).to.equal(null);
+      expect(state.annotations).to.have.length(1);
+      expect(state.selectedAnnotation).to.equal(state.annotations[0]);
+      expect(state.selectedAnnotationIndex).to.equal(0);
+      expect(state.annotationPanePosition).to.deep.equal({ x: 7, y: 8 });
+    });
+
+    it('doesn\'t complete an Annotation with a single point', () => {
+      const state = annotationsReducer(
+        run(addAnnotationPoint(1, 2, 0)),
+        { type: 'COMPLETE_ANNOTATION' },
+      );
+      expect(state.annotations).to.deep.equal([]);
+      expect(state.annotationInProgress.points).to.have.length(1);
+    });
+
+    it('updates the text of the selected Annotation', () => {
+      const state = run(...drawLine([1, 2], [4, 5]), updateText('hello'));
+      expect(state.annotations[0].details).to.deep.equal([{ value: 'hello' }]);
+      expect(state.selectedAnnotation).to.equal(state.annotations[0]);
+    });
+
+    it('deletes the selected Annotation, and unselects it', () => {
+      const state = run(...drawLine([1, 2], [4, 5]), ...drawLine([6, 7], [8, 9]), deleteSelectedAnnotation());
+      expect(state.annotations).to.have.length(1);
+      expect(state.annotations[0].points[0]).to.deep.equal({ x: 1, y: 2 });
+      expect(state.selectedAnnotation).to.equal(null);
+      expect(state.selectedAnnotationIndex).to.equal(null);
+      expect(state.annotationPanePosition).to.equal(null);
+    });
+
+    it('adds an Agreement Annotation linked to its Previous Annotation', () => {
+      const previousAnnotation = { id: 'frame0:1,2;3,4', points: [{ x: 1, y: 2 }, { x: 3, y: 4 }], frame: 0 };
+      const state = run(collaborateWithAnnotation(previousAnnotation, 'agreed'));
+      expect(state.annotations).to.deep.equal([{
+        details: [{ value: 'agreed' }],
+        points: previousAnnotation.points,
+        frame: 0,
+        previousAnnotationId: 'frame0:1,2;3,4',
+      }]);
+    });
+
+    it('moves, inserts and removes points of the selected Annotation', () => {
+      let state = run(...drawLine([0, 0], [10, 0], [20, 0]), moveAnnotationPoint(1, 10, 5));
+      expect(state.annotations[0].points).to.deep.equal([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 20, y: 0 }]);
+      expect(state.selectedAnnotation).to.equal(state.annotations[0]);
+
+      state = annotationsReducer(state, { type: 'INSERT_ANNOTATION_POINT', pointIndex: 0, x: 5, y: 1 });
+      expect(state.annotations[0].points.map(point => point.x)).to.deep.equal([0, 5, 10, 20]);
+
+      state = annotationsReducer(state, { type: 'REMOVE_ANNOTATION_POINT', pointIndex: 2 });
+      expect(state.annotations[0].points.map(point => point.x)).to.deep.equal([0, 5, 20]);
+    });
+
+    it('keeps at least two points on a line', () => {
+      const before = run(...drawLine([0, 0], [10, 0]));
+      const after = annotationsReducer(before, { type: 'REMOVE_ANNOTATION_POINT', pointIndex: 0 });
+      expect(after).to.equal(before);
+    });
+
+    it('ignores point edits with nothing selected, or out of range', () => {
+      const drawn = run(...drawLine([0, 0], [10, 0]));
+      expect(annotationsReducer(drawn, { type: 'MOVE_ANNOTATION_POINT', pointIndex: 5, x: 1, y: 1 })).to.equal(drawn);
+      expect(annotationsReducer(drawn, { type: 'INSERT_ANNOTATION_POINT', pointIndex: 2, x: 1, y: 1 })).to.equal(drawn);
+
+      const unselected = annotationsReducer(drawn, { type: 'UNSELECT_ANNOTATION' });
+      expect(annotationsReducer(unselected, { type: 'MOVE_ANNOTATION_POINT', pointIndex: 0, x: 1, y: 1 }))
+        .to.equal(unselected);
+    });
+
+    it('undoes a whole line in one step, and redoes it', () => {
+      const drawn = run(...drawLine([0, 0], [10, 0], [20, 0]));
+      expect(drawn.undoHistory).to.have.length(1);
+
+      const undone = annotationsReducer(drawn, { type: 'UNDO_ANNOTATION_CHANGE' });
+      expect(undone.annotations).to.deep.equal([]);
+      expect(undone.annotationInProgress).to.equal(null);
+      expect(undone.redoHistory).to.have.length(1);
+
+      const redone = annotationsReducer(undone, { type: 'REDO_ANNOTATION_CHANGE' });
+      expect(redone.annotations).to.deep.equal(drawn.annotations);
+      expect(redone.selectedAnnotation).to.equal(null);
+      expect(redone.undoHistory).to.have.length(1);
+      expect(redone.redoHistory).to.have.length(0);
+    });
+
+    it('forgets the undone steps after a new change', () => {
+      const undone = annotationsReducer(run(...drawLine([0, 0], [10, 0])), { type: 'UNDO_ANNOTATION_CHANGE' });
+      const changed = annotationsReducer(undone, { type: 'ADD_ANNOTATION_POINT', x: 1, y: 1, frame: 0 });
+      expect(changed.redoHistory).to.deep.equal([]);
+    });
+
+    it('can undo replacing the Annotations, but starts afresh when they\'re reset', () => {
+      const drawn = run(...drawLine([0, 0], [10, 0]));
+      const annotations = [{ details: [{ value: 'saved' }], points: [{ x: 1, y: 1 }, { x: 2, y: 2 }], frame: 0 }];
+
+      const replaced = annotationsReducer(drawn, { type: 'SET_ANNOTATIONS', annotations });
+      expect(replaced.annotations).to.equal(annotations);
+      expect(replaced.undoHistory).to.have.length(2);
+
+      const undone = annotationsReducer(replaced, { type: 'UNDO_ANNOTATION_CHANGE' });
+      expect(undone.annotations).to.deep.equal(drawn.annotations);
+
+      const reset = annotationsReducer(replaced, { type: 'RESET_ANNOTATIONS' });
+      expect(reset).to.deep.equal(initialState());
+    });
+  });
+
+  describe('action creators', () => {
+    const emptyState = () => ({
+      annotations: initialState(),
+      previousAnnotations: { marks: [] },
+    });
+
+    it('resetAnnotations() and setAnnotations() dispatch their actions', () => {
+      const store = createMockStore(emptyState());
+      store.dispatch(resetAnnotations());
+      store.dispatch(setAnnotations([]));
+      expect(store.actions).to.deep.equal([
+        { type: 'RESET_ANNOTATIONS' },
+        { type: 'SET_ANNOTATIONS', annotations: [] },
+      ]);
+    });
+
+    it('completeAnnotation() finishes the line, then stops annotating', () => {
+      const state = emptyState();
+      state.annotations = run(addAnnotationPoint(1, 2, 0), addAnnotationPoint(3, 4, 0));
+      const store = createMockStore(state);
+      store.dispatch(completeAnnotation());
+      expect(store.actions).to.deep.equal([
+        { type: 'COMPLETE_ANNOTATION' },
+        { type: 'SET_VIEWER_STATE', viewerState: SUBJECTVIEWER_STATE.IDLE },
+      ]);
+    });
+
+    it('completeAnnotation() does nothing if the line is too short', () => {
+      const state = emptyState();
+      state.annotations = run(addAnnotationPoint(1, 2, 0));
+      const store = createMockStore(state);
+      store.dispatch(completeAnnotation());
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('selectAnnotation() selects a user or Previous Annotation', () => {
+      const state = emptyState();
+      state.annotations = run(...drawLine([0, 0], [10, 0]), unselectAnnotation());
+      state.previousAnnotations = { marks: [{ id: 'previous', points: [{ x: 1, y: 1 }] }] };
+
+      let store = createMockStore(state);
+      store.dispatch(selectAnnotation(0, false));
+      expect(store.actions).to.deep.equal([
+        { type: 'SELECT_ANNOTATION', annotation: state.annotations.annotations[0], index: 0 },
+        { type: 'SET_VIEWER_STATE', viewerState: SUBJECTVIEWER_STATE.IDLE },
+      ]);
+
+      store = createMockStore(state);
+      store.dispatch(selectAnnotation(0, true));
+      expect(store.actions[0].annotation).to.equal(state.previousAnnotations.marks[0]);
+    });
+
+    it('selectAnnotation() won\'t select over an already selected Annotation', () => {
+      const state = emptyState();
+      state.annotations = run(...drawLine([0, 0], [10, 0]));
+      const store = createMockStore(state);
+      store.dispatch(selectAnnotation(0, false));
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('unselectAnnotation() goes back to annotating', () => {
+      const store = createMockStore(emptyState());
+      store.dispatch(unselectAnnotation());
+      expect(store.actions).to.deep.equal([
+        { type: 'UNSELECT_ANNOTATION' },
+        { type: 'SET_VIEWER_STATE', viewerState: SUBJECTVIEWER_STATE.ANNOTATING },
+      ]);
+    });
+
+    it('the point edits dispatch the point index and position', () => {
+      const store = createMockStore(emptyState());
+      store.dispatch(moveAnnotationPoint(1, 2, 3));
+      store.dispatch(insertAnnotationPoint(1, 2, 3));
+      store.dispatch(removeAnnotationPoint(1));
+      expect(store.actions).to.deep.equal([
+        { type: 'MOVE_ANNOTATION_POINT', pointIndex: 1, x: 2, y: 3 },
+        { type: 'INSERT_ANNOTATION_POINT', pointIndex: 1, x: 2, y: 3 },
+        { type: 'REMOVE_ANNOTATION_POINT', pointIndex: 1 },
+      ]);
+    });
+
+    it('undoAnnotationChange() and redoAnnotationChange() do nothing without a history', () => {
+      const store = createMockStore(emptyState());
+      store.dispatch(undoAnnotationChange());
+      store.dispatch(redoAnnotationChange());
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('undoAnnotationChange() and redoAnnotationChange() resume an unfinished line', () => {
+      const state = emptyState();
+      state.annotations = run(addAnnotationPoint(1, 2, 0), addAnnotationPoint(3, 4, 0));
+      const store = createMockStore(state, withAnnotations);
+      store.dispatch(undoAnnotationChange());
+      expect(store.types()).to.deep.equal(['UNDO_ANNOTATION_CHANGE', 'SET_VIEWER_STATE']);
+      expect(store.actions[1].viewerState).to.equal(SUBJECTVIEWER_STATE.ANNOTATING);
+
+      store.actions = [];
+      store.dispatch(undoAnnotationChange());
+      expect(store.types()).to.deep.equal(['UNDO_ANNOTATION_CHANGE']);
+      expect(store.getState().annotations.annotationInProgress).to.equal(null);
+
+      store.actions = [];
+      store.dispatch(redoAnnotationChange());
+      expect(store.types()).to.deep.equal(['REDO_ANNOTATION_CHANGE', 'SET_VIEWER_STATE']);
+    });
+  });
+});
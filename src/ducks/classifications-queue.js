@@ -0,0 +1,317 @@
+/*
+Classifications Queue
+---------------------
+
+Sends the Classifications waiting in the local queue (see
+lib/classifications-queue.js) to Panoptes, and keeps track of how many are
+still waiting.
+
+- Saving is attempted whenever a Classification is submitted, when the browser
+  comes back online, and periodically in the background.
+- If an attempt fails, the next background attempt is delayed, doubling each
+  time (up to MAX_RETRY_DELAY) until an attempt succeeds.
+- Classifications that Panoptes rejects outright (422) are taken out of the
+  queue, since resending them will never work, and kept aside so the volunteer
+  can still download them (see PendingSubmissions).
+
+ */
+
+import apiClient from 'panoptes-client/lib/api-client.js';
+import { Split } from 'seven-ten';
+import { addAlreadySeen } from './subject';
+import {
+  addToRejected, loadQueue, loadRejected, removeFromQueue, removeFromRejected,
+  storeQueue, summariseClassification,
+} from '../lib/classifications-queue';
+
+const RETRY_INTERVAL = 15 * 1000;  //How often we check if it's time to retry.
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+//Action Types
+const UPDATE_QUEUE_LENGTH = 'UPDATE_QUEUE_LENGTH';
+const SAVE_QUEUED_CLASSIFICATIONS = 'SAVE_QUEUED_CLASSIFICATIONS';
+const SAVE_QUEUED_CLASSIFICATIONS_FINISHED = 'SAVE_QUEUED_CLASSIFICATIONS_FINISHED';
+
+const QUEUE_STATUS = {
+  IDLE: 'queue_status_idle',
+  SAVING: 'queue_status_saving',
+};
+
+const initialState = {
+  status: QUEUE_STATUS.IDLE,
+  length: 0,  //Number of Classifications waiting to be sent.
+  rejectedLength: 0,  //Number of Classifications Panoptes rejected.
+  lastError: null,  //{ message, status, timestamp } of the last failed attempt, cleared once everything is sent.
+  failedAttempts: 0,  //Consecutive failed attempts, used for the backoff.
+  nextRetry: null,  //Timestamp (ms) before which background retries shouldn't happen.
+};
+
+const classificationsQueueReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case UPDATE_QUEUE_LENGTH:
+      return Object.assign({}, state, {
+        length: action.length,
+        rejectedLength: action.rejectedLength,
+        lastError: (action.length) ? state.lastError : null,
+      });
+
+    case SAVE_QUEUED_CLASSIFICATIONS:
+      return Object.assign({}, state, {
+        status: QUEUE_STATUS.SAVING,
+      });
+
+    case SAVE_QUEUED_CLASSIFICATIONS_FINISHED:
+      return Object.assign({}, state, {
+        status: QUEUE_STATUS.IDLE,
+        length: action.length,
+        rejectedLength: action.rejectedLength,
+        lastError: action.lastError,
+        failedAttempts: action.failedAttempts,
+        nextRetry: action.nextRetry,
+      });
+
+    default:
+      return state;
+  }
+};
+
+//Only one attempt to save the queue should happen at a time, otherwise the
+//same Classification could be sent twice.
+let savingPromise = null;
+let retryTimer = null;
+let onlineListener = null;
+
+const getRetryDelay = (failedAttempts) => {
+  return Math.min(BASE_RETRY_DELAY * (2 ** (failedAttempts - 1)), MAX_RETRY_DELAY);
+};
+
+const updateQueueLength = () => {
+  return (dispatch, getState) => {
+    const user = getState().login.user;
+    dispatch({
+      type: UPDATE_QUEUE_LENGTH,
+      length: loadQueue(user).length,
+      rejectedLength: loadRejected(user).length,
+    });
+  };
+};
+
+/*  Attempts to send every queued Classification to Panoptes. Returns a Promise
+    that resolves (never rejects) with { saved, discarded, failed } counts once
+    every item has been processed.
+ */
+const saveQueuedClassifications = () => {
+  return (dispatch, getState) => {
+    if (savingPromise) {
+      //Wait for the current attempt to finish, then try again to pick up
+      //anything that was queued in the meantime.
+      return savingPromise.then(() => dispatch(saveQueuedClassifications()));
+    }
+
+    const user = getState().login.user;
+    const queue = loadQueue(user);
+    const results = { saved: 0, discarded: 0, failed: 0 };
+    if (queue.length === 0) {
+      dispatch(updateQueueLength());
+      return Promise.resolve(results);
+    }
+
+    dispatch({ type: SAVE_QUEUED_CLASSIFICATIONS });
+
+    const processed = [];  //Items that can be removed from the queue.
+    const rejected = [];  //{ classification, error } items Panoptes refused.
+    let lastError = null;
+
+    const attempts = queue.map((classificationData) => {
+      return apiClient.type('classifications').create(classificationData).save()
+      .then((classificationObject) => {
+        console.info('ducks/classifications-queue.js saveQueuedClassifications() success: item ', classificationObject.id);
+        processed.push(classificationData);
+        results.saved++;
+
+        //Whatever happens from here on, the Classification has been sent.
+        try {
+          Split.classificationCreated(classificationObject);
+        } catch (err) { console.error('Split.classificationCreated() error: ', err); }
+
+        try {
+          //Record locally that the Classification has been seen.
+          const { workflow, subjects } = classificationObject.links;
+          dispatch(addAlreadySeen(workflow, subjects));
+
+          //OK, we don't need you any more, Classification. Why is this here? It's in PFE.
+          classificationObject.destroy();
+        } catch (err) {
+          console.error('ducks/classifications-queue.js saveQueuedClassifications() error: ', err);
+        }
+      }, (err) => {
+        const error = {
+          message: (err && err.message) || String(err),
+          status: (err && err.status) || null,
+          timestamp: new Date().toISOString(),
+        };
+        console.error('ducks/classifications-queue.js saveQueuedClassifications() error: ', err);
+        Rollbar && Rollbar.error &&
+        Rollbar.error('ducks/classifications-queue.js saveQueuedClassifications() error: ', err);
+
+        switch (error.status) {
+          case 422:  //If Panoptes returned a 422, the Classification was bad and won't ever be accepted.
+            processed.push(classificationData);
+            rejected.push({ classification: classificationData, error });
+            results.discarded++;
+            break;
+
+          default:  //Otherwise, the Classification stays in the queue for the next attempt.
+            results.failed++;
+            lastError = error;
+        }
+      });
+    });
+
+    savingPromise = Promise.all(attempts).then(() => {
+      savingPromise = null;
+      console.info(`ducks/classifications-queue.js saveQueuedClassifications() finished: ${queue.length} items processed, ${results.failed} failures`);
+
+      let length;
+      try {
+        //Set the rejected ones aside first, so they're always in at least one list.
+        if (rejected.length) addToRejected(user, rejected);
+        length = removeFromQueue(user, processed).length;
+      } catch (err) {
+        console.error('ducks/classifications-queue.js saveQueuedClassifications() error: ', err);
+        Rollbar && Rollbar.error &&
+        Rollbar.error('ducks/classifications-queue.js saveQueuedClassifications() error: ', err);
+        length = loadQueue(user).length;
+      }
+
+      const failedAttempts = (results.failed) ? getState().classificationsQueue.failedAttempts + 1 : 0;
+      dispatch({
+        type: SAVE_QUEUED_CLASSIFICATIONS_FINISHED,
+        length,
+        rejectedLength: loadRejected(user).length,
+        lastError: (length) ? lastError || getState().classificationsQueue.lastError : null,
+        failedAttempts,
+        nextRetry: (failedAttempts) ? Date.now() + getRetryDelay(failedAttempts) : null,
+      });
+
+      return results;
+    });
+
+    return savingPromise;
+  };
+};
+
+/*  Removes a Classification from the queue without sending it. The
+    Classification is identified by value, since its place in the queue can
+    change.
+ */
+const discardQueuedClassification = (classificationData) => {
+  return (dispatch, getState) => {
+    if (getState().classificationsQueue.status === QUEUE_STATUS.SAVING) return;
+    try {
+      removeFromQueue(getState().login.user, [classificationData]);
+    } catch (err) {
+      console.error('ducks/classifications-queue.js discardQueuedClassification() error: ', err);
+    }
+    dispatch(updateQueueLength());
+  };
+};
+
+const discardRejectedClassification = (index) => {
+  return (dispatch, getState) => {
+    try {
+      removeFromRejected(getState().login.user, index);
+    } catch (err) {
+      console.error('ducks/classifications-queue.js discardRejectedClassification() error: ', err);
+    }
+    dispatch(updateQueueLength());
+  };
+};
+
+/*  Moves the Classifications queued while logged out (under `_.`) into the
+    logged in user's queue, linking them to the user on the way. Returns a
+    Promise that resolves with summaries (see summariseClassification()) of
+    the migrated Classifications.
+ */
+const migrateAnonymousClassifications = () => {
+  return (dispatch, getState) => {
+    //Don't move anything that's in the middle of being sent.
+    const waitForSaving = savingPromise || Promise.resolve();
+
+    return waitForSaving.then(() => {
+      const user = getState().login.user;
+      const anonymousQueue = loadQueue(null);
+      if (!user || anonymousQueue.length === 0) return [];
+
+      const migrated = anonymousQueue.map((classificationData) => {
+        return Object.assign({}, classificationData, {
+          links: Object.assign({}, classificationData.links, { user: user.id }),
+        });
+      });
+
+      try {
+        storeQueue(user, loadQueue(user).concat(migrated));
+        storeQueue(null, []);  //Only emptied once the user's queue is safely stored.
+      } catch (err) {
+        console.error('ducks/classifications-queue.js migrateAnonymousClassifications() error: ', err);
+        Rollbar && Rollbar.error &&
+        Rollbar.error('ducks/classifications-queue.js migrateAnonymousClassifications() error: ', err);
+        return [];
+      }
+
+      console.info('ducks/classifications-queue.js migrateAnonymousClassifications() migrated: ', migrated.length);
+      dispatch(updateQueueLength());
+      dispatch(saveQueuedClassifications());
+      return migrated.map(summariseClassification);
+    });
+  };
+};
+
+/*  Starts retrying in the background. Should be called once, when the app
+    starts; stopClassificationsQueue() undoes it.
+ */
+const startClassificationsQueue = () => {
+  return (dispatch, getState) => {
+    if (retryTimer !== null) return;
+
+    retryTimer = setInterval(() => {
+      const queueState = getState().classificationsQueue;
+      const isOffline = navigator.onLine === false;
+      const isWaiting = queueState.nextRetry && Date.now() < queueState.nextRetry;
+      if (queueState.length > 0 && queueState.status === QUEUE_STATUS.IDLE && !isOffline && !isWaiting) {
+        dispatch(saveQueuedClassifications());
+      }
+    }, RETRY_INTERVAL);
+
+    //Being back online is a good reason not to wait for the backoff.
+    onlineListener = () => {
+      dispatch(saveQueuedClassifications());
+    };
+    window.addEventListener('online', onlineListener);
+
+    dispatch(updateQueueLength());
+  };
+};
+
+const stopClassificationsQueue = () => {
+  return () => {
+    clearInterval(retryTimer);
+    retryTimer = null;
+    if (onlineListener) window.removeEventListener('online', onlineListener);
+    onlineListener = null;
+  };
+};
+
+export default classificationsQueueReducer;
+
+export {
+  discardQueuedClassification,
+  discardRejectedClassification,
+  migrateAnonymousClassifications,
+  saveQueuedClassifications,
+  startClassificationsQueue,
+  stopClassificationsQueue,
+  updateQueueLength,
+  QUEUE_STATUS,
+};
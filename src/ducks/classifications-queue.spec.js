@@ -0,0 +1,258 @@
+import { expect } from 'chai';
+import { Split } from 'seven-ten';
+import { createMockStore, createSpy, muteConsole, stubApiClient } from '../../test/helpers';
+import classificationsQueueReducer, {
+  discardQueuedClassification,
+  discardRejectedClassification,
+  migrateAnonymousClassifications,
+  saveQueuedClassifications,
+  startClassificationsQueue,
+  stopClassificationsQueue,
+  updateQueueLength,
+  QUEUE_STATUS,
+} from './classifications-queue';
+import { loadQueue, loadRejected, storeQueue } from '../lib/classifications-queue';
+
+const user = { id: '7' };
+
+const withQueue = (state, action) => {
+  return Object.assign({}, state, {
+    classificationsQueue: classificationsQueueReducer(state.classificationsQueue, action),
+  });
+};
+
+const createStore = (login = { user }) => {
+  return createMockStore({
+    classificationsQueue: classificationsQueueReducer(undefined, { type: '@@INIT' }),
+    login,
+    subject: { alreadySeen: [] },
+  }, withQueue);
+};
+
+const createClassificationData = subjectId => ({
+  annotations: [],
+  links: { project: '1764', workflow: '3017', subjects: [subjectId] },
+});
+
+/*  Panoptes' response to each Classification depends on its Subject:
+    `responses` maps Subject IDs to an error status, or to nothing for success.
+ */
+const stubClassifications = (responses = {}) => {
+  const classifications = {
+    create: createSpy((data) => {
+      return {
+        save: () => {
+          const status = responses[data.links.subjects[0]];
+          if (status) return Promise.reject(Object.assign(new Error(`Error ${status}`), { status }));
+          return Promise.resolve({ id: `c${data.links.subjects[0]}`, links: data.links, destroy: () => {} });
+        },
+      };
+    }),
+  };
+  return stubApiClient({ classifications });
+};
+
+describe('ducks/classifications-queue', () => {
+  const classificationCreated = Split.classificationCreated;
+  let restoreApiClient = null;
+  let restoreConsole = null;
+
+  beforeEach(() => {
+    Split.classificationCreated = createSpy();
+    restoreConsole = muteConsole('error');
+  });
+
+  afterEach(() => {
+    Split.classificationCreated = classificationCreated;
+    if (restoreApiClient) restoreApiClient();
+    restoreApiClient = null;
+    restoreConsole();
+    localStorage.clear();
+  });
+
+  it('updateQueueLength() counts the volunteer\'s queued and rejected Classifications', () => {
+    storeQueue(user, [createClassificationData('1'), createClassificationData('2')]);
+    storeQueue(null, [createClassificationData('3')]);
+    localStorage.setItem('7.rejectedClassifications', JSON.stringify([{}]));
+    const store = createStore();
+
+    store.dispatch(updateQueueLength());
+    expect(store.actions).to.deep.equal([{ type: 'UPDATE_QUEUE_LENGTH', length: 2, rejectedLength: 1 }]);
+    expect(store.getState().classificationsQueue).to.include({ length: 2, rejectedLength: 1 });
+  });
+
+  describe('saveQueuedClassifications()', () => {
+    it('only updates the length if there\'s nothing to send', () => {
+      restoreApiClient = stubClassifications();
+      const store = createStore();
+      return store.dispatch(saveQueuedClassifications()).then((results) => {
+        expect(results).to.deep.equal({ saved: 0, discarded: 0, failed: 0 });
+        expect(store.types()).to.deep.equal(['UPDATE_QUEUE_LENGTH']);
+      });
+    });
+
+    it('sends every queued Classification, and empties the queue', () => {
+      restoreApiClient = stubClassifications();
+      storeQueue(user, [createClassificationData('1'), createClassificationData('2')]);
+      const store = createStore();
+
+      const saving = store.dispatch(saveQueuedClassifications());
+      expect(store.getState().classificationsQueue.status).to.equal(QUEUE_STATUS.SAVING);
+      return saving.then((results) => {
+        expect(results).to.deep.equal({ saved: 2, discarded: 0, failed: 0 });
+        expect(store.types()).to.deep.equal([
+          'SAVE_QUEUED_CLASSIFICATIONS', 'ADD_ALREADY_SEEN', 'ADD_ALREADY_SEEN', 'SAVE_QUEUED_CLASSIFICATIONS_FINISHED',
+        ]);
+        expect(store.getState().classificationsQueue).to.include({
+          status: QUEUE_STATUS.IDLE, length: 0, lastError: null, failedAttempts: 0, nextRetry: null,
+        });
+        expect(loadQueue(user)).to.deep.equal([]);
+        expect(Split.classificationCreated.calls).to.have.length(2);
+      });
+    });
+
+    it('sets aside the Classifications Panoptes rejects', () => {
+      restoreApiClient = stubClassifications({ 2: 422 });
+      storeQueue(user, [createClassificationData('1'), createClassificationData('2')]);
+      const store = createStore();
+
+      return store.dispatch(saveQueuedClassifications()).then((results) => {
+        expect(results).to.deep.equal({ saved: 1, discarded: 1, failed: 0 });
+        expect(loadQueue(user)).to.deep.equal([]);
+        expect(loadRejected(user).map(item => item.classification)).to.deep.equal([createClassificationData('2')]);
+        expect(loadRejected(user)[0].error.status).to.equal(422);
+        expect(store.getState().classificationsQueue).to.include({ length: 0, rejectedLength: 1 });
+      });
+    });
+
+    it('keeps the Classifications that couldn\'t be sent, and backs off', () => {
+      restoreApiClient = stubClassifications({ 1: 503 });
+      storeQueue(user, [createClassificationData('1'), createClassificationData('2')]);
+      const store = createStore();
+
+      return store.dispatch(saveQueuedClassifications()).then((results) => {
+        expect(results).to.deep.equal({ saved: 1, discarded: 0, failed: 1 });
+        expect(loadQueue(user)).to.deep.equal([createClassificationData('1')]);
+
+        const queueState = store.getState().classificationsQueue;
+        expect(queueState).to.include({ length: 1, failedAttempts: 1 });
+        expect(queueState.lastError).to.include({ status: 503, message: 'Error 503' });
+        expect(queueState.nextRetry).to.be.above(Date.now());
+
+        return store.dispatch(saveQueuedClassifications());
+      }).then(() => {
+        expect(store.getState().classificationsQueue.failedAttempts).to.equal(2);
+      });
+    });
+
+    it('counts a failure that comes without an error, and backs off', () => {
+      restoreApiClient = stubApiClient({
+        classifications: { create: () => ({ save: () => Promise.reject(undefined) }) },
+      });
+      storeQueue(user, [createClassificationData('1')]);
+      const store = createStore();
+
+      return store.dispatch(saveQueuedClassifications()).then((results) => {
+        expect(results).to.deep.equal({ saved: 0, discarded: 0, failed: 1 });
+        expect(loadQueue(user)).to.have.length(1);
+        expect(store.getState().classificationsQueue).to.include({ length: 1, failedAttempts: 1 });
+        expect(store.getState().classificationsQueue.lastError).to.include({ status: null });
+      });
+    });
+
+    it('waits for the attempt in progress, then sends anything queued since', () => {
+      restoreApiClient = stubClassifications();
+      storeQueue(user, [createClassificationData('1')]);
+      const store = createStore();
+
+      const first = store.dispatch(saveQueuedClassifications());
+      storeQueue(user, loadQueue(user).concat(createClassificationData('2')));
+      const second = store.dispatch(saveQueuedClassifications());
+
+      return Promise.all([first, second]).then(([firstResults, secondResults]) => {
+        expect(firstResults.saved).to.equal(1);
+        expect(secondResults.saved).to.equal(1);
+        expect(loadQueue(user)).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('discarding', () => {
+    it('discardQueuedClassification() removes a Classification without sending it', () => {
+      storeQueue(user, [createClassificationData('1'), createClassificationData('2')]);
+      const store = createStore();
+
+      store.dispatch(discardQueuedClassification(createClassificationData('1')));
+      expect(loadQueue(user)).to.deep.equal([createClassificationData('2')]);
+      expect(store.actions).to.deep.equal([{ type: 'UPDATE_QUEUE_LENGTH', length: 1, rejectedLength: 0 }]);
+    });
+
+    it('discardQueuedClassification() leaves the queue alone while it\'s being sent', () => {
+      storeQueue(user, [createClassificationData('1')]);
+      const store = createStore();
+      store.dispatch({ type: 'SAVE_QUEUED_CLASSIFICATIONS' });
+
+      store.dispatch(discardQueuedClassification(createClassificationData('1')));
+      expect(loadQueue(user)).to.have.length(1);
+    });
+
+    it('discardRejectedClassification() removes a rejected Classification', () => {
+      localStorage.setItem('7.rejectedClassifications', JSON.stringify([{ error: 1 }, { error: 2 }]));
+      const store = createStore();
+      store.dispatch(discardRejectedClassification(0));
+      expect(loadRejected(user)).to.deep.equal([{ error: 2 }]);
+      expect(store.getState().classificationsQueue.rejectedLength).to.equal(1);
+    });
+  });
+
+  describe('migrateAnonymousClassifications()', () => {
+    it('moves the signed out queue into the volunteer\'s queue, and sends it', () => {
+      restoreApiClient = stubClassifications({ 3: 503 });
+      storeQueue(user, [createClassificationData('1')]);
+      storeQueue(null, [createClassificationData('3')]);
+      const store = createStore();
+
+      return store.dispatch(migrateAnonymousClassifications()).then((migrated) => {
+        expect(migrated).to.deep.equal([{ subjectId: '3', timestamp: null, lines: 0 }]);
+        expect(loadQueue(null)).to.deep.equal([]);
+        expect(loadQueue(user).map(item => item.links.user)).to.deep.equal([undefined, '7']);
+        expect(store.types().slice(0, 2)).to.deep.equal(['UPDATE_QUEUE_LENGTH', 'SAVE_QUEUED_CLASSIFICATIONS']);
+        return store.dispatch(saveQueuedClassifications());
+      });
+    });
+
+    it('does nothing for signed out volunteers', () => {
+      storeQueue(null, [createClassificationData('3')]);
+      const store = createStore({ user: null });
+      return store.dispatch(migrateAnonymousClassifications()).then((migrated) => {
+        expect(migrated).to.deep.equal([]);
+        expect(loadQueue(null)).to.have.length(1);
+        expect(store.actions).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('startClassificationsQueue()', () => {
+    const { addEventListener, removeEventListener } = window;
+
+    afterEach(() => {
+      window.addEventListener = addEventListener;
+      window.removeEventListener = removeEventListener;
+    });
+
+    it('listens for the browser coming back online once, until it\'s stopped', () => {
+      window.addEventListener = createSpy();
+      window.removeEventListener = createSpy();
+      const store = createStore();
+
+      store.dispatch(startClassificationsQueue());
+      store.dispatch(startClassificationsQueue());
+      store.dispatch(stopClassificationsQueue());
+
+      expect(window.addEventListener.calls).to.have.length(1);
+      expect(window.addEventListener.calls[0][0]).to.equal('online');
+      expect(window.removeEventListener.calls).to.deep.equal([window.addEventListener.calls[0]]);
+      expect(store.types()).to.deep.equal(['UPDATE_QUEUE_LENGTH']);
+    });
+  });
+});
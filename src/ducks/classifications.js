@@ -2,16 +2,18 @@ import React from 'react';
 import apiClient from 'panoptes-client/lib/api-client.js';
 import counterpart from 'counterpart';
 import { getSessionID } from '../lib/get-session-id';
-import { Split } from 'seven-ten';
-
-import { setAnnotations } from './annotations';
-import { fetchSubject, fetchSavedSubject, addAlreadySeen } from './subject';
+import { addToQueue } from '../lib/classifications-queue';
+import { removeDraft, saveDraft } from '../lib/classification-drafts';
+import { clearAutosave } from '../lib/autosave';
+import { getSubjectLocation, getThumbnailSource } from '../lib/get-subject-location';
+
+import { resetAnnotations, setAnnotations } from './annotations';
+import { fetchSubject, fetchSavedSubject } from './subject';
+import { saveQueuedClassifications, updateQueueLength } from './classifications-queue';
 import { resetView } from './subject-viewer';
 import { toggleDialog } from './dialog';
 import SaveSuccess from '../components/SaveSuccess';
 
-const CLASSIFICATIONS_QUEUE_NAME = 'classificationsQueue';
-
 //Action Types
 const SUBMIT_CLASSIFICATION = 'SUBMIT_CLASSIFICATION';
 const SUBMIT_CLASSIFICATION_FINISHED = 'SUBMIT_CLASSIFICATION_FINISHED';
@@ -29,7 +31,7 @@ const CLASSIFICATION_STATUS = {
 
 const initialState = {
   classification: null,
-  status: CLASSIFICATION_STATUS.status,
+  status: CLASSIFICATION_STATUS.IDLE,
   subjectCompletionAnswers: {},  //Simple Q&A object is structured as {"T2": "thunder", "T7": "cats"}
 };
 
@@ -54,7 +56,7 @@ const classificationReducer = (state = initialState, action) => {
       });
       
     //Submitting Classification also resets the store.
-    //This is only called once the WHOLE queue of Classifications has been processed.
+    //This is only called once the WHOLE queue of Classifications has been processed (successfully or not).
     case SUBMIT_CLASSIFICATION_FINISHED:
       return Object.assign({}, state,{
         classification: null,
@@ -118,126 +120,47 @@ const createClassification = () => {
   };
 };
 
-/*  saveAllQueuedClassifications() attempts to individually submit
-    Classifications to Panoptes. What happens is that:
-    - When a new Classification is meant to be submitted, it is placed in a
-      queue via queueClassification()
-    - Then, each item in the queue is individually processed.
-      (The queue is emptied at this point, and a new, empty queue is prepared.)
-      - If the item (Classification) is successfully submitted/saved, that's it.
-        (It's effectively removed from the queue.)
-      - If the item fails, it's reinserted into the new queue, to be processed
-        the next time a new Classification is submitted.
-    - Once ALL the items are processed, we are now ready to prepare our data
-      for the next Subject to be fetched.
+/*  Builds a Classification's annotations from the store, in task order:
+    first the transcription (the workflow's first task, usually T1), then, if
+    `includeAnswers` is true, the answers to the Subject Completion questions.
+    Each is in the form of: { task: "T1", value: 123 || "abc" || ['a','b'] }
+    The link from an Agreement Annotation to its Previous Annotation is only
+    for the classifier's own use, so it isn't sent.
  */
-const saveAllQueuedClassifications = (dispatch, user = null) => {
-  const QUEUE_NAME = (user)
-    ? user.id + '.' + CLASSIFICATIONS_QUEUE_NAME
-    : '_.' + CLASSIFICATIONS_QUEUE_NAME;
-        
-  const queue = JSON.parse(localStorage.getItem(QUEUE_NAME));
-
-  if (queue && queue.length !== 0) {
-    //Prepare 
-    const newQueue = [];
-    localStorage.setItem(QUEUE_NAME, null);  //Empty the queue first
-    
-    //Keep track of items processed so we know when ALL items are processed.
-    let itemsProcessed = 0;
-    let itemsFailed = 0;
-    const itemsToProcess = queue.length;
-    
-    //Weirdly, Promise.prototype.finally() causes problems on some browsers. This is a workaround for it.
-    //This is called after the Classification.save() EITHER SUCCEEDS or FAILS.
-    //----------------
-    const doFinally = () => {
-      //That's one item down.
-      itemsProcessed++;
-
-      //Have all items been processed?
-      if (itemsProcessed === itemsToProcess) {
-        console.info(`ducks/classifications.js saveAllQueuedClassifications() finished: ${itemsProcessed} items processed, ${itemsFailed} failures`);
-
-        //Did anything fail?
-        if (itemsFailed > 0) {
-          //TODO: better presentation
-          alert('Your Transcription could not be submitted at this time. However, we\'ve saved your work on this computer and it will automatically be resubmitted the next time you submit a Transcription. Please refresh the page to start working on a new letter.');
-        }
-
-        //Save the new queue.
-        localStorage.setItem(QUEUE_NAME, JSON.stringify(newQueue));
-
-        //All done, get the next Subject!
-        dispatch({ type: SUBMIT_CLASSIFICATION_FINISHED });
-        dispatch(fetchSubject());  //Note: fetching a Subject will also reset Annotations, reset Previous Annotations, and create an empty Classification.
-        dispatch(resetView());
-      }
-    };
-    //----------------
-    
-    //Now, attempt to save.
-    //----------------
-    queue.forEach((classificationData) => {
-      //Let's send those Classifications!
-      apiClient.type('classifications').create(classificationData).save()
-      
-      //SUCCESS
-      .then((classificationObject) => {
-        console.info('ducks/classifications.js saveAllQueuedClassifications() success: item ', classificationObject.id);
-
-        try {
-          Split.classificationCreated(classificationObject);
-        } catch (err) { console.error('Split.classificationCreated() error: ', err); }
-
-        //Record locally that the Classification has been seen.
-        const { workflow, subjects } = classificationObject.links;
-        dispatch(addAlreadySeen(workflow, subjects));
-        
-        //OK, we don't need you any more, Classification. Why is this here? It's in PFE.
-        //TODO: check
-        classificationObject.destroy();
-        
-        doFinally();
-      })
-      
-      //FAILURE
-      .catch((err) => {
-        //Ah, crap.
-        console.error('ducks/classifications.js saveAllQueuedClassifications() error: ', err);
-        Rollbar && Rollbar.error &&
-        Rollbar.error('ducks/classifications.js saveAllQueuedClassifications() error: ', err);
-
-        //Right, why did it fail?
-        switch (err.status) {
-          case 422:  //If the reason for failure is that Panoptes returned a 422, it means the Classification was bad and should be discarded.
-            break;
-
-          default:  //Otherwise, the failed Classification should be re-queued for the next time attempt.
-            itemsFailed++;  //Let the user know that the Classification will be re-queued.
-            newQueue.push(classificationData);
-        }
-        
-        doFinally();
+const buildAnnotations = (state, includeAnswers) => {
+  const task = (state.workflow.data) ? state.workflow.data.first_task : 'T0';
+  const annotations = [{
+    _key: Math.random(),
+    _toolIndex: 0,
+    task,
+    value: (state.annotations.annotations || []).map((annotation) => {
+      const copy = Object.assign({}, annotation);
+      delete copy.previousAnnotationId;
+      return copy;
+    }),
+  }];
+
+  if (includeAnswers) {
+    const sca = state.classifications.subjectCompletionAnswers;
+    Object.keys(sca).map((taskId) => {
+      annotations.push({
+        task: taskId,
+        value: sca[taskId],
       });
     });
-    //----------------
   }
+
+  return annotations;
 };
 
 const queueClassification = (classification, user = null) => {
-  const QUEUE_NAME = (user)
-    ? user.id + '.' + CLASSIFICATIONS_QUEUE_NAME
-    : '_.' + CLASSIFICATIONS_QUEUE_NAME;
-  
-  const queue = JSON.parse(localStorage.getItem(QUEUE_NAME)) || [];
-  queue.push(classification);
-
   try {
     if (user) {
-      localStorage.removeItem(`${user.id}.classificationID`);
+      //Once submitted, the Classification is no longer a draft.
+      const subjects = (classification.links && classification.links.subjects) || [];
+      removeDraft(user, { id: classification.id, subjectId: subjects[0] });
     }
-    localStorage.setItem(QUEUE_NAME, JSON.stringify(queue));
+    const queue = addToQueue(user, classification);
     console.info('ducks/classifications.js queueClassification() added: ', queue.length);
   } catch (err) {
     //WARNING: if an error appears here, unlikely as it may be, the error might
@@ -257,7 +180,7 @@ const submitClassification = () => {
     const subject = getState().subject;
     const subject_dimensions = (subject && subject.imageMetadata) ? subject.imageMetadata : [];
     const classification = getState().classifications.classification;
-    const updatedAnnotations = [];  //Always start empty (don't pull anything from classification.annotation) the build the array based on the answers we have.
+    const updatedAnnotations = buildAnnotations(getState(), true);  //Always built from scratch (don't pull anything from classification.annotation) based on the answers we have.
     const user = getState().login.user;
 
     if (!classification) {
@@ -269,35 +192,6 @@ const submitClassification = () => {
     }
     //----------------
 
-    //Record the first task
-    //This is implicitly the 'transcription' task.
-    //----------------
-    let task = "T0";
-    if (getState().workflow.data) {
-      task = getState().workflow.data.first_task;  //This should usually be T1.
-    }
-    const firstTaskAnnotations = {
-      _key: Math.random(),
-      _toolIndex: 0,
-      task,
-      value: getState().annotations.annotations,
-    };
-    updatedAnnotations.push(firstTaskAnnotations);
-    //----------------
-
-    //Record the other tasks.
-    //Note that each annotation in classification.annotations[] is in the form
-    //of: { task: "T1", value: 123 || "abc" || ['a','b'] }
-    //----------------
-    const sca = getState().classifications.subjectCompletionAnswers;
-    Object.keys(sca).map((taskId) => {
-      const answerForTask = {
-        task: taskId,
-        value: sca[taskId],
-      };
-      updatedAnnotations.push(answerForTask);
-    });
-    //----------------
 
     //Save the classification
     //----------------
@@ -315,7 +209,17 @@ const submitClassification = () => {
       'metadata.subject_dimensions': subject_dimensions || [],
     });
     queueClassification(classification, user);
-    saveAllQueuedClassifications(dispatch, user);
+    clearAutosave(user, subject.id);
+    dispatch(updateQueueLength());
+
+    //Whether or not the queue could be sent, the Classification is safe, so
+    //move on. Anything that failed is retried in the background.
+    dispatch(saveQueuedClassifications())
+    .then(() => {
+      dispatch({ type: SUBMIT_CLASSIFICATION_FINISHED });
+      dispatch(fetchSubject());  //Note: fetching a Subject will also reset Annotations, reset Previous Annotations, and create an empty Classification.
+      dispatch(resetView());
+    });
   };
 };
 
@@ -328,12 +232,20 @@ const setSubjectCompletionAnswers = (taskId, answerValue) => {
   };
 };
 
+/*  Resumes one of the user's drafts (see lib/classification-drafts.js), by
+    the ID of its incomplete Classification.
+ */
 const retrieveClassification = (id) => {
-  return (dispatch) => {
+  return (dispatch, getState) => {
     console.info('ducks/classifications.js retrieveClassification()');
 
     apiClient.type('classifications/incomplete').get({ id })
       .then(([classification]) => {
+        if (!classification) {
+          //The draft no longer exists on Panoptes, so there's no point keeping it.
+          removeDraft(getState().login.user, { id });
+          throw 'Classification could not be found.';
+        }
         const subjectId = (classification.links && classification.links.subjects && classification.links.subjects.length > 0)
           ? classification.links.subjects[0] : null;
         const annotations = (classification.annotations)
@@ -341,6 +253,7 @@ const retrieveClassification = (id) => {
         if (subjectId === null) { throw 'Subject ID could not be determined.'; }
 
         console.info('ducks/classifications.js retrieveClassification() success');
+        dispatch(resetAnnotations());  //Nothing from the previous Subject can be undone back to.
         dispatch(setAnnotations(annotations.value));
         dispatch(fetchSavedSubject(subjectId));
         dispatch({
@@ -354,9 +267,18 @@ const retrieveClassification = (id) => {
         console.error('ducks/classifications.js retrieveClassification() error: ', err);
         Rollbar && Rollbar.error &&
         Rollbar.error('ducks/classifications.js retrieveClassification() error: ', err);
-        dispatch({
-          type: CREATE_CLASSIFICATION_ERROR
-        })
+
+        //If the user was already working on something, let them carry on.
+        if (!getState().classifications.classification) {
+          dispatch({
+            type: CREATE_CLASSIFICATION_ERROR
+          });
+        }
+        //If there's nothing to carry on with, e.g. a draft was resumed at the
+        //start of a session, move on to a new Subject.
+        if (!getState().subject.currentSubject) {
+          dispatch(fetchSubject());
+        }
       });
   };
 };
@@ -365,18 +287,8 @@ const saveClassificationInProgress = () => {
   return (dispatch, getState) => {
     console.info('ducks/classifications.js saveClassificationInProgressClassification()');
 
-    let task = "T0";
-    if (getState().workflow.data) {
-      task = getState().workflow.data.first_task;  //This should usually be T1.
-    }
     const user = getState().login.user;
-
-    const annotations = {
-      _key: Math.random(),
-      _toolIndex: 0,
-      task,
-      value: getState().annotations.annotations,
-    };
+    const annotations = buildAnnotations(getState(), false)[0];
 
     const classification = getState().classifications.classification;
 
@@ -391,7 +303,15 @@ const saveClassificationInProgress = () => {
     .save()
     .then((savedClassification) => {
       if (user) {
-        localStorage.setItem(`${user.id}.classificationID`, savedClassification.id);
+        const subject = getState().subject;
+        const location = getSubjectLocation(subject.currentSubject);
+        saveDraft(user, {
+          id: savedClassification.id,
+          subjectId: subject.id,
+          thumbnail: (location && location.src) ? getThumbnailSource(location.src) : null,
+          lines: annotations.value.length,
+          savedAt: (new Date()).toISOString(),
+        });
       }
       dispatch(toggleDialog(<SaveSuccess />, false, true));
 
@@ -416,6 +336,7 @@ export default classificationReducer;
 //Exports
 
 export {
+  buildAnnotations,
   createClassification,
   submitClassification,
   saveClassificationInProgress,
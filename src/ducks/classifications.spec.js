@@ -0,0 +1,284 @@
+import { expect } from 'chai';
+import { Split } from 'seven-ten';
+import apiClient from 'panoptes-client/lib/api-client.js';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import classificationReducer, {
+  buildAnnotations,
+  createClassification,
+  retrieveClassification,
+  saveClassificationInProgress,
+  setSubjectCompletionAnswers,
+  submitClassification,
+} from './classifications';
+import { SUBJECT_STATUS } from './subject';
+import { loadDrafts, saveDraft } from '../lib/classification-drafts';
+
+const user = { id: '7' };
+const subject = { id: '12', locations: [{ 'image/jpeg': 'https://panoptes-uploads.zooniverse.org/page.jpeg' }] };
+const workflow = { id: '3017', version: '2.5', first_task: 'T1', links: { subject_sets: ['5'] } };
+
+const userAnnotation = {
+  details: [{ value: 'first line' }],
+  points: [{ x: 1, y: 2 }, { x: 3, y: 4 }],
+  frame: 0,
+};
+const agreementAnnotation = {
+  details: [{ value: 'agreed' }],
+  points: [{ x: 5, y: 6 }, { x: 7, y: 8 }],
+  frame: 0,
+  previousAnnotationId: 'frame0:5,6;7,8',
+};
+
+const withClassifications = (state, action) => {
+  return Object.assign({}, state, { classifications: classificationReducer(state.classifications, action) });
+};
+
+const createStore = (changes = {}) => {
+  return createMockStore(Object.assign({
+    annotations: { annotations: [userAnnotation, agreementAnnotation] },
+    classifications: classificationReducer(undefined, { type: '@@INIT' }),
+    classificationsQueue: { failedAttempts: 0, lastError: null },
+    login: { user },
+    project: { id: '1764' },
+    subject: {
+      id: '12',
+      currentSubject: subject,
+      imageMetadata: [{ naturalWidth: 1600, naturalHeight: 2400, clientWidth: 400, clientHeight: 600 }],
+      queue: [],
+      alreadySeen: [],
+      status: SUBJECT_STATUS.READY,
+    },
+    subjectViewer: { frame: 0 },
+    workflow: { id: '3017', data: workflow, goldStandardMode: false },
+  }, changes), withClassifications);
+};
+
+//A real (unsaved) panoptes-client Classification, so update() works as it does in the classifier.
+const classificationsType = apiClient.type('classifications');
+const createResource = data => classificationsType.create(data);
+
+describe('ducks/classifications', () => {
+  let restoreApiClient = null;
+  let restoreConsole = null;
+
+  beforeEach(() => {
+    restoreConsole = muteConsole('error');
+  });
+
+  afterEach(() => {
+    if (restoreApiClient) restoreApiClient();
+    restoreApiClient = null;
+    restoreConsole();
+    localStorage.clear();
+  });
+
+  describe('reducer', () => {
+    it('records the Subject Completion answers by task', () => {
+      const store = createStore();
+      store.dispatch(setSubjectCompletionAnswers('T2', 'yes'));
+      store.dispatch(setSubjectCompletionAnswers('T3', ['a', 'b']));
+      expect(store.getState().classifications.subjectCompletionAnswers).to.deep.equal({ T2: 'yes', T3: ['a', 'b'] });
+    });
+
+    it('forgets the Classification and answers once it\'s submitted', () => {
+      const state = classificationReducer(
+        { classification: {}, status: 'classification_status_sending', subjectCompletionAnswers: { T2: 'yes' } },
+        { type: 'SUBMIT_CLASSIFICATION_FINISHED' },
+      );
+      expect(state).to.deep.equal(classificationReducer(undefined, { type: '@@INIT' }));
+    });
+  });
+
+  describe('buildAnnotations()', () => {
+    it('puts the transcription first, then the answers, without the links to Previous Annotations', () => {
+      const store = createStore();
+      store.dispatch(setSubjectCompletionAnswers('T2', 'yes'));
+      store.dispatch(setSubjectCompletionAnswers('T3', 'no'));
+
+      const annotations = buildAnnotations(store.getState(), true);
+      expect(annotations.map(annotation => annotation.task)).to.deep.equal(['T1', 'T2', 'T3']);
+      expect(annotations[0].value).to.deep.equal([userAnnotation, {
+        details: [{ value: 'agreed' }],
+        points: agreementAnnotation.points,
+        frame: 0,
+      }]);
+      expect(store.getState().annotations.annotations[1].previousAnnotationId).to.equal('frame0:5,6;7,8');
+      expect(annotations.slice(1)).to.deep.equal([{ task: 'T2', value: 'yes' }, { task: 'T3', value: 'no' }]);
+    });
+
+    it('leaves out the answers for work in progress', () => {
+      const store = createStore();
+      store.dispatch(setSubjectCompletionAnswers('T2', 'yes'));
+      expect(buildAnnotations(store.getState(), false)).to.have.length(1);
+    });
+  });
+
+  describe('createClassification()', () => {
+    it('starts a Classification of the current Subject', () => {
+      const classifications = { create: createSpy(createResource) };
+      restoreApiClient = stubApiClient({ classifications });
+      const store = createStore();
+
+      store.dispatch(createClassification());
+      expect(store.types()).to.deep.equal(['CREATE_CLASSIFICATION']);
+      const data = classifications.create.calls[0][0];
+      expect(data.links).to.deep.equal({ project: '1764', workflow: '3017', subjects: ['12'] });
+      expect(data.metadata).to.include({ workflow_version: '2.5' });
+      expect(data.metadata.subject_dimensions).to.deep.equal([]);
+      expect(store.getState().classifications.classification.gold_standard).to.equal(undefined);
+    });
+
+    it('marks gold standard Classifications', () => {
+      restoreApiClient = stubApiClient({ classifications: { create: createResource } });
+      const store = createStore({ workflow: { id: '3087', data: workflow, goldStandardMode: true } });
+      store.dispatch(createClassification());
+      expect(store.getState().classifications.classification.gold_standard).to.equal(true);
+    });
+  });
+
+  describe('submitClassification()', () => {
+    const classificationCreated = Split.classificationCreated;
+
+    beforeEach(() => {
+      Split.classificationCreated = () => {};
+    });
+
+    afterEach(() => {
+      Split.classificationCreated = classificationCreated;
+    });
+
+    it('queues and sends the Classification, then moves on to the next Subject', () => {
+      const sent = [];
+      restoreApiClient = stubApiClient({
+        classifications: {
+          create: (data) => {
+            sent.push(data);
+            return { save: () => Promise.resolve({ id: '90000', links: data.links, destroy: () => {} }) };
+          },
+        },
+        'subjects/queued': { get: () => new Promise(() => {}) },
+      });
+      saveDraft(user, { id: '100', subjectId: '12' });
+      const store = createStore({
+        classifications: classificationReducer(undefined, {
+          type: 'CREATE_CLASSIFICATION',
+          classification: createResource({ annotations: [], metadata: {}, links: { subjects: ['12'] } }),
+        }),
+      });
+      store.dispatch(setSubjectCompletionAnswers('T2', 'yes'));
+      store.actions = [];
+
+      store.dispatch(submitClassification());
+      expect(store.types()).to.deep.equal(['SUBMIT_CLASSIFICATION', 'UPDATE_QUEUE_LENGTH', 'SAVE_QUEUED_CLASSIFICATIONS']);
+      expect(loadDrafts(user)).to.deep.equal([]);  //It's no longer a draft.
+
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal([
+          'SUBMIT_CLASSIFICATION',
+          'UPDATE_QUEUE_LENGTH',
+          'SAVE_QUEUED_CLASSIFICATIONS',
+          'ADD_ALREADY_SEEN',
+          'SAVE_QUEUED_CLASSIFICATIONS_FINISHED',
+          'SUBMIT_CLASSIFICATION_FINISHED',
+          'FETCH_SUBJECT',
+          'RESET_VIEW',
+        ]);
+
+        expect(sent).to.have.length(1);
+        expect(sent[0].completed).to.equal(true);
+        expect(sent[0].annotations.map(annotation => annotation.task)).to.deep.equal(['T1', 'T2']);
+        expect(sent[0].metadata.subject_dimensions).to.deep.equal(store.getState().subject.imageMetadata);
+        expect(sent[0].metadata.viewport).to.deep.equal({ width: innerWidth, height: innerHeight });
+        expect(sent[0].metadata.finished_at).to.be.a('string');
+      });
+    });
+  });
+
+  describe('retrieveClassification()', () => {
+    it('resumes a draft, with its Annotations and Subject', () => {
+      const draft = { id: '100', links: { subjects: ['12'] }, annotations: [{ task: 'T1', value: [userAnnotation] }] };
+      const incomplete = { get: createSpy(() => Promise.resolve([draft])) };
+      restoreApiClient = stubApiClient({
+        'classifications/incomplete': incomplete,
+        subjects: { get: () => new Promise(() => {}) },
+      });
+      const store = createStore();
+
+      store.dispatch(retrieveClassification('100'));
+      expect(incomplete.get.calls).to.deep.equal([[{ id: '100' }]]);
+      return flush().then(() => {
+        expect(store.actions[1]).to.deep.equal({ type: 'SET_ANNOTATIONS', annotations: [userAnnotation] });
+        expect(store.types()).to.deep.equal(['RESET_ANNOTATIONS', 'SET_ANNOTATIONS', 'CREATE_CLASSIFICATION']);
+        expect(store.getState().classifications.classification).to.equal(draft);
+      });
+    });
+
+    it('forgets a draft that no longer exists', () => {
+      saveDraft(user, { id: '100', subjectId: '12' });
+      restoreApiClient = stubApiClient({ 'classifications/incomplete': { get: () => Promise.resolve([]) } });
+      const store = createStore();
+
+      store.dispatch(retrieveClassification('100'));
+      return flush().then(() => {
+        expect(loadDrafts(user)).to.deep.equal([]);
+        expect(store.types()).to.deep.equal(['CREATE_CLASSIFICATION_ERROR']);
+      });
+    });
+
+    it('lets the volunteer carry on with their current work if the draft can\'t be loaded', () => {
+      restoreApiClient = stubApiClient({ 'classifications/incomplete': { get: () => Promise.reject(new Error('offline')) } });
+      const store = createStore();
+      store.dispatch({ type: 'CREATE_CLASSIFICATION', classification: {} });
+      store.actions = [];
+
+      store.dispatch(retrieveClassification('100'));
+      return flush().then(() => {
+        expect(store.actions).to.deep.equal([]);
+      });
+    });
+
+    it('moves on to a new Subject if the draft can\'t be loaded and nothing is shown', () => {
+      restoreApiClient = stubApiClient({
+        'classifications/incomplete': { get: () => Promise.reject(new Error('offline')) },
+        'subjects/queued': { get: () => new Promise(() => {}) },
+      });
+      const store = createStore({ subject: { id: null, currentSubject: null, queue: [], status: SUBJECT_STATUS.FETCHING } });
+
+      store.dispatch(retrieveClassification('100'));
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['CREATE_CLASSIFICATION_ERROR', 'FETCH_SUBJECT']);
+      });
+    });
+  });
+
+  describe('saveClassificationInProgress()', () => {
+    it('saves the work so far as an incomplete Classification, and lists it as a draft', () => {
+      const saved = { id: '100' };
+      const classification = {
+        update: createSpy(function () { return this; }),
+        save: () => Promise.resolve(saved),
+      };
+      const store = createStore();
+      store.dispatch({ type: 'CREATE_CLASSIFICATION', classification });
+      store.dispatch(setSubjectCompletionAnswers('T2', 'yes'));
+      store.actions = [];
+
+      store.dispatch(saveClassificationInProgress());
+      const changes = classification.update.calls[0][0];
+      expect(changes.completed).to.equal(false);
+      expect(changes.annotations.map(annotation => annotation.task)).to.deep.equal(['T1']);
+
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['SET_POPUP', 'UPDATE_CLASSIFICATION']);
+        expect(store.getState().classifications.classification).to.equal(saved);
+        expect(loadDrafts(user)).to.have.length(1);
+        expect(loadDrafts(user)[0]).to.include({
+          id: '100',
+          subjectId: '12',
+          lines: 2,
+          thumbnail: 'https://thumbnails.zooniverse.org/400x400/panoptes-uploads.zooniverse.org/page.jpeg',
+        });
+      });
+    });
+  });
+});
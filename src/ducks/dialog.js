@@ -2,19 +2,54 @@ const initialState = {
   data: null,
   enableResize: true,
   isPrompt: false,
+  queued: false,  //True if the current dialog was shown from the queue.
+  queue: [],  //Dialogs waiting for the current one to close; see queueDialog().
 };
 
 const SET_POPUP = 'SET_POPUP';
+const QUEUE_POPUP = 'QUEUE_POPUP';
+
+const showDialog = (dialog, queue) => {
+  return {
+    data: dialog.dialog,
+    enableResize: dialog.resize,
+    isPrompt: dialog.isPrompt,
+    title: dialog.title,
+    queued: dialog.queued,
+    queue,
+  };
+};
 
 const dialogReducer = (state = initialState, action) => {
   switch (action.type) {
-    case SET_POPUP:
-      return {
-        data: action.dialog,
-        enableResize: action.resize,
-        isPrompt: action.isPrompt,
-        title: action.title,
-      };
+    case SET_POPUP: {
+      const queue = state.queue;
+      if (!action.dialog) {  //Closing a dialog shows the next one waiting, if any.
+        return (queue.length)
+          ? showDialog(queue[0], queue.slice(1))
+          : showDialog(Object.assign({}, action, { queued: false }), queue);
+      }
+
+      //A queued dialog that's replaced goes back to the front of the queue, so
+      //it isn't lost.
+      const replaced = (state.data && state.queued)
+        ? [{
+          dialog: state.data,
+          resize: state.enableResize,
+          isPrompt: state.isPrompt,
+          title: state.title,
+          queued: true,
+        }]
+        : [];
+      return showDialog(Object.assign({}, action, { queued: false }), replaced.concat(queue));
+    }
+
+    case QUEUE_POPUP: {
+      const dialog = Object.assign({}, action, { queued: true });
+      return (state.data)
+        ? Object.assign({}, state, { queue: state.queue.concat([dialog]) })
+        : showDialog(dialog, state.queue);
+    }
 
     default:
       return state;
@@ -33,8 +68,25 @@ const toggleDialog = (dialog, resize = true, isPrompt = false, title = '') => {
   };
 };
 
+/*  Like toggleDialog(), but for dialogs the app opens by itself (e.g. on
+    login): if another dialog is open, this one waits until it's closed,
+    instead of replacing it.
+ */
+const queueDialog = (dialog, resize = true, isPrompt = false, title = '') => {
+  return (dispatch) => {
+    dispatch({
+      type: QUEUE_POPUP,
+      dialog,
+      resize,
+      isPrompt,
+      title,
+    });
+  };
+};
+
 export default dialogReducer;
 
 export {
+  queueDialog,
   toggleDialog,
 };
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import { createMockStore } from '../../test/helpers';
+import dialogReducer, { queueDialog, toggleDialog } from './dialog';
+
+const createStore = () => {
+  return createMockStore(dialogReducer(undefined, { type: '@@INIT' }), dialogReducer);
+};
+
+describe('ducks/dialog', () => {
+  it('toggleDialog() shows a dialog, resizable and not a prompt by default', () => {
+    const store = createStore();
+    const dialog = { type: 'div' };
+    store.dispatch(toggleDialog(dialog));
+    expect(store.actions).to.deep.equal([{ type: 'SET_POPUP', dialog, resize: true, isPrompt: false, title: '' }]);
+    expect(store.getState()).to.deep.equal({
+      data: dialog, enableResize: true, isPrompt: false, title: '', queued: false, queue: [],
+    });
+  });
+
+  it('toggleDialog(null) closes the dialog', () => {
+    const store = createStore();
+    store.dispatch(toggleDialog({ type: 'div' }, false, true, 'Saved Work'));
+    expect(store.getState()).to.include({ enableResize: false, isPrompt: true, title: 'Saved Work' });
+    store.dispatch(toggleDialog(null));
+    expect(store.getState().data).to.equal(null);
+  });
+
+  it('queueDialog() shows a dialog straight away if none is open', () => {
+    const store = createStore();
+    const prompt = { type: 'p' };
+    store.dispatch(queueDialog(prompt, false, true));
+    expect(store.getState()).to.include({ data: prompt, enableResize: false, isPrompt: true, queued: true });
+  });
+
+  it('queueDialog() waits for the open dialog to close', () => {
+    const store = createStore();
+    const dialog = { type: 'div' };
+    const first = { type: 'p' };
+    const second = { type: 'span' };
+    store.dispatch(toggleDialog(dialog, true, false, 'Saved Work'));
+    store.dispatch(queueDialog(first, false, true));
+    store.dispatch(queueDialog(second, false, true));
+    expect(store.getState().data).to.equal(dialog);
+
+    store.dispatch(toggleDialog(null));
+    expect(store.getState()).to.include({ data: first, isPrompt: true, title: '' });
+    store.dispatch(toggleDialog(null));
+    expect(store.getState().data).to.equal(second);
+    store.dispatch(toggleDialog(null));
+    expect(store.getState().data).to.equal(null);
+  });
+
+  it('toggleDialog() puts a replaced queued dialog back in the queue', () => {
+    const store = createStore();
+    const prompt = { type: 'p' };
+    const dialog = { type: 'div' };
+    store.dispatch(queueDialog(prompt, false, true));
+    store.dispatch(toggleDialog(dialog));
+    expect(store.getState().data).to.equal(dialog);
+
+    store.dispatch(toggleDialog(null));
+    expect(store.getState()).to.include({ data: prompt, isPrompt: true, queued: true });
+  });
+});
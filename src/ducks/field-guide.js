@@ -51,15 +51,20 @@ const fetchGuide = () => {
     });
 
     apiClient.type('field_guides').get({ project_id: `${config.zooniverseLinks.projectId}` }).then(([guide]) => {
-      let icons = {};
-
-      if (guide) {
-        guide.get('attached_images', { page_size: 100 }).then((images) => {
-          images.map((image) => {
-            icons[image.id] = image;
-          });
-        });
-      }
+      //Wait for the icons, so they're in the store when the guide is shown.
+      const images = (guide)
+        ? guide.get('attached_images', { page_size: 100 }).catch((err) => {
+          console.error('ducks/field-guide.js fetchGuide() icons error: ', err);
+          return [];
+        })
+        : [];
+      return Promise.all([guide, images]);
+    })
+    .then(([guide, images]) => {
+      const icons = {};
+      images.map((image) => {
+        icons[image.id] = image;
+      });
 
       dispatch({
         type: FETCH_GUIDE_SUCCESS,
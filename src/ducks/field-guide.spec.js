@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import fieldGuideReducer, { fetchGuide, GUIDE_STATUS } from './field-guide';
+import { config } from '../config';
+
+const withFieldGuide = (state, action) => {
+  return Object.assign({}, state, { fieldGuide: fieldGuideReducer(state.fieldGuide, action) });
+};
+
+const createStore = () => {
+  return createMockStore({ fieldGuide: fieldGuideReducer(undefined, { type: '@@INIT' }) }, withFieldGuide);
+};
+
+describe('ducks/field-guide', () => {
+  let restoreApiClient = null;
+  let restoreConsole = null;
+
+  beforeEach(() => {
+    restoreConsole = muteConsole('error');
+  });
+
+  afterEach(() => {
+    restoreApiClient();
+    restoreConsole();
+  });
+
+  it('fetches the project\'s guide, with its icons by ID', () => {
+    const images = [{ id: '1', src: 'a.png' }, { id: '2', src: 'b.png' }];
+    const guide = { id: '10', items: [], get: createSpy(() => Promise.resolve(images)) };
+    const fieldGuides = { get: createSpy(() => Promise.resolve([guide])) };
+    restoreApiClient = stubApiClient({ field_guides: fieldGuides });
+    const store = createStore();
+
+    store.dispatch(fetchGuide());
+    expect(store.getState().fieldGuide.status).to.equal(GUIDE_STATUS.FETCHING);
+    expect(fieldGuides.get.calls).to.deep.equal([[{ project_id: config.zooniverseLinks.projectId }]]);
+    return flush().then(() => {
+      expect(guide.get.calls).to.deep.equal([['attached_images', { page_size: 100 }]]);
+      expect(store.types()).to.deep.equal(['FETCH_GUIDE', 'FETCH_GUIDE_SUCCESS']);
+      expect(store.getState().fieldGuide).to.deep.equal({
+        status: GUIDE_STATUS.READY,
+        guide,
+        icons: { 1: images[0], 2: images[1] },
+      });
+    });
+  });
+
+  it('shows the guide without icons if they can\'t be fetched', () => {
+    const guide = { id: '10', get: () => Promise.reject(new Error('offline')) };
+    restoreApiClient = stubApiClient({ field_guides: { get: () => Promise.resolve([guide]) } });
+    const store = createStore();
+
+    store.dispatch(fetchGuide());
+    return flush().then(() => {
+      expect(store.getState().fieldGuide.status).to.equal(GUIDE_STATUS.READY);
+      expect(store.getState().fieldGuide.icons).to.deep.equal({});
+    });
+  });
+
+  it('copes with a project without a guide', () => {
+    restoreApiClient = stubApiClient({ field_guides: { get: () => Promise.resolve([]) } });
+    const store = createStore();
+
+    store.dispatch(fetchGuide());
+    return flush().then(() => {
+      expect(store.types()).to.deep.equal(['FETCH_GUIDE', 'FETCH_GUIDE_SUCCESS']);
+      expect(store.getState().fieldGuide.guide).to.equal(undefined);
+    });
+  });
+
+  it('reports a failed request', () => {
+    restoreApiClient = stubApiClient({ field_guides: { get: () => Promise.reject(new Error('offline')) } });
+    const store = createStore();
+
+    store.dispatch(fetchGuide());
+    return flush().then(() => {
+      expect(store.types()).to.deep.equal(['FETCH_GUIDE', 'FETCH_GUIDE_ERROR']);
+      expect(store.getState().fieldGuide.status).to.equal(GUIDE_STATUS.ERROR);
+    });
+  });
+});
@@ -1,7 +1,13 @@
+import React from 'react';
 import apiClient from 'panoptes-client/lib/api-client.js';
 import oauth from 'panoptes-client/lib/oauth';
 import { fetchPreferences, setUserRoles } from './project';
 import { fetchSplit } from './splits';
+import { updateQueueLength } from './classifications-queue';
+import { restoreImageFilters } from './subject-viewer';
+import { queueDialog } from './dialog';
+import { loadQueue } from '../lib/classifications-queue';
+import MigrateClassificationsPrompt from '../components/MigrateClassificationsPrompt';
 import { config } from '../config';
 
 // Action Types
@@ -73,6 +79,14 @@ const setLoginUser = (user) => {
 
     dispatch(fetchSplit(user));
     dispatch(fetchPreferences(user));
+    dispatch(updateQueueLength());  //Each user has their own queue of Classifications.
+    dispatch(restoreImageFilters());  //...and their own image filters.
+
+    //Offer to attach any work done while logged out to the user's account.
+    const anonymousQueueLength = loadQueue(null).length;
+    if (user && anonymousQueueLength > 0) {
+      dispatch(queueDialog(<MigrateClassificationsPrompt count={anonymousQueueLength} />, false, true));
+    }
   };
 };
 
@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import { Split } from 'seven-ten';
+import oauth from 'panoptes-client/lib/oauth';
+import { createMockStore, createSpy, flush, stubApiClient } from '../../test/helpers';
+import loginReducer, { checkLoginUser, logoutFromPanoptes, setLoginUser } from './login';
+import { storeQueue } from '../lib/classifications-queue';
+import { config } from '../config';
+
+const withLogin = (state, action) => {
+  return Object.assign({}, state, { login: loginReducer(state.login, action) });
+};
+
+const createStore = () => {
+  return createMockStore({ login: loginReducer(undefined, { type: '@@INIT' }) }, withLogin);
+};
+
+const pending = () => new Promise(() => {});
+
+describe('ducks/login', () => {
+  const { checkCurrent, signOut } = oauth;
+  const load = Split.load;
+  let restoreApiClient = null;
+  let projectRoles = null;
+
+  beforeEach(() => {
+    Split.load = pending;
+    projectRoles = { get: createSpy(() => Promise.resolve([{ roles: ['collaborator'] }])) };
+    restoreApiClient = stubApiClient({
+      project_preferences: { create: () => ({ preferences: {} }) },
+      project_roles: projectRoles,
+      workflows: { get: pending },
+    });
+  });
+
+  afterEach(() => {
+    oauth.checkCurrent = checkCurrent;
+    oauth.signOut = signOut;
+    Split.load = load;
+    restoreApiClient();
+    localStorage.clear();
+  });
+
+  describe('setLoginUser()', () => {
+    it('sets up the classifier for a signed out volunteer', () => {
+      const store = createStore();
+      store.dispatch(setLoginUser(null));
+      expect(store.types()).to.deep.equal([
+        'project/user/SET_LOGIN_USER',
+        'FETCH_SPLIT',
+        'FETCH_SPLIT_SUCCESS',
+        'FETCH_WORKFLOW',
+        'UPDATE_QUEUE_LENGTH',
+        'SET_IMAGE_FILTERS',
+      ]);
+      expect(store.getState().login).to.deep.equal({ user: null, initialised: true });
+      expect(projectRoles.get.calls).to.deep.equal([]);
+      return flush().then(() => {
+        expect(store.types()[6]).to.equal('FETCH_PREFERENCES');
+      });
+    });
+
+    it('loads a signed in volunteer\'s roles, split, preferences, queue and image filters', () => {
+      const user = { id: '7', get: createSpy(pending) };
+      const store = createStore();
+      store.dispatch(setLoginUser(user));
+      expect(store.types()).to.deep.equal([
+        'project/user/SET_LOGIN_USER',
+        'FETCH_SPLIT',
+        'UPDATE_QUEUE_LENGTH',
+        'SET_IMAGE_FILTERS',
+      ]);
+      expect(store.getState().login.user).to.equal(user);
+      expect(projectRoles.get.calls).to.deep.equal([[{ project_id: config.zooniverseLinks.projectId, user_id: '7' }]]);
+      expect(user.get.calls[0][0]).to.equal('project_preferences');
+      return flush().then(() => {
+        expect(store.actions[4]).to.deep.equal({ type: 'SET_USER_ROLES', roles: ['collaborator'] });
+      });
+    });
+
+    it('offers to keep the work done while signed out', () => {
+      storeQueue(null, [{ annotations: [] }, { annotations: [] }]);
+      const store = createStore();
+      store.dispatch(setLoginUser({ id: '7', get: pending }));
+      const prompt = store.actions.find(action => action.type === 'QUEUE_POPUP');
+      expect(prompt.dialog.props.count).to.equal(2);
+      expect(prompt.isPrompt).to.equal(true);
+    });
+  });
+
+  it('checkLoginUser() and logoutFromPanoptes() set the user Panoptes reports', () => {
+    const user = { id: '7', get: pending };
+    oauth.checkCurrent = () => Promise.resolve(user);
+    oauth.signOut = () => Promise.resolve(null);
+    const store = createStore();
+
+    store.dispatch(checkLoginUser());
+    return flush().then(() => {
+      expect(store.getState().login.user).to.equal(user);
+      store.dispatch(logoutFromPanoptes());
+      return flush();
+    }).then(() => {
+      expect(store.getState().login.user).to.equal(null);
+    });
+  });
+});
@@ -1,6 +1,6 @@
-import { request } from 'graphql-request';
+import { getReductionsSource } from '../lib/reductions-source';
 import { constructCoordinates, constructText } from '../lib/construct-previous-annotations';
-import { config, CONSENSUS_SCORE } from '../config.js';
+import { CONSENSUS_SCORE } from '../config.js';
 
 const FETCH_ANNOTATIONS = 'FETCH_ANNOTATIONS';
 const FETCH_ANNOTATIONS_SUCCESS = 'FETCH_ANNOTATIONS_SUCCESS';
@@ -9,6 +9,7 @@ const FETCH_ANNOTATIONS_ERROR = 'FETCH_ANNOTATIONS_ERROR';
 const UPDATE_FRAME ='UPDATE_FRAME';
 const UPDATE_PREVIOUS_ANNOTATION = 'UPDATE_PREVIOUS_ANNOTATION';
 const REENABLE_PREVIOUS_ANNOTATION = 'REENABLE_PREVIOUS_ANNOTATION';
+const SYNC_PREVIOUS_ANNOTATIONS = 'SYNC_PREVIOUS_ANNOTATIONS';
 
 const PREVIOUS_ANNOTATION_STATUS = {
   IDLE: 'previous_annotation_status_idle',
@@ -53,35 +54,20 @@ const previousAnnotationsReducer = (state = initialState, action) => {
 
     case UPDATE_PREVIOUS_ANNOTATION:
       const marks = state.marks.slice();
-      const updatedAnnotation = marks[action.index];
-      updatedAnnotation.hasCollaborated = true;
+      marks[action.index] = Object.assign({}, marks[action.index], { hasCollaborated: true });
 
       return Object.assign({}, state, {
         marks
       });
 
     case REENABLE_PREVIOUS_ANNOTATION:
-      //Find the Previous (Aggregated) Annotation that matches the Selected Annotation, then reenable it.
+      //Find the Previous (Aggregated) Annotation that the Selected Annotation
+      //agreed with, then reenable it.
+      const previousAnnotationId = action.selectedAnnotation && action.selectedAnnotation.previousAnnotationId;
       const reenabledMarks = state.marks.map((item) => {
-        let isAMatch =  //First check: does the current Previous Annotation and the Selected Annotation look remotely similar?
-          item.hasCollaborated && item.points &&
-          action.selectedAnnotation && action.selectedAnnotation.points &&
-          item.points.length === action.selectedAnnotation.points.length;
-
-        if (isAMatch) {  //Second check: do all the x-y coordinates that make the line match up?
-          item.points.map((a, index) => {
-            const b = action.selectedAnnotation.points[index];
-            isAMatch = isAMatch && a.x === b.x && a.y === b.y;
-          });
+        if (item.hasCollaborated && previousAnnotationId !== undefined && item.id === previousAnnotationId) {
+          return Object.assign({}, item, { hasCollaborated: false });
         }
-
-        //Finally, reenable the Previous Annotation if it's a match.
-        if (isAMatch) item.hasCollaborated = false;
-
-        //WARNING: This is a fairly primitive method of reenabling the previous
-        //Annotation, and will not work if the user-created Annotation can have
-        //its x-y coordinates edited.
-
         return item;
       });
 
@@ -89,6 +75,19 @@ const previousAnnotationsReducer = (state = initialState, action) => {
         marks: reenabledMarks,
       });
 
+    case SYNC_PREVIOUS_ANNOTATIONS:
+      //Mark every Previous Annotation that the user has agreed with, i.e. that
+      //is linked to a user Annotation, and reenable all the others.
+      const syncedMarks = state.marks.map((item) => {
+        const hasCollaborated = action.annotations.some(annotation => annotation.previousAnnotationId === item.id);
+        if (!!item.hasCollaborated === hasCollaborated) return item;
+        return Object.assign({}, item, { hasCollaborated });
+      });
+
+      return Object.assign({}, state, {
+        marks: syncedMarks,
+      });
+
    default:
      return state;
  };
@@ -99,28 +98,20 @@ const fetchPreviousAnnotations = (subject) => {
   return (dispatch, getState) => {
     const workflowId = getState().workflow.id;
 
-    const query = `{
-      workflow(id: ${workflowId}) {
-        reductions(subjectId: ${subject.id}, reducerKey:"${config.zooniverseLinks.caesarReducerKey}") {
-          data
-        }
-      }
-    }`;
-
     dispatch({
       type: FETCH_ANNOTATIONS,
     });
 
-    request(config.zooniverseLinks.caesarHost, query).then((data) => {
+    getReductionsSource().fetchReductions(workflowId, subject.id).then((reductions) => {
       const frame = getState().subjectViewer.frame;
-      const reductions = data.workflow.reductions;
       const marks = constructAnnotations(reductions, frame);
 
       dispatch({
         type: FETCH_ANNOTATIONS_SUCCESS,
-        data: data.workflow.reductions,
+        data: reductions,
         marks
       });
+      dispatch(syncPreviousAnnotations());  //e.g. a saved Classification may already agree with some of these.
     })
     .catch((err) => {
       console.error('ducks/previousAnnotations.js fetchPreviousAnnotations() error: ', err);
@@ -151,6 +142,19 @@ const reenablePreviousAnnotation = () => {
   };
 }
 
+/*  After the user's Annotations have been changed wholesale (e.g. by an undo
+    or redo) make sure the Previous Annotations they agreed with are hidden,
+    and the ones they no longer agree with are shown again.
+ */
+const syncPreviousAnnotations = () => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: SYNC_PREVIOUS_ANNOTATIONS,
+      annotations: getState().annotations.annotations || [],
+    });
+  };
+};
+
 const changeFrameData = (index) => {
   return (dispatch, getState) => {
     const data = getState().previousAnnotations.data;
@@ -159,10 +163,19 @@ const changeFrameData = (index) => {
       type: UPDATE_FRAME,
       marks
     });
+    dispatch(syncPreviousAnnotations());
   };
 };
 
 
+/*  Agreement Annotations link back to their Previous Annotation by this id.
+    It's made from where the line is, not from where it is in the reductions,
+    so it doesn't change if the reductions are fetched again in another order.
+ */
+const getPreviousAnnotationId = (frame, points) => {
+  return `frame${frame}:${points.map(point => `${point.x},${point.y}`).join(';')}`;
+};
+
 const constructAnnotations = (reductions, frame) => {
   const clusteredAnnotations = reductions || [];
   let previousAnnotations = [];
@@ -174,6 +187,7 @@ const constructAnnotations = (reductions, frame) => {
         const points = constructCoordinates(annotation);
         const textOptions = constructText(annotation, i);
         const data = {
+          id: getPreviousAnnotationId(frame, points),
           points, frame, textOptions,
           consensusReached: annotation.consensus_score >= CONSENSUS_SCORE,
           previousAnnotation: true,
@@ -193,4 +207,6 @@ export {
   fetchPreviousAnnotations,
   updatePreviousAnnotation,
   reenablePreviousAnnotation,
+  syncPreviousAnnotations,
+  PREVIOUS_ANNOTATION_STATUS,
 };
@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import { createMockStore, flush } from '../../test/helpers';
+import previousAnnotationsReducer, {
+  changeFrameData,
+  fetchPreviousAnnotations,
+  reenablePreviousAnnotation,
+  syncPreviousAnnotations,
+  updatePreviousAnnotation,
+  PREVIOUS_ANNOTATION_STATUS,
+} from './previousAnnotations';
+import reductionsFixture from '../fixtures/reductions.json';
+
+const FIRST_LINE_ID = 'frame0:320,410;1180,418';
+
+const withPreviousAnnotations = (state, action) => {
+  return Object.assign({}, state, {
+    previousAnnotations: previousAnnotationsReducer(state.previousAnnotations, action),
+  });
+};
+
+const createStore = (annotations = []) => {
+  return createMockStore({
+    annotations: { annotations, selectedAnnotation: null },
+    previousAnnotations: previousAnnotationsReducer(undefined, { type: '@@INIT' }),
+    subjectViewer: { frame: 0 },
+    workflow: { id: '3017' },
+  }, withPreviousAnnotations);
+};
+
+describe('ducks/previousAnnotations', () => {
+  describe('fetchPreviousAnnotations()', () => {
+    it('does nothing without a Subject', () => {
+      const store = createStore();
+      store.dispatch(fetchPreviousAnnotations(null));
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('turns the reductions for the current frame into marks', () => {
+      const store = createStore();
+      store.dispatch(fetchPreviousAnnotations({ id: '12' }));
+      expect(store.types()).to.deep.equal(['FETCH_ANNOTATIONS']);
+      expect(store.getState().previousAnnotations.status).to.equal(PREVIOUS_ANNOTATION_STATUS.FETCHING);
+
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['FETCH_ANNOTATIONS', 'FETCH_ANNOTATIONS_SUCCESS', 'SYNC_PREVIOUS_ANNOTATIONS']);
+        const { data, marks, status } = store.getState().previousAnnotations;
+        expect(status).to.equal(PREVIOUS_ANNOTATION_STATUS.READY);
+        expect(data).to.deep.equal(reductionsFixture.default);
+        expect(marks).to.have.length(4);
+        expect(marks[0]).to.include({ id: FIRST_LINE_ID, frame: 0, consensusReached: true, hasCollaborated: false });
+        expect(marks[0].points).to.deep.equal([{ x: 320, y: 410 }, { x: 1180, y: 418 }]);
+        expect(marks[3].consensusReached).to.equal(false);
+      });
+    });
+
+    it('hides the marks the volunteer has already agreed with', () => {
+      const store = createStore([{ previousAnnotationId: FIRST_LINE_ID }]);
+      store.dispatch(fetchPreviousAnnotations({ id: '12' }));
+      return flush().then(() => {
+        const marks = store.getState().previousAnnotations.marks;
+        expect(marks.map(mark => mark.hasCollaborated)).to.deep.equal([true, false, false, false]);
+      });
+    });
+  });
+
+  describe('changeFrameData()', () => {
+    it('shows the marks of another frame', () => {
+      const store = createStore([{ previousAnnotationId: 'frame1:1,2;3,4' }]);
+      store.dispatch({
+        type: 'FETCH_ANNOTATIONS_SUCCESS',
+        data: [{ data: { frame1: [{ clusters_x: [1, 3], clusters_y: [2, 4], clusters_text: [['a']] }] } }],
+        marks: [],
+      });
+
+      store.dispatch(changeFrameData(1));
+      expect(store.types().slice(1)).to.deep.equal(['UPDATE_FRAME', 'SYNC_PREVIOUS_ANNOTATIONS']);
+      const marks = store.getState().previousAnnotations.marks;
+      expect(marks).to.have.length(1);
+      expect(marks[0]).to.include({ id: 'frame1:1,2;3,4', frame: 1, hasCollaborated: true });
+
+      store.dispatch(changeFrameData(0));
+      expect(store.getState().previousAnnotations.marks).to.deep.equal([]);
+    });
+  });
+
+  describe('agreeing with marks', () => {
+    const marks = [{ id: 'a', hasCollaborated: false }, { id: 'b', hasCollaborated: false }];
+
+    it('updatePreviousAnnotation() hides a mark the volunteer has agreed with', () => {
+      const store = createStore();
+      store.dispatch({ type: 'FETCH_ANNOTATIONS_SUCCESS', data: [], marks });
+      store.dispatch(updatePreviousAnnotation(1));
+      expect(store.getState().previousAnnotations.marks.map(mark => mark.hasCollaborated)).to.deep.equal([false, true]);
+      expect(marks[1].hasCollaborated).to.equal(false);
+    });
+
+    it('reenablePreviousAnnotation() shows the mark of the selected Agreement Annotation again', () => {
+      const store = createStore();
+      store.dispatch({ type: 'FETCH_ANNOTATIONS_SUCCESS', data: [], marks });
+      store.dispatch(updatePreviousAnnotation(0));
+      store.dispatch(updatePreviousAnnotation(1));
+      store.setState({ annotations: { annotations: [], selectedAnnotation: { previousAnnotationId: 'b' } } });
+
+      store.dispatch(reenablePreviousAnnotation());
+      expect(store.getState().previousAnnotations.marks.map(mark => mark.hasCollaborated)).to.deep.equal([true, false]);
+    });
+
+    it('syncPreviousAnnotations() matches the marks to the volunteer\'s Annotations', () => {
+      const store = createStore();
+      store.dispatch({ type: 'FETCH_ANNOTATIONS_SUCCESS', data: [], marks });
+      store.dispatch(updatePreviousAnnotation(0));
+      store.setState({ annotations: { annotations: [{ previousAnnotationId: 'b' }, {}] } });
+
+      store.dispatch(syncPreviousAnnotations());
+      expect(store.actions[store.actions.length - 1]).to.deep.equal({
+        type: 'SYNC_PREVIOUS_ANNOTATIONS',
+        annotations: [{ previousAnnotationId: 'b' }, {}],
+      });
+      expect(store.getState().previousAnnotations.marks.map(mark => mark.hasCollaborated)).to.deep.equal([false, true]);
+    });
+  });
+
+  describe('reducer', () => {
+    it('starts afresh when fetching, and records errors', () => {
+      let state = previousAnnotationsReducer(
+        { data: [], marks: [{ id: 'a' }], selectedPreviousAnnotation: {}, status: PREVIOUS_ANNOTATION_STATUS.READY },
+        { type: 'FETCH_ANNOTATIONS' },
+      );
+      expect(state).to.deep.equal({
+        data: null, marks: [], selectedPreviousAnnotation: null, status: PREVIOUS_ANNOTATION_STATUS.FETCHING,
+      });
+
+      state = previousAnnotationsReducer(state, { type: 'FETCH_ANNOTATIONS_ERROR' });
+      expect(state.status).to.equal(PREVIOUS_ANNOTATION_STATUS.ERROR);
+    });
+  });
+});
@@ -17,6 +17,7 @@ const FETCH_PROJECT_ERROR = 'FETCH_PROJECT_ERROR';
 const FETCH_PREFERENCES = 'FETCH_PREFERENCES';
 const SET_USER_ROLES = 'SET_USER_ROLES';
 const REMINDER_SEEN = 'REMINDER_SEEN';
+const SET_SHORTCUTS = 'SET_SHORTCUTS';
 
 //Misc Constants
 const PROJECT_STATUS = {
@@ -37,6 +38,7 @@ const initialState = {
   reminderSeen: false,
   userPreferences: null,
   userRoles: [],
+  shortcuts: {},  //The user's own keyboard shortcuts, as { commandId: binding }. See lib/shortcuts.js.
 };
 
 const classifierReducer = (state = initialState, action) => {
@@ -65,6 +67,13 @@ const classifierReducer = (state = initialState, action) => {
     case FETCH_PREFERENCES:
       return Object.assign({}, state, {
         userPreferences: action.preferences,
+        shortcuts: (action.preferences && action.preferences.preferences &&
+          action.preferences.preferences.shortcuts) || {},
+      });
+
+    case SET_SHORTCUTS:
+      return Object.assign({}, state, {
+        shortcuts: action.shortcuts,
       });
 
     case SET_USER_ROLES:
@@ -176,6 +185,29 @@ const fetchPreferences = (user) => {
   };
 };
 
+/*  Changes the user's keyboard shortcuts, and keeps them in their project
+    preferences. (Signed out users' changes only last until the page is
+    closed.)
+ */
+const saveShortcuts = (shortcuts) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: SET_SHORTCUTS,
+      shortcuts,
+    });
+
+    const preferences = getState().project.userPreferences;
+    if (!preferences) return;
+    preferences.update({ 'preferences.shortcuts': shortcuts });
+    if (getState().login.user) {
+      preferences.save()
+        .catch((err) => {
+          console.error('ducks/project.js saveShortcuts() error: ', err);
+        });
+    }
+  };
+};
+
 const setUserRoles = (roles) => {
   return (dispatch) => {
     dispatch({
@@ -195,6 +227,7 @@ export {
   fetchProject,
   fetchPreferences,
   reminderSeen,
+  saveShortcuts,
   setUserRoles,
   PROJECT_STATUS,
 };
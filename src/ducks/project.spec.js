@@ -0,0 +1,155 @@
+import { expect } from 'chai';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import projectReducer, {
+  fetchPreferences,
+  fetchProject,
+  reminderSeen,
+  saveShortcuts,
+  setUserRoles,
+  PROJECT_STATUS,
+} from './project';
+import { config } from '../config';
+
+const projectId = config.zooniverseLinks.projectId;
+
+const withProject = (state, action) => {
+  return Object.assign({}, state, { project: projectReducer(state.project, action) });
+};
+
+const createStore = (login = { user: null }) => {
+  return createMockStore({
+    login,
+    project: projectReducer(undefined, { type: '@@INIT' }),
+  }, withProject);
+};
+
+//Project Preferences as panoptes-client returns them.
+const createPreferences = (preferences = {}) => {
+  return {
+    preferences,
+    update: createSpy(),
+    save: createSpy(() => Promise.resolve()),
+  };
+};
+
+describe('ducks/project', () => {
+  let restoreApiClient = null;
+
+  afterEach(() => {
+    if (restoreApiClient) restoreApiClient();
+    restoreApiClient = null;
+  });
+
+  describe('fetchProject()', () => {
+    it('fetches the project', () => {
+      const project = { id: projectId, display_name: 'Test Project' };
+      const projects = { get: createSpy(() => Promise.resolve(project)) };
+      restoreApiClient = stubApiClient({ projects });
+      const store = createStore();
+
+      store.dispatch(fetchProject());
+      expect(projects.get.calls).to.deep.equal([[projectId]]);
+      expect(store.getState().project).to.include({ status: PROJECT_STATUS.FETCHING, id: projectId });
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['FETCH_PROJECT', 'FETCH_PROJECT_SUCCESS']);
+        expect(store.getState().project).to.include({ status: PROJECT_STATUS.READY, data: project });
+      });
+    });
+
+    it('reports a failed request', () => {
+      const restoreConsole = muteConsole('error');
+      restoreApiClient = stubApiClient({ projects: { get: () => Promise.reject(new Error('offline')) } });
+      const store = createStore();
+
+      store.dispatch(fetchProject('1'));
+      return flush().then(() => {
+        restoreConsole();
+        expect(store.types()).to.deep.equal(['FETCH_PROJECT', 'FETCH_PROJECT_ERROR']);
+        expect(store.getState().project.status).to.equal(PROJECT_STATUS.ERROR);
+      });
+    });
+  });
+
+  describe('fetchPreferences()', () => {
+    it('loads the volunteer\'s preferences, including their shortcuts and the reminder', () => {
+      const preferences = createPreferences({
+        annotation_reminder: { [projectId]: true },
+        shortcuts: { undo: 'Ctrl+Y' },
+      });
+      const user = { get: createSpy(() => Promise.resolve([preferences])) };
+      restoreApiClient = stubApiClient({});
+      const store = createStore({ user });
+
+      store.dispatch(fetchPreferences(user));
+      expect(user.get.calls).to.deep.equal([['project_preferences', { project_id: projectId }]]);
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['REMINDER_SEEN', 'FETCH_PREFERENCES']);
+        expect(store.getState().project).to.include({ reminderSeen: true, userPreferences: preferences });
+        expect(store.getState().project.shortcuts).to.deep.equal({ undo: 'Ctrl+Y' });
+      });
+    });
+
+    it('creates the volunteer\'s preferences if they don\'t have any', () => {
+      const preferences = createPreferences();
+      const projectPreferences = { create: createSpy(() => ({ save: () => Promise.resolve(preferences) })) };
+      restoreApiClient = stubApiClient({ project_preferences: projectPreferences });
+      const user = { get: () => Promise.resolve([]) };
+      const store = createStore({ user });
+
+      store.dispatch(fetchPreferences(user));
+      return flush().then(() => {
+        expect(projectPreferences.create.calls).to.deep.equal([[{ links: { project: projectId }, preferences: {} }]]);
+        expect(store.types()).to.deep.equal(['FETCH_PREFERENCES']);
+        expect(store.getState().project.userPreferences).to.equal(preferences);
+        expect(store.getState().project.shortcuts).to.deep.equal({});
+      });
+    });
+
+    it('gives signed out volunteers preferences that are never saved', () => {
+      const projectPreferences = { create: createSpy(data => createPreferences(data.preferences)) };
+      restoreApiClient = stubApiClient({ project_preferences: projectPreferences });
+      const store = createStore();
+
+      store.dispatch(fetchPreferences(null));
+      expect(projectPreferences.create.calls[0][0].id).to.equal('GUEST_PREFERENCES_DO_NOT_SAVE');
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['FETCH_PREFERENCES']);
+      });
+    });
+  });
+
+  describe('saveShortcuts()', () => {
+    it('keeps the shortcuts in a signed in volunteer\'s preferences', () => {
+      const preferences = createPreferences();
+      const store = createStore({ user: { id: '7' } });
+      store.dispatch({ type: 'FETCH_PREFERENCES', preferences });
+
+      store.dispatch(saveShortcuts({ undo: 'Ctrl+Y' }));
+      expect(store.getState().project.shortcuts).to.deep.equal({ undo: 'Ctrl+Y' });
+      expect(preferences.update.calls).to.deep.equal([[{ 'preferences.shortcuts': { undo: 'Ctrl+Y' } }]]);
+      expect(preferences.save.calls).to.have.length(1);
+    });
+
+    it('only changes the shortcuts for this visit for signed out volunteers', () => {
+      const preferences = createPreferences();
+      const store = createStore();
+      store.dispatch({ type: 'FETCH_PREFERENCES', preferences });
+
+      store.dispatch(saveShortcuts({ undo: 'Ctrl+Y' }));
+      expect(preferences.update.calls).to.have.length(1);
+      expect(preferences.save.calls).to.deep.equal([]);
+    });
+  });
+
+  it('reminderSeen() and setUserRoles() dispatch their actions', () => {
+    const store = createStore();
+    store.dispatch(reminderSeen());
+    store.dispatch(setUserRoles(['owner']));
+    expect(store.actions).to.deep.equal([
+      { type: 'REMINDER_SEEN' },
+      { type: 'SET_USER_ROLES', roles: ['owner'] },
+    ]);
+    expect(store.getState().project).to.include({ reminderSeen: true });
+    expect(store.getState().project.userRoles).to.deep.equal(['owner']);
+  });
+});
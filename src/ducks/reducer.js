@@ -9,6 +9,7 @@ import dialog from './dialog';
 import previousAnnotations from './previousAnnotations';
 import workflow from './workflow';
 import classifications from './classifications';
+import classificationsQueue from './classifications-queue';
 import splits from './splits';
 import fieldGuide from './field-guide';
 import tutorial from './tutorial';
@@ -25,6 +26,7 @@ export default combineReducers({
   previousAnnotations,
   workflow,
   classifications,
+  classificationsQueue,
   splits,
   fieldGuide,
   tutorial,
@@ -23,6 +23,7 @@ const VARIANT_TYPES = {
 };
 
 const initialState = {
+  status: SPLIT_STATUS.IDLE,
   variant: VARIANT_TYPES.INDIVIDUAL,
   data: null,
   id: null,
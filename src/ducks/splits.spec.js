@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import { Split } from 'seven-ten';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import splitReducer, {
+  clearSplits,
+  fetchSplit,
+  setVariant,
+  toggleVariant,
+  SPLIT_STATUS,
+  VARIANT_TYPES,
+} from './splits';
+import { config } from '../config';
+
+const withSplits = (state, action) => {
+  return Object.assign({}, state, { splits: splitReducer(state.splits, action) });
+};
+
+const createStore = () => createMockStore({ splits: splitReducer(undefined, { type: '@@INIT' }) }, withSplits);
+
+const collaborativeSplit = (div) => {
+  return { 'classifier.collaborative': { id: '9', variant: { value: { div } } } };
+};
+
+describe('ducks/splits', () => {
+  const load = Split.load;
+  let restoreApiClient = null;
+
+  beforeEach(() => {
+    //fetchSplit() goes on to fetch the workflow for the variant.
+    restoreApiClient = stubApiClient({ workflows: { get: () => new Promise(() => {}) } });
+  });
+
+  afterEach(() => {
+    Split.load = load;
+    restoreApiClient();
+  });
+
+  describe('fetchSplit()', () => {
+    it('uses the individual workflow for signed out volunteers', () => {
+      Split.load = createSpy();
+      const store = createStore();
+      store.dispatch(fetchSplit(null));
+      expect(Split.load.calls).to.deep.equal([]);
+      expect(store.actions).to.deep.equal([
+        { type: 'FETCH_SPLIT' },
+        { type: 'FETCH_SPLIT_SUCCESS', id: null, variant: VARIANT_TYPES.INDIVIDUAL, data: null },
+        { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.workflowId },
+      ]);
+      expect(store.getState().splits.status).to.equal(SPLIT_STATUS.READY);
+    });
+
+    it('uses the individual workflow if the split hides the collaborative elements', () => {
+      const splits = collaborativeSplit(false);
+      Split.load = createSpy(() => Promise.resolve(splits));
+      const store = createStore();
+
+      store.dispatch(fetchSplit({ id: '7' }));
+      expect(Split.load.calls).to.deep.equal([[config.zooniverseLinks.projectSlug]]);
+      return flush().then(() => {
+        expect(store.actions).to.deep.equal([
+          { type: 'FETCH_SPLIT' },
+          { type: 'FETCH_SPLIT_SUCCESS', id: '9', variant: VARIANT_TYPES.INDIVIDUAL, splits },
+          { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.workflowId },
+        ]);
+        expect(store.getState().splits).to.include({ id: '9', data: splits, variant: VARIANT_TYPES.INDIVIDUAL });
+      });
+    });
+
+    it('uses the collaborative workflow if the split shows the collaborative elements, or there\'s no split', () => {
+      Split.load = () => Promise.resolve(collaborativeSplit(true));
+      const store = createStore();
+      store.dispatch(fetchSplit({ id: '7' }));
+      Split.load = () => Promise.resolve({});
+      store.dispatch(fetchSplit({ id: '7' }));
+
+      return flush().then(() => {
+        const workflows = store.actions.filter(action => action.type === 'FETCH_WORKFLOW');
+        expect(workflows).to.deep.equal([
+          { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.collabWorkflowId },
+          { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.collabWorkflowId },
+        ]);
+        expect(store.getState().splits.variant).to.equal(VARIANT_TYPES.COLLABORATIVE);
+      });
+    });
+
+    it('falls back to the individual workflow if the split can\'t be loaded', () => {
+      const restoreConsole = muteConsole('error');
+      Split.load = () => Promise.reject(new Error('offline'));
+      const store = createStore();
+
+      store.dispatch(fetchSplit({ id: '7' }));
+      return flush().then(() => {
+        restoreConsole();
+        expect(store.actions).to.deep.equal([
+          { type: 'FETCH_SPLIT' },
+          { type: 'FETCH_SPLIT_ERROR' },
+          { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.workflowId },
+        ]);
+        expect(store.getState().splits.status).to.equal(SPLIT_STATUS.ERROR);
+      });
+    });
+  });
+
+  describe('variants', () => {
+    it('toggleVariant() switches to the other variant', () => {
+      const store = createStore();
+      store.dispatch(toggleVariant(VARIANT_TYPES.INDIVIDUAL));
+      expect(store.getState().splits.variant).to.equal(VARIANT_TYPES.COLLABORATIVE);
+      store.dispatch(toggleVariant(VARIANT_TYPES.COLLABORATIVE));
+      expect(store.getState().splits.variant).to.equal(VARIANT_TYPES.INDIVIDUAL);
+    });
+
+    it('setVariant() sets the variant, and clearSplits() forgets the splits', () => {
+      const store = createStore();
+      store.dispatch({ type: 'FETCH_SPLIT_SUCCESS', id: '9', variant: VARIANT_TYPES.INDIVIDUAL, splits: {} });
+      store.dispatch(setVariant(VARIANT_TYPES.COLLABORATIVE));
+      store.dispatch(clearSplits());
+      expect(store.getState().splits).to.include({ id: '9', data: null, variant: VARIANT_TYPES.COLLABORATIVE });
+    });
+  });
+});
@@ -8,6 +8,7 @@ options/settings of the SubjectViewer component.
  */
 import { CONSENSUS_SCORE } from '../config';
 import { VARIANT_TYPES } from '../ducks/splits';
+import { cleanImageFilters, loadImageFilters, storeImageFilters, DEFAULT_IMAGE_FILTERS } from '../lib/image-filters';
 
 //Misc Constants
 const SUBJECTVIEWER_STATE = {
@@ -16,8 +17,24 @@ const SUBJECTVIEWER_STATE = {
   ANNOTATING: 'annotating',  //User has started, or is in the process of, adding annotations to the Subject.
   CROPPING: 'cropping' //User wants to crop part of a manuscript for the cribsheet.
 }
+const DRAWING_MODE = {
+  LINE: 'line',  //Two clicks, for the start and end of a straight line.
+  //Any number of clicks, for slanted or curved lines. Finished by clicking the
+  //last point again (e.g. double-clicking) or pressing Enter.
+  POLYLINE: 'polyline',
+};
+const VIEW_FIT = {
+  WIDTH: 'width',  //The page fills the width of the viewer, starting from the top of the page.
+  HEIGHT: 'height',  //The whole height of the page fits in the viewer.
+  //100%, i.e. one pixel of the image is one pixel on screen. The view stays
+  //centred where it was.
+  ACTUAL_SIZE: 'actual-size',
+};
 const MIN_SCALING = 0.1;
 const MAX_SCALING = 10;
+const MAX_ANGLE = 8;  //How far (in degrees, either way) a tilted page can be straightened. See setSkew().
+const SKEW_STEP = 0.5;
+const LOUPE_ZOOMS = [2, 3, 4, 6, 8];  //How much the magnifier loupe can magnify the Subject, relative to the viewer.
 
 const MARKS_STATE = {
   ALL: 0,
@@ -28,8 +45,8 @@ const MARKS_STATE = {
 // Initial State
 const initialState = {
   // Image transformations
-  contrast: false,
   frame: 0,
+  imageFilters: DEFAULT_IMAGE_FILTERS,  //Brightness, contrast, invert, etc. See lib/image-filters.js
   rotation: 0,
   scaling: 1,
   shownMarks: MARKS_STATE.ALL,
@@ -37,6 +54,9 @@ const initialState = {
   translationY: 0,
 
   // Viewer settings
+  drawingMode: DRAWING_MODE.LINE,
+  loupe: false,  //Whether the magnifier loupe follows the pointer. Works in any viewerState.
+  loupeZoom: LOUPE_ZOOMS[0],
   viewerState: SUBJECTVIEWER_STATE.NAVIGATING,
   viewerSize: { width: 0, height: 0 },
   imageSize: { width: 0, height: 0 },
@@ -44,26 +64,82 @@ const initialState = {
 
 //Action Types
 const TOGGLE_CONTRAST = 'TOGGLE_CONTRAST';
+const SET_IMAGE_FILTERS = 'SET_IMAGE_FILTERS';
 const SET_ROTATION = 'SET_ROTATION';
 const SET_SCALING = 'SET_SCALING';
 const SET_TRANSLATION = 'SET_TRANSLATION';
 const RESET_VIEW = 'RESET_VIEW';
 const TOGGLE_MARKS = 'TOGGLE_MARKS';
 const SET_VIEWER_STATE = 'SET_VIEWER_STATE';
+const SET_DRAWING_MODE = 'SET_DRAWING_MODE';
 const UPDATE_VIEWER_SIZE = 'UPDATE_VIEWER_SIZE';
 const UPDATE_IMAGE_SIZE = 'UPDATE_IMAGE_SIZE';
 const CHANGE_FRAME = 'CHANGE_FRAME';
+const FIT_VIEW = 'FIT_VIEW';
+const TOGGLE_LOUPE = 'TOGGLE_LOUPE';
+const SET_LOUPE_ZOOM = 'SET_LOUPE_ZOOM';
 
 /*
 --------------------------------------------------------------------------------
  */
 
+/*  A rotation is made up of quarter turns (see ClassifierContainer.useRotate90)
+    plus a small skew, to straighten a tilted page.
+ */
+const getQuarterTurns = rotation => Math.round(rotation / 90) * 90;
+const getSkew = rotation => rotation - getQuarterTurns(rotation);
+
+/*  The size of the (possibly rotated) image's bounding box, i.e. how much room
+    it takes up on screen at 100%.
+ */
+const getRotatedImageSize = (imageSize, rotation) => {
+  const angle = (rotation / 180) * Math.PI;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  return {
+    width: (imageSize.width * cos) + (imageSize.height * sin),
+    height: (imageSize.width * sin) + (imageSize.height * cos),
+  };
+};
+
+const getFittedView = (state, fit) => {
+  const size = getRotatedImageSize(state.imageSize, state.rotation);
+  const { width: viewerWidth, height: viewerHeight } = state.viewerSize;
+  if (!viewerWidth || !viewerHeight || !size.width || !size.height) return {};
+
+  switch (fit) {
+    case VIEW_FIT.WIDTH: {
+      const scaling = Math.max(MIN_SCALING, Math.min(MAX_SCALING, viewerWidth / size.width));
+      return {
+        scaling,
+        translationX: 0,
+        translationY: Math.max(0, ((size.height * scaling) - viewerHeight) / (2 * scaling)),
+      };
+    }
+    case VIEW_FIT.HEIGHT:
+      return {
+        scaling: Math.max(MIN_SCALING, Math.min(MAX_SCALING, viewerHeight / size.height)),
+        translationX: 0,
+        translationY: 0,
+      };
+    case VIEW_FIT.ACTUAL_SIZE:
+      return { scaling: 1 };
+    default:
+      return {};
+  }
+};
+
 const subjectViewerReducer = (state = initialState, action) => {
   switch (action.type) {
 
     case TOGGLE_CONTRAST:
       return Object.assign({}, state, {
-        contrast: !state.contrast,
+        imageFilters: Object.assign({}, state.imageFilters, { invert: !state.imageFilters.invert }),
+      });
+
+    case SET_IMAGE_FILTERS:
+      return Object.assign({}, state, {
+        imageFilters: cleanImageFilters(Object.assign({}, state.imageFilters, action.filters)),
       });
 
     case SET_ROTATION:
@@ -112,11 +188,19 @@ const subjectViewerReducer = (state = initialState, action) => {
         translationY: 0,
       });
 
+    case FIT_VIEW:
+      return Object.assign({}, state, getFittedView(state, action.fit));
+
     case SET_VIEWER_STATE:
       return Object.assign({}, state, {
         viewerState: action.viewerState,
       });
 
+    case SET_DRAWING_MODE:
+      return Object.assign({}, state, {
+        drawingMode: action.drawingMode,
+      });
+
     case UPDATE_VIEWER_SIZE:
       return Object.assign({}, state, {
         viewerSize: {
@@ -138,6 +222,16 @@ const subjectViewerReducer = (state = initialState, action) => {
         frame: action.frame
       });
 
+    case TOGGLE_LOUPE:
+      return Object.assign({}, state, {
+        loupe: !state.loupe,
+      });
+
+    case SET_LOUPE_ZOOM:
+      return Object.assign({}, state, {
+        loupeZoom: (LOUPE_ZOOMS.indexOf(action.zoom) >= 0) ? action.zoom : state.loupeZoom,
+      });
+
     default:
       return state;
   }
@@ -148,13 +242,42 @@ const subjectViewerReducer = (state = initialState, action) => {
  */
 
 const setContrast = () => {
-  return (dispatch) => {
+  return (dispatch, getState) => {
     dispatch({
       type: TOGGLE_CONTRAST,
     });
+    storeImageFilters(getState().login.user, getState().subjectViewer.imageFilters);
   }
 };
 
+/*  Changes some (or all) of the image filters, and remembers them for every
+    Subject.
+ */
+const setImageFilters = (filters) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: SET_IMAGE_FILTERS,
+      filters,
+    });
+    storeImageFilters(getState().login.user, getState().subjectViewer.imageFilters);
+  };
+};
+
+const resetImageFilters = () => {
+  return setImageFilters(DEFAULT_IMAGE_FILTERS);
+};
+
+/*  Loads the image filters the volunteer last used, e.g. when they log in.
+ */
+const restoreImageFilters = () => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: SET_IMAGE_FILTERS,
+      filters: loadImageFilters(getState().login.user),
+    });
+  };
+};
+
 const setRotation = (angle) => {
   return (dispatch) => {
     dispatch({
@@ -164,6 +287,27 @@ const setRotation = (angle) => {
   }
 };
 
+/*  Tilts the Subject by a small angle (up to MAX_ANGLE either way), on top of
+    its quarter turns. Annotations are unaffected: they're always stored in
+    the unrotated image's coordinates.
+ */
+const setSkew = (angle) => {
+  return (dispatch, getState) => {
+    const rotation = getState().subjectViewer.rotation;
+    const skew = Math.max(-MAX_ANGLE, Math.min(MAX_ANGLE, Math.round(angle / SKEW_STEP) * SKEW_STEP));
+    dispatch({
+      type: SET_ROTATION,
+      angle: getQuarterTurns(rotation) + skew,
+    });
+  };
+};
+
+const changeSkew = (step) => {
+  return (dispatch, getState) => {
+    dispatch(setSkew(getSkew(getState().subjectViewer.rotation) + step));
+  };
+};
+
 const setScaling = (scale) => {
   return (dispatch) => {
     dispatch({
@@ -219,6 +363,15 @@ const setViewerState = (viewerState) => {
   }
 };
 
+const setDrawingMode = (drawingMode) => {
+  return (dispatch) => {
+    dispatch({
+      type: SET_DRAWING_MODE,
+      drawingMode,
+    });
+  };
+};
+
 const updateViewerSize = (width, height) => {
   return (dispatch) => {
     dispatch({
@@ -237,6 +390,32 @@ const updateImageSize = (width, height) => {
   }
 };
 
+const fitView = (fit) => {
+  return (dispatch) => {
+    dispatch({
+      type: FIT_VIEW,
+      fit,
+    });
+  };
+};
+
+const toggleLoupe = () => {
+  return (dispatch) => {
+    dispatch({
+      type: TOGGLE_LOUPE,
+    });
+  };
+};
+
+const setLoupeZoom = (zoom) => {
+  return (dispatch) => {
+    dispatch({
+      type: SET_LOUPE_ZOOM,
+      zoom,
+    });
+  };
+};
+
 const changeFrame = (frame) => {
   return (dispatch) => {
     dispatch({
@@ -254,15 +433,32 @@ export default subjectViewerReducer;
 
 export {
   changeFrame,
+  changeSkew,
+  fitView,
+  getSkew,
+  resetImageFilters,
+  restoreImageFilters,
   setContrast,
+  setImageFilters,
+  setLoupeZoom,
   setRotation,
   setScaling,
+  setSkew,
   setTranslation,
   resetView,
+  setDrawingMode,
   setViewerState,
+  toggleLoupe,
   togglePreviousMarks,
   updateViewerSize,
   updateImageSize,
+  DRAWING_MODE,
+  LOUPE_ZOOMS,
   MARKS_STATE,
+  MAX_ANGLE,
+  MAX_SCALING,
+  MIN_SCALING,
+  SKEW_STEP,
   SUBJECTVIEWER_STATE,
+  VIEW_FIT,
 };
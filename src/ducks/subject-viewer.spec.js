@@ -0,0 +1,203 @@
+import { expect } from 'chai';
+import { createMockStore } from '../../test/helpers';
+import subjectViewerReducer, {
+  changeFrame,
+  changeSkew,
+  fitView,
+  resetImageFilters,
+  resetView,
+  restoreImageFilters,
+  setContrast,
+  setImageFilters,
+  setLoupeZoom,
+  setRotation,
+  setScaling,
+  setSkew,
+  toggleLoupe,
+  togglePreviousMarks,
+  updateImageSize,
+  updateViewerSize,
+  LOUPE_ZOOMS,
+  MARKS_STATE,
+  MAX_ANGLE,
+  MAX_SCALING,
+  MIN_SCALING,
+  VIEW_FIT,
+} from './subject-viewer';
+import { VARIANT_TYPES } from './splits';
+
+const initialState = () => subjectViewerReducer(undefined, { type: '@@INIT' });
+
+const withSubjectViewer = (state, action) => {
+  return Object.assign({}, state, { subjectViewer: subjectViewerReducer(state.subjectViewer, action) });
+};
+
+const createStore = (changes = {}) => {
+  return createMockStore({
+    login: { user: null },
+    previousAnnotations: { marks: [] },
+    splits: { variant: VARIANT_TYPES.INDIVIDUAL },
+    subjectViewer: Object.assign({}, initialState(), changes),
+  }, withSubjectViewer);
+};
+
+describe('ducks/subject-viewer', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('frames', () => {
+    it('changeFrame() switches to the given frame', () => {
+      const store = createStore();
+      store.dispatch(changeFrame(2));
+      expect(store.actions).to.deep.equal([{ type: 'CHANGE_FRAME', frame: 2 }]);
+      expect(store.getState().subjectViewer.frame).to.equal(2);
+
+      store.dispatch(changeFrame(0));
+      expect(store.getState().subjectViewer.frame).to.equal(0);
+    });
+  });
+
+  describe('rotation', () => {
+    it('keeps the rotation between 0 and 360 degrees', () => {
+      const store = createStore();
+      store.dispatch(setRotation(-90));
+      expect(store.getState().subjectViewer.rotation).to.equal(270);
+      store.dispatch(setRotation(450));
+      expect(store.getState().subjectViewer.rotation).to.equal(90);
+    });
+
+    it('setSkew() tilts the page on top of its quarter turns, within limits', () => {
+      const store = createStore({ rotation: 90 });
+      store.dispatch(setSkew(2.2));
+      expect(store.getState().subjectViewer.rotation).to.equal(92);
+      store.dispatch(setSkew(-100));
+      expect(store.getState().subjectViewer.rotation).to.equal(90 - MAX_ANGLE);
+    });
+
+    it('changeSkew() changes the tilt by a step', () => {
+      const store = createStore({ rotation: 1 });
+      store.dispatch(changeSkew(-0.5));
+      expect(store.actions).to.deep.equal([{ type: 'SET_ROTATION', angle: 0.5 }]);
+    });
+  });
+
+  describe('scaling and translation', () => {
+    it('keeps the scaling within limits', () => {
+      const store = createStore();
+      store.dispatch(setScaling(100));
+      expect(store.getState().subjectViewer.scaling).to.equal(MAX_SCALING);
+      store.dispatch(setScaling(0.001));
+      expect(store.getState().subjectViewer.scaling).to.equal(MIN_SCALING);
+    });
+
+    it('resetView() fits the whole image in the viewer', () => {
+      const store = createStore({ rotation: 90, scaling: 3, translationX: 10, translationY: 20 });
+      store.dispatch(updateViewerSize(800, 600));
+      store.dispatch(updateImageSize(1600, 2400));
+      store.dispatch(resetView());
+      expect(store.getState().subjectViewer).to.include({
+        rotation: 0,
+        scaling: 0.25,
+        translationX: 0,
+        translationY: 0,
+      });
+    });
+
+    it('resetView() shows the image at 100% until the sizes are known', () => {
+      const store = createStore({ scaling: 3 });
+      store.dispatch(resetView());
+      expect(store.getState().subjectViewer.scaling).to.equal(1);
+    });
+
+    it('fitView() fits the width or height of the image', () => {
+      const store = createStore({ viewerSize: { width: 800, height: 600 }, imageSize: { width: 1600, height: 2400 } });
+      store.dispatch(fitView(VIEW_FIT.WIDTH));
+      expect(store.getState().subjectViewer).to.include({ scaling: 0.5, translationX: 0, translationY: 600 });
+
+      store.dispatch(fitView(VIEW_FIT.HEIGHT));
+      expect(store.getState().subjectViewer).to.include({ scaling: 0.25, translationX: 0, translationY: 0 });
+
+      store.dispatch(fitView(VIEW_FIT.ACTUAL_SIZE));
+      expect(store.getState().subjectViewer.scaling).to.equal(1);
+    });
+
+    it('fitView() allows for quarter turns', () => {
+      const store = createStore({
+        rotation: 90,
+        viewerSize: { width: 800, height: 600 },
+        imageSize: { width: 1600, height: 2400 },
+      });
+      store.dispatch(fitView(VIEW_FIT.WIDTH));
+      expect(store.getState().subjectViewer.scaling).to.be.closeTo(800 / 2400, 0.0001);
+    });
+  });
+
+  describe('loupe', () => {
+    it('toggles the loupe, and only allows the listed zooms', () => {
+      const store = createStore();
+      store.dispatch(toggleLoupe());
+      expect(store.getState().subjectViewer.loupe).to.equal(true);
+      store.dispatch(setLoupeZoom(LOUPE_ZOOMS[2]));
+      expect(store.getState().subjectViewer.loupeZoom).to.equal(LOUPE_ZOOMS[2]);
+      store.dispatch(setLoupeZoom(5.5));
+      expect(store.getState().subjectViewer.loupeZoom).to.equal(LOUPE_ZOOMS[2]);
+    });
+  });
+
+  describe('image filters', () => {
+    it('remembers the filters for the volunteer', () => {
+      const store = createStore();
+      store.setState({ login: { user: { id: '7' } } });
+      store.dispatch(setImageFilters({ brightness: 2, contrast: 100 }));
+      expect(store.getState().subjectViewer.imageFilters).to.include({ brightness: 2, contrast: 5 });
+      expect(JSON.parse(localStorage.getItem('7.imageFilters'))).to.include({ brightness: 2, contrast: 5 });
+
+      store.dispatch(setContrast());
+      expect(store.getState().subjectViewer.imageFilters.invert).to.equal(true);
+      expect(JSON.parse(localStorage.getItem('7.imageFilters')).invert).to.equal(true);
+    });
+
+    it('forgets the filters once they\'re back to the defaults', () => {
+      const store = createStore();
+      store.dispatch(setImageFilters({ gamma: 2 }));
+      expect(localStorage.getItem('_.imageFilters')).to.not.equal(null);
+      store.dispatch(resetImageFilters());
+      expect(localStorage.getItem('_.imageFilters')).to.equal(null);
+    });
+
+    it('restoreImageFilters() loads the volunteer\'s filters', () => {
+      localStorage.setItem('7.imageFilters', JSON.stringify({ threshold: 0.5 }));
+      const store = createStore();
+      store.setState({ login: { user: { id: '7' } } });
+      store.dispatch(restoreImageFilters());
+      expect(store.types()).to.deep.equal(['SET_IMAGE_FILTERS']);
+      expect(store.getState().subjectViewer.imageFilters.threshold).to.equal(0.5);
+    });
+  });
+
+  describe('togglePreviousMarks()', () => {
+    it('cycles through all marks, the user\'s marks and no marks', () => {
+      const store = createStore();
+      store.setState({ previousAnnotations: { marks: [{ consensusReached: true }] } });
+      store.dispatch(togglePreviousMarks());
+      expect(store.getState().subjectViewer.shownMarks).to.equal(MARKS_STATE.USER);
+      store.dispatch(togglePreviousMarks());
+      expect(store.getState().subjectViewer.shownMarks).to.equal(MARKS_STATE.NONE);
+      store.dispatch(togglePreviousMarks());
+      expect(store.getState().subjectViewer.shownMarks).to.equal(MARKS_STATE.ALL);
+    });
+
+    it('skips the user\'s marks if there are no Previous Annotations to hide', () => {
+      const store = createStore();
+      store.setState({ previousAnnotations: { marks: [{ consensusReached: false }] } });
+      store.dispatch(togglePreviousMarks());
+      expect(store.getState().subjectViewer.shownMarks).to.equal(MARKS_STATE.NONE);
+
+      store.setState({ splits: { variant: VARIANT_TYPES.COLLABORATIVE } });
+      store.dispatch(togglePreviousMarks());
+      store.dispatch(togglePreviousMarks());
+      expect(store.getState().subjectViewer.shownMarks).to.equal(MARKS_STATE.USER);
+    });
+  });
+});
@@ -15,8 +15,9 @@ import { createClassification } from './classifications';
 import { resetAnnotations } from './annotations';
 import { fetchPreviousAnnotations } from './previousAnnotations';
 import { changeFrame } from './subject-viewer'
-import { toggleDialog } from './dialog';
-import ClassificationPrompt from '../components/ClassificationPrompt';
+import { queueDialog } from './dialog';
+import DraftsManager from '../components/DraftsManager';
+import { loadDrafts } from '../lib/classification-drafts';
 
 const FETCH_SUBJECT = 'FETCH_SUBJECT';
 const FETCH_SUBJECT_SUCCESS = 'FETCH_SUBJECT_SUCCESS';
@@ -107,9 +108,9 @@ const subjectReducer = (state = initialState, action) => {
   }
 };
 
-const createFavorites = (project) => {
+const createFavorites = (project, subject) => {
   const links = {
-    subjects: [],
+    subjects: [subject.id.toString()],
     projects: [project.id],
   };
   const display_name = (project.data) ? project.data.display_name : 'UNKNOWN PROJECT';
@@ -118,38 +119,53 @@ const createFavorites = (project) => {
     display_name,
     links,
   };
-  apiClient.type('collections')
+  return apiClient.type('collections')
     .create(collection)
-    .save()
-    .catch(err => Promise.reject(err));
+    .save();
 };
 
 const toggleFavorite = () => {
   return (dispatch, getState) => {
     const projectID = getState().project.id;
     const favorite = getState().subject.favorite;
-    const user = getState().login.user.login;
+    const user = getState().login.user;
     const subject = getState().subject.currentSubject;
+    if (!user || !subject) return;  //Only signed in users have Favourites.
+
     dispatch({ type: TOGGLE_FAVORITE, favorite: !favorite });
 
-    if (user) {
-      apiClient.type('collections').get({
-        project_ids: projectID,
-        favorite: true,
-        owner: user
-      }).then(([collection]) => {
-        if (collection && !favorite) {
-          collection.addLink('subjects', [subject.id.toString()]);
-        } else if (collection && favorite) {
-          collection.removeLink('subjects', [subject.id.toString()]);
-        } else {
-          createFavorites(getState().project);
-        }
-      })
-    }
+    apiClient.type('collections').get({
+      project_ids: projectID,
+      favorite: true,
+      owner: user.login
+    }).then(([collection]) => {
+      if (collection && !favorite) {
+        return collection.addLink('subjects', [subject.id.toString()]);
+      } else if (collection && favorite) {
+        return collection.removeLink('subjects', [subject.id.toString()]);
+      } else if (!favorite) {
+        return createFavorites(getState().project, subject);
+      }
+      return null;
+    })
+    .catch((err) => {
+      console.error('ducks/subject.js toggleFavorite() error: ', err);
+      //Put the Subject back the way it was, if it's still the one being shown.
+      if (getState().subject.id === subject.id) {
+        dispatch({ type: TOGGLE_FAVORITE, favorite });
+      }
+    });
   }
 }
 
+/*  The size of a page's image, from its metadata, or null if it hasn't been
+    loaded yet.
+ */
+const getImageSize = (metadata) => {
+  if (!metadata || !metadata.naturalWidth || !metadata.naturalHeight) return null;
+  return { width: metadata.naturalWidth, height: metadata.naturalHeight };
+};
+
 const setImageMetadata = (frameId, metadata) => {
   return (dispatch) => {
     dispatch({
@@ -182,13 +198,10 @@ const fetchSubject = (initialFetch = false) => {
     const workflow_id = getState().workflow.id;
     console.info('ducks/subject.js fetchSubject(): workflow_id ', workflow_id);
 
-    let savedClassificationPrompt = false;
+    //At the start of a session, remind the user of any work they've saved.
+    //They can carry on with the new Subject, or resume one of their drafts.
     const user = getState().login.user;
-
-    if (user) {
-      const savedClassification = localStorage.getItem(`${user.id}.classificationID`);
-      if (savedClassification) savedClassificationPrompt = true;
-    }
+    const showDrafts = initialFetch && loadDrafts(user).length > 0;
 
     dispatch({
       type: FETCH_SUBJECT,
@@ -241,16 +254,20 @@ const fetchSubject = (initialFetch = false) => {
         });
     };
 
-    if (savedClassificationPrompt) {
-      dispatch(toggleDialog(<ClassificationPrompt />, false, true));
+    if (showDrafts) {
+      //The new Subject is only fetched once the drafts are closed without
+      //resuming one, or it'd replace the resumed draft when it arrives. As a
+      //prompt, it can only be closed with its own buttons (see DraftsManager).
+      dispatch(queueDialog(<DraftsManager />, true, true, 'Saved Work'));
     } else if (!getState().subject.queue.length) {
       fetchQueue();
     } else {
-      const currentSubject = getState().subject.queue.shift();
+      const queue = getState().subject.queue.slice();  //Don't modify the existing state.
+      const currentSubject = queue.shift();
       dispatch({
         currentSubject,
         id: currentSubject.id,
-        queue: getState().subject.queue,
+        queue,
         type: FETCH_SUBJECT_SUCCESS,
         favorite: currentSubject.favorite || false,
       });
@@ -305,12 +322,13 @@ const addAlreadySeen = (workflowId, subjectIds) => {
   return (dispatch, getState) => {
     const alreadySeen = getState().subject.alreadySeen.slice();
     subjectIds.map((subjectId) => {
-      alreadySeen.push(`${workflowId}/${subjectId}`);
+      const key = `${workflowId}/${subjectId}`;
+      if (!alreadySeen.includes(key)) alreadySeen.push(key);
+    });
 
-      dispatch({
-        type: ADD_ALREADY_SEEN,
-        alreadySeen,
-      });
+    dispatch({
+      type: ADD_ALREADY_SEEN,
+      alreadySeen,
     });
   };
 };
@@ -323,6 +341,7 @@ export {
   toggleFavorite,
   fetchSubject,
   fetchSavedSubject,
+  getImageSize,
   selectSubjectSet,
   setImageMetadata,
   SUBJECT_STATUS,
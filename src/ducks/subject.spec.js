@@ -0,0 +1,311 @@
+import { expect } from 'chai';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import subjectReducer, {
+  addAlreadySeen,
+  clearQueue,
+  fetchSavedSubject,
+  fetchSubject,
+  selectSubjectSet,
+  setImageMetadata,
+  toggleFavorite,
+  SUBJECT_STATUS,
+} from './subject';
+import { config } from '../config';
+
+const initialState = () => subjectReducer(undefined, { type: '@@INIT' });
+
+const withSubject = (state, action) => {
+  return Object.assign({}, state, { subject: subjectReducer(state.subject, action) });
+};
+
+const createStore = (subject = {}) => {
+  return createMockStore({
+    annotations: { annotations: [] },
+    login: { user: null },
+    project: { id: '1764', data: { display_name: 'Test Project' } },
+    subject: Object.assign({}, initialState(), subject),
+    subjectViewer: { frame: 0 },
+    workflow: { id: '3017', data: { version: '1.0', links: { subject_sets: ['5'] } }, goldStandardMode: false },
+  }, withSubject);
+};
+
+const createSubjects = (...ids) => ids.map(id => ({ id, favorite: false, locations: [] }));
+
+//A Classification as panoptes-client creates it, for createClassification().
+const classificationsStub = () => {
+  return {
+    create: createSpy(data => Object.assign({ update: createSpy() }, data)),
+  };
+};
+
+describe('ducks/subject', () => {
+  let restoreApiClient = null;
+  let restoreConsole = null;
+
+  beforeEach(() => {
+    restoreConsole = muteConsole('error');
+  });
+
+  afterEach(() => {
+    if (restoreApiClient) restoreApiClient();
+    restoreApiClient = null;
+    restoreConsole();
+    localStorage.clear();
+  });
+
+  describe('reducer', () => {
+    it('shows a fetched Subject, with a fresh set of image metadata', () => {
+      const [subject, ...queue] = createSubjects('1', '2', '3');
+      const state = subjectReducer(
+        Object.assign({}, initialState(), { imageMetadata: [{ naturalWidth: 10 }] }),
+        { type: 'FETCH_SUBJECT_SUCCESS', currentSubject: subject, id: '1', queue, favorite: true },
+      );
+      expect(state).to.include({ currentSubject: subject, id: '1', queue, favorite: true, status: SUBJECT_STATUS.READY });
+      expect(state.imageMetadata).to.deep.equal([]);
+    });
+
+    it('keeps the queue if a fetched Subject didn\'t come from it', () => {
+      const queue = createSubjects('2', '3');
+      const state = subjectReducer(
+        Object.assign({}, initialState(), { queue }),
+        { type: 'FETCH_SUBJECT_SUCCESS', currentSubject: createSubjects('1')[0], id: '1' },
+      );
+      expect(state.queue).to.equal(queue);
+    });
+
+    it('merges the metadata of each frame', () => {
+      let state = subjectReducer(initialState(), { type: 'SET_IMAGE_METADATA', frameId: 1, metadata: { naturalWidth: 10 } });
+      state = subjectReducer(state, { type: 'SET_IMAGE_METADATA', frameId: 1, metadata: { naturalHeight: 20 } });
+      expect(state.imageMetadata[1]).to.deep.equal({ naturalWidth: 10, naturalHeight: 20 });
+      expect(subjectReducer(state, { type: 'SET_IMAGE_METADATA', frameId: null, metadata: {} }).imageMetadata)
+        .to.deep.equal(state.imageMetadata);
+    });
+
+    it('empties the queue when a new Subject Set is chosen', () => {
+      const state = subjectReducer(Object.assign({}, initialState(), { queue: createSubjects('2') }), { type: 'SET_SUBJECT_SET', id: '5' });
+      expect(state.subjectSet).to.equal('5');
+      expect(state.queue).to.deep.equal([]);
+    });
+  });
+
+  describe('queue', () => {
+    it('fetchSubject() fetches a new queue when it\'s empty, and prepares the first Subject', () => {
+      const subjects = createSubjects('1', '2', '3');
+      const queued = { get: createSpy(() => Promise.resolve(subjects.slice())) };
+      restoreApiClient = stubApiClient({ 'subjects/queued': queued, classifications: classificationsStub() });
+      const store = createStore();
+
+      store.dispatch(fetchSubject());
+      expect(store.types()).to.deep.equal(['FETCH_SUBJECT']);
+      expect(queued.get.calls).to.deep.equal([[{ workflow_id: '3017', subject_set_id: '5' }]]);
+
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal([
+          'FETCH_SUBJECT',
+          'FETCH_SUBJECT_SUCCESS',
+          'RESET_ANNOTATIONS',
+          'FETCH_ANNOTATIONS',
+          'CREATE_CLASSIFICATION',
+          'CHANGE_FRAME',
+          'FETCH_ANNOTATIONS_SUCCESS',
+          'SYNC_PREVIOUS_ANNOTATIONS',
+        ]);
+        expect(store.getState().subject).to.include({ id: '1', currentSubject: subjects[0], status: SUBJECT_STATUS.READY });
+        expect(store.getState().subject.queue).to.deep.equal(subjects.slice(1));
+        expect(store.actions[5]).to.deep.equal({ type: 'CHANGE_FRAME', frame: 0 });
+      });
+    });
+
+    it('fetchSubject() takes the next Subject from the queue without a request', () => {
+      const queue = createSubjects('2', '3');
+      restoreApiClient = stubApiClient({ classifications: classificationsStub() });
+      const store = createStore({ queue });
+
+      store.dispatch(fetchSubject());
+      expect(store.types().slice(0, 3)).to.deep.equal(['FETCH_SUBJECT', 'FETCH_SUBJECT_SUCCESS', 'RESET_ANNOTATIONS']);
+      expect(store.getState().subject.id).to.equal('2');
+      expect(store.getState().subject.queue).to.deep.equal([queue[1]]);
+      expect(queue).to.have.length(2);  //The state's queue isn't modified.
+    });
+
+    it('fetchSubject() asks for gold standard Subjects in gold standard mode', () => {
+      const queued = { get: createSpy(() => new Promise(() => {})) };
+      restoreApiClient = stubApiClient({ 'subjects/queued': queued });
+      const store = createStore();
+      store.setState({ workflow: Object.assign({}, store.getState().workflow, { goldStandardMode: true }) });
+
+      store.dispatch(fetchSubject());
+      expect(queued.get.calls).to.deep.equal([[{ workflow_id: config.zooniverseLinks.gsWorkflow }]]);
+    });
+
+    it('fetchSubject(true) does nothing once a Subject has been fetched', () => {
+      restoreApiClient = stubApiClient({});
+      const store = createStore({ status: SUBJECT_STATUS.READY });
+      store.dispatch(fetchSubject(true));
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('fetchSubject(true) offers the volunteer\'s drafts before fetching anything', () => {
+      const user = { id: '7' };
+      localStorage.setItem('7.classificationDrafts', JSON.stringify([{ id: '100', subjectId: '1' }]));
+      restoreApiClient = stubApiClient({});
+      const store = createStore();
+      store.setState({ login: { user } });
+
+      store.dispatch(fetchSubject(true));
+      expect(store.types()).to.deep.equal(['FETCH_SUBJECT', 'QUEUE_POPUP']);
+      expect(store.actions[1].isPrompt).to.equal(true);
+    });
+
+    it('fetchSubject() reports a failed request', () => {
+      restoreApiClient = stubApiClient({ 'subjects/queued': { get: () => Promise.reject(new Error('offline')) } });
+      const store = createStore();
+
+      store.dispatch(fetchSubject());
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['FETCH_SUBJECT', 'FETCH_SUBJECT_ERROR']);
+        expect(store.getState().subject.status).to.equal(SUBJECT_STATUS.ERROR);
+      });
+    });
+
+    it('clearQueue() empties the queue and forgets the current Subject', () => {
+      const store = createStore({ queue: createSubjects('2'), currentSubject: createSubjects('1')[0], status: SUBJECT_STATUS.READY });
+      store.dispatch(clearQueue());
+      expect(store.getState().subject).to.include({ currentSubject: null, status: SUBJECT_STATUS.IDLE });
+      expect(store.getState().subject.queue).to.deep.equal([]);
+    });
+
+    it('addAlreadySeen() records each workflow/Subject pair once', () => {
+      const store = createStore({ alreadySeen: ['3017/1'] });
+      store.dispatch(addAlreadySeen('3017', ['1', '2']));
+      store.dispatch(addAlreadySeen('3017', ['2']));
+      expect(store.getState().subject.alreadySeen).to.deep.equal(['3017/1', '3017/2']);
+    });
+
+    it('selectSubjectSet() and setImageMetadata() dispatch their actions', () => {
+      const store = createStore();
+      store.dispatch(selectSubjectSet('5'));
+      store.dispatch(setImageMetadata(0, { naturalWidth: 10 }));
+      expect(store.actions).to.deep.equal([
+        { type: 'SET_SUBJECT_SET', id: '5' },
+        { type: 'SET_IMAGE_METADATA', frameId: 0, metadata: { naturalWidth: 10 } },
+      ]);
+    });
+  });
+
+  describe('fetchSavedSubject()', () => {
+    it('shows the Subject of a resumed draft', () => {
+      const subject = createSubjects('4')[0];
+      const subjects = { get: createSpy(() => Promise.resolve(subject)) };
+      restoreApiClient = stubApiClient({ subjects });
+      const store = createStore();
+
+      store.dispatch(fetchSavedSubject('4'));
+      return flush().then(() => {
+        expect(subjects.get.calls).to.deep.equal([['4']]);
+        expect(store.types()).to.deep.equal([
+          'FETCH_ANNOTATIONS', 'CHANGE_FRAME', 'FETCH_SUBJECT_SUCCESS', 'FETCH_ANNOTATIONS_SUCCESS', 'SYNC_PREVIOUS_ANNOTATIONS',
+        ]);
+        expect(store.getState().subject).to.include({ id: '4', currentSubject: subject });
+      });
+    });
+
+    it('reports a failed request', () => {
+      restoreApiClient = stubApiClient({ subjects: { get: () => Promise.reject(new Error('not found')) } });
+      const store = createStore();
+      store.dispatch(fetchSavedSubject('4'));
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['FETCH_SUBJECT_ERROR']);
+      });
+    });
+  });
+
+  describe('toggleFavorite()', () => {
+    const user = { id: '7', login: 'volunteer' };
+    const subject = createSubjects('12')[0];
+
+    const createFavoritesStore = (favorite) => {
+      const store = createStore({ currentSubject: subject, id: '12', favorite });
+      store.setState({ login: { user } });
+      return store;
+    };
+
+    it('does nothing for signed out volunteers', () => {
+      restoreApiClient = stubApiClient({});
+      const store = createStore({ currentSubject: subject, id: '12' });
+      store.dispatch(toggleFavorite());
+      expect(store.actions).to.deep.equal([]);
+    });
+
+    it('adds the Subject to the volunteer\'s Favourites', () => {
+      const collection = { addLink: createSpy(() => Promise.resolve()), removeLink: createSpy() };
+      const collections = { get: createSpy(() => Promise.resolve([collection])) };
+      restoreApiClient = stubApiClient({ collections });
+      const store = createFavoritesStore(false);
+
+      store.dispatch(toggleFavorite());
+      expect(store.actions).to.deep.equal([{ type: 'TOGGLE_FAVORITE', favorite: true }]);
+      expect(collections.get.calls).to.deep.equal([[{ project_ids: '1764', favorite: true, owner: 'volunteer' }]]);
+      return flush().then(() => {
+        expect(collection.addLink.calls).to.deep.equal([['subjects', ['12']]]);
+        expect(collection.removeLink.calls).to.deep.equal([]);
+      });
+    });
+
+    it('removes the Subject from the volunteer\'s Favourites', () => {
+      const collection = { addLink: createSpy(), removeLink: createSpy(() => Promise.resolve()) };
+      restoreApiClient = stubApiClient({ collections: { get: () => Promise.resolve([collection]) } });
+      const store = createFavoritesStore(true);
+
+      store.dispatch(toggleFavorite());
+      expect(store.getState().subject.favorite).to.equal(false);
+      return flush().then(() => {
+        expect(collection.removeLink.calls).to.deep.equal([['subjects', ['12']]]);
+      });
+    });
+
+    it('creates the Favourites collection if there isn\'t one', () => {
+      const save = createSpy(() => Promise.resolve());
+      const collections = {
+        get: () => Promise.resolve([]),
+        create: createSpy(() => ({ save })),
+      };
+      restoreApiClient = stubApiClient({ collections });
+      const store = createFavoritesStore(false);
+
+      store.dispatch(toggleFavorite());
+      return flush().then(() => {
+        expect(collections.create.calls).to.deep.equal([[{
+          favorite: true,
+          display_name: 'Test Project',
+          links: { subjects: ['12'], projects: ['1764'] },
+        }]]);
+        expect(save.calls).to.have.length(1);
+      });
+    });
+
+    it('puts the favourite back the way it was if it couldn\'t be saved', () => {
+      restoreApiClient = stubApiClient({ collections: { get: () => Promise.reject(new Error('offline')) } });
+      const store = createFavoritesStore(false);
+
+      store.dispatch(toggleFavorite());
+      return flush().then(() => {
+        expect(store.actions).to.deep.equal([
+          { type: 'TOGGLE_FAVORITE', favorite: true },
+          { type: 'TOGGLE_FAVORITE', favorite: false },
+        ]);
+      });
+    });
+
+    it('leaves the next Subject alone if the request fails after moving on', () => {
+      restoreApiClient = stubApiClient({ collections: { get: () => Promise.reject(new Error('offline')) } });
+      const store = createFavoritesStore(false);
+
+      store.dispatch(toggleFavorite());
+      store.setState({ subject: Object.assign({}, store.getState().subject, { id: '13', favorite: false }) });
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal(['TOGGLE_FAVORITE']);
+      });
+    });
+  });
+});
@@ -21,9 +21,9 @@ const initialState = {
 const tutorialReducer = (state = initialState, action) => {
   switch (action.type) {
     case FETCH_TUTORIAL:
-      return {
+      return Object.assign({}, state, {
         status: TUTORIAL_STATUS.FETCHING
-      };
+      });
 
     case FETCH_TUTORIAL_SUCCESS:
       return Object.assign({}, state, {
@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+import { Tutorial } from 'zooniverse-react-components';
+import { createMockStore, createSpy, flush, muteConsole } from '../../test/helpers';
+import tutorialReducer, { fetchTutorial, TUTORIAL_STATUS } from './tutorial';
+
+const createStore = () => createMockStore(tutorialReducer(undefined, { type: '@@INIT' }), tutorialReducer);
+
+describe('ducks/tutorial', () => {
+  const find = Tutorial.find;
+
+  afterEach(() => {
+    Tutorial.find = find;
+  });
+
+  it('fetches the workflow\'s tutorial', () => {
+    const workflow = { id: '3017' };
+    const tutorial = { id: '1', steps: [] };
+    Tutorial.find = createSpy(() => Promise.resolve(tutorial));
+    const store = createStore();
+
+    store.dispatch(fetchTutorial(workflow));
+    expect(Tutorial.find.calls).to.deep.equal([[workflow]]);
+    expect(store.getState().status).to.equal(TUTORIAL_STATUS.FETCHING);
+    return flush().then(() => {
+      expect(store.actions).to.deep.equal([
+        { type: 'FETCH_TUTORIAL' },
+        { type: 'FETCH_TUTORIAL_SUCCESS', data: tutorial },
+      ]);
+      expect(store.getState()).to.deep.equal({ status: TUTORIAL_STATUS.READY, data: tutorial });
+    });
+  });
+
+  it('reports a failed request', () => {
+    const restoreConsole = muteConsole('error');
+    Tutorial.find = () => Promise.reject(new Error('offline'));
+    const store = createStore();
+
+    store.dispatch(fetchTutorial({ id: '3017' }));
+    return flush().then(() => {
+      restoreConsole();
+      expect(store.getState().status).to.equal(TUTORIAL_STATUS.ERROR);
+    });
+  });
+});
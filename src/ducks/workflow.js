@@ -2,6 +2,7 @@ import apiClient from 'panoptes-client/lib/api-client.js';
 import { config } from '../config';
 import { fetchSplit, setVariant, VARIANT_TYPES } from './splits';
 import { clearQueue } from './subject';
+import { tagsFromWorkflow, DEFAULT_TAGS } from '../lib/transcription-markup';
 
 const FETCH_WORKFLOW = 'FETCH_WORKFLOW';
 const FETCH_WORKFLOW_SUCCESS = 'FETCH_WORKFLOW_SUCCESS';
@@ -19,7 +20,8 @@ const initialState = {
   status: WORKFLOW_STATUS.IDLE,
   id: null,
   data: null,
-  goldStandardMode: false
+  goldStandardMode: false,
+  tags: DEFAULT_TAGS,  //The transcription markup tags available for this workflow.
 };
 
 const workflowReducer = (state = initialState, action) => {
@@ -30,12 +32,14 @@ const workflowReducer = (state = initialState, action) => {
         status: WORKFLOW_STATUS.FETCHING,
         id: action.id,
         data: null,
+        tags: DEFAULT_TAGS,
       });
 
     case FETCH_WORKFLOW_SUCCESS:
       return Object.assign({}, state, {
         status: WORKFLOW_STATUS.READY,
         data: action.data,
+        tags: tagsFromWorkflow(action.data),
       });
 
     case FETCH_WORKFLOW_ERROR:
@@ -91,10 +95,11 @@ const setGoldStandard = () => {
     const isActive = !getState().workflow.goldStandardMode;
     const user = getState().login.user;
 
+    //Either way, the queued Subjects are from the other workflow.
+    dispatch(clearQueue());
     if (isActive) {
       dispatch(setVariant(VARIANT_TYPES.INDIVIDUAL));
       dispatch(retrieveWorkflow(config.zooniverseLinks.gsWorkflow));
-      dispatch(clearQueue());
     } else {
       dispatch(fetchSplit(user));
     }
@@ -0,0 +1,107 @@
+import { expect } from 'chai';
+import { createMockStore, createSpy, flush, muteConsole, stubApiClient } from '../../test/helpers';
+import workflowReducer, { fetchWorkflow, setGoldStandard, WORKFLOW_STATUS } from './workflow';
+import { VARIANT_TYPES } from './splits';
+import { SUBJECT_STATUS } from './subject';
+import { DEFAULT_TAGS } from '../lib/transcription-markup';
+import { config } from '../config';
+
+const withWorkflow = (state, action) => {
+  return Object.assign({}, state, { workflow: workflowReducer(state.workflow, action) });
+};
+
+const createStore = (workflow = {}) => {
+  return createMockStore({
+    login: { user: null },
+    workflow: Object.assign({}, workflowReducer(undefined, { type: '@@INIT' }), workflow),
+  }, withWorkflow);
+};
+
+describe('ducks/workflow', () => {
+  let restoreApiClient = null;
+  let workflows = null;
+
+  beforeEach(() => {
+    workflows = { get: createSpy(id => Promise.resolve({ id, tasks: {} })) };
+    restoreApiClient = stubApiClient({ workflows });
+  });
+
+  afterEach(() => {
+    restoreApiClient();
+  });
+
+  describe('reducer', () => {
+    it('forgets the previous workflow and its tags while fetching another', () => {
+      const state = workflowReducer(
+        { status: WORKFLOW_STATUS.READY, id: '1', data: {}, goldStandardMode: false, tags: {} },
+        { type: 'FETCH_WORKFLOW', id: '2' },
+      );
+      expect(state).to.deep.equal({
+        status: WORKFLOW_STATUS.FETCHING, id: '2', data: null, goldStandardMode: false, tags: DEFAULT_TAGS,
+      });
+    });
+
+    it('reads the transcription tags from the fetched workflow', () => {
+      const data = { first_task: 'T0', tasks: { T0: { tags: [{ name: 'sic' }] } } };
+      const state = workflowReducer(undefined, { type: 'FETCH_WORKFLOW_SUCCESS', data });
+      expect(state.status).to.equal(WORKFLOW_STATUS.READY);
+      expect(state.data).to.equal(data);
+      expect(Object.keys(state.tags)).to.deep.equal(['sic']);
+    });
+  });
+
+  describe('fetchWorkflow()', () => {
+    it('fetches the workflow for the variant', () => {
+      const store = createStore();
+      store.dispatch(fetchWorkflow(VARIANT_TYPES.COLLABORATIVE));
+      store.dispatch(fetchWorkflow());
+      expect(workflows.get.calls).to.deep.equal([
+        [config.zooniverseLinks.collabWorkflowId],
+        [config.zooniverseLinks.workflowId],
+      ]);
+      return flush().then(() => {
+        expect(store.types()).to.deep.equal([
+          'FETCH_WORKFLOW', 'FETCH_WORKFLOW', 'FETCH_WORKFLOW_SUCCESS', 'FETCH_WORKFLOW_SUCCESS',
+        ]);
+      });
+    });
+
+    it('reports a failed request', () => {
+      const restoreConsole = muteConsole('error');
+      workflows.get = () => Promise.reject(new Error('offline'));
+      const store = createStore();
+      store.dispatch(fetchWorkflow());
+      return flush().then(() => {
+        restoreConsole();
+        expect(store.types()).to.deep.equal(['FETCH_WORKFLOW', 'FETCH_WORKFLOW_ERROR']);
+        expect(store.getState().workflow.status).to.equal(WORKFLOW_STATUS.ERROR);
+      });
+    });
+  });
+
+  describe('setGoldStandard()', () => {
+    it('switches to the gold standard workflow, with the individual variant', () => {
+      const store = createStore({ id: config.zooniverseLinks.workflowId });
+      store.dispatch(setGoldStandard());
+      expect(store.actions.slice(0, 4)).to.deep.equal([
+        { type: 'CLEAR_QUEUE', status: SUBJECT_STATUS.IDLE, currentSubject: null },
+        { type: 'SET_VARIANT', variant: VARIANT_TYPES.INDIVIDUAL },
+        { type: 'FETCH_WORKFLOW', id: config.zooniverseLinks.gsWorkflow },
+        { type: 'SET_GOLD_STANDARD', gs: true },
+      ]);
+      expect(store.getState().workflow).to.include({ goldStandardMode: true, id: config.zooniverseLinks.gsWorkflow });
+      return flush().then(() => {
+        expect(store.types()[4]).to.equal('FETCH_WORKFLOW_SUCCESS');
+      });
+    });
+
+    it('switches back to the volunteer\'s split workflow', () => {
+      const store = createStore({ id: config.zooniverseLinks.gsWorkflow, goldStandardMode: true });
+      store.dispatch(setGoldStandard());
+      expect(store.types()).to.deep.equal([
+        'CLEAR_QUEUE', 'FETCH_SPLIT', 'FETCH_SPLIT_SUCCESS', 'FETCH_WORKFLOW', 'SET_GOLD_STANDARD',
+      ]);
+      expect(store.getState().workflow).to.include({ goldStandardMode: false, id: config.zooniverseLinks.workflowId });
+    });
+  });
+});
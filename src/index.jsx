@@ -11,6 +11,7 @@ import AboutTheProject from './components/AboutTheProject';
 import Classifier from './containers/ClassifierContainer';
 import { config } from './config';
 import configureStore from './store';
+import { startAutosave } from './lib/autosave';
 import './lib/split-config.js';
 
 // Todo: let's find a better way to include Styles,
@@ -19,6 +20,7 @@ import Styles from './styles/main.styl'; // eslint-disable-line no-unused-vars
 import favicon from './images/favicon.ico';
 
 const store = configureStore();
+startAutosave(store);
 
 oauth.init(config.panoptesAppId)
   .then(() => {
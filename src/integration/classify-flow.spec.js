@@ -0,0 +1,205 @@
+/*
+End-to-end: classifying a Subject
+---------------------------------
+
+Runs the classifier's store (all of its reducers and thunks) against the mock
+Panoptes API (mock/panoptes.js), served over HTTP on a local port, and goes
+through a whole classification the way a volunteer would: fetch a Subject, draw
+a line and transcribe it, agree with a Previous Annotation, submit, and move on
+to the next Subject. The actions are the ones the components dispatch for each
+of those steps.
+
+ */
+
+import { expect } from 'chai';
+import express from 'express';
+import http from 'http';
+import { applyMiddleware, createStore } from 'redux';
+import thunkMiddleware from 'redux-thunk';
+import { Split } from 'seven-ten';
+import apiClient from 'panoptes-client/lib/api-client';
+import mockPanoptes from '../../mock/panoptes';
+import rootReducer from '../ducks/reducer';
+import { checkLoginUser } from '../ducks/login';
+import { fetchProject, PROJECT_STATUS } from '../ducks/project';
+import { fetchSubject, setImageMetadata, SUBJECT_STATUS } from '../ducks/subject';
+import { resetView, updateImageSize } from '../ducks/subject-viewer';
+import {
+  addAnnotationPoint, collaborateWithAnnotation, completeAnnotation,
+  selectAnnotation, unselectAnnotation, updateText,
+} from '../ducks/annotations';
+import { updatePreviousAnnotation, PREVIOUS_ANNOTATION_STATUS } from '../ducks/previousAnnotations';
+import { setSubjectCompletionAnswers, submitClassification } from '../ducks/classifications';
+import { WORKFLOW_STATUS } from '../ducks/workflow';
+import { getSubjectLocation } from '../lib/get-subject-location';
+import { muteConsole } from '../../test/helpers';
+
+const WAIT_TIMEOUT = 5000;
+
+/*  Fetches a URL from the mock API, as text.
+ */
+const get = url => new Promise((resolve, reject) => {
+  http.get(url, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => { resolve(body); });
+  }).on('error', reject);
+});
+
+/*  Resolves once the store's state passes the check, e.g. once a request to the
+    mock API has finished.
+ */
+const waitFor = (store, check) => {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check(store.getState())) return resolve(store.getState());
+      if (Date.now() - started > WAIT_TIMEOUT) return reject(new Error(`Timed out waiting for ${check}`));
+      return setTimeout(poll, 10);
+    };
+    poll();
+  });
+};
+
+describe('classifying a Subject, end to end', function classifyingASubject() {
+  this.timeout(WAIT_TIMEOUT * 4);
+
+  const root = apiClient.root;
+  const { load, classificationCreated } = Split;
+  let server = null;
+  let host = null;
+  let restoreConsole = null;
+
+  before((done) => {
+    const app = express();
+    app.use('/mock-panoptes', mockPanoptes());
+    server = app.listen(0, '127.0.0.1', () => {
+      host = `http://127.0.0.1:${server.address().port}`;
+      apiClient.root = `${host}/mock-panoptes/api`;
+      done();
+    });
+
+    // There's no split running; the mock doesn't stand in for seven-ten.
+    Split.load = () => Promise.reject(new Error('No split'));
+    Split.classificationCreated = () => {};
+    restoreConsole = muteConsole('log', 'error');
+  });
+
+  after((done) => {
+    apiClient.root = root;
+    Split.load = load;
+    Split.classificationCreated = classificationCreated;
+    restoreConsole();
+    localStorage.clear();
+    server.close(done);
+  });
+
+  it('submits the volunteer\'s transcription, then moves on to the next Subject', () => {
+    const store = createStore(rootReducer, applyMiddleware(thunkMiddleware));
+    let firstSubject = null;
+    let agreedMark = null;
+
+    // Starting up: App and ClassifierContainer.
+    store.dispatch(checkLoginUser());
+    store.dispatch(fetchProject());
+
+    return waitFor(store, state => state.login.initialised &&
+      state.project.status === PROJECT_STATUS.READY &&
+      state.workflow.status === WORKFLOW_STATUS.READY)
+      .then((state) => {
+        expect(state.login.user).to.equal(null);
+        expect(state.workflow.data.first_task).to.equal('T1');
+
+        // SubjectViewer: fetch the first Subject...
+        store.dispatch(fetchSubject(true));
+        return waitFor(store, s => s.subject.status === SUBJECT_STATUS.READY &&
+          s.previousAnnotations.status === PREVIOUS_ANNOTATION_STATUS.READY);
+      })
+      .then((state) => {
+        firstSubject = state.subject.currentSubject;
+        expect(state.classifications.classification.links.subjects).to.deep.equal([firstSubject.id]);
+        expect(state.previousAnnotations.marks).to.have.length(4);
+
+        // ...then load its image, and fit it into the viewer.
+        return get(`${host}${getSubjectLocation(firstSubject).src}`);
+      })
+      .then((svg) => {
+        const width = Number(svg.match(/width="(\d+)"/)[1]);
+        const height = Number(svg.match(/height="(\d+)"/)[1]);
+        store.dispatch(setImageMetadata(0, {
+          naturalWidth: width, naturalHeight: height, clientWidth: width, clientHeight: height,
+        }));
+        store.dispatch(updateImageSize(width, height));
+        store.dispatch(resetView());
+
+        // Draw a line, and transcribe it.
+        store.dispatch(addAnnotationPoint(300, 520, 0));
+        store.dispatch(addAnnotationPoint(1200, 530, 0));
+        store.dispatch(completeAnnotation());
+        store.dispatch(updateText('Boston, June 1st 1832'));
+        store.dispatch(unselectAnnotation());
+
+        // Agree with a Previous Annotation.
+        store.dispatch(selectAnnotation(0, true));
+        agreedMark = store.getState().annotations.selectedAnnotation;
+        store.dispatch(collaborateWithAnnotation(agreedMark, agreedMark.textOptions[0]));
+        store.dispatch(updatePreviousAnnotation(0));
+        store.dispatch(unselectAnnotation());
+        expect(store.getState().annotations.annotations).to.have.length(2);
+        expect(store.getState().previousAnnotations.marks[0].hasCollaborated).to.equal(true);
+
+        // Submit, answering the last question.
+        store.dispatch(setSubjectCompletionAnswers('T2', 0));
+        store.dispatch(submitClassification());
+        expect(store.getState().classificationsQueue.length).to.equal(1);
+
+        return waitFor(store, s => s.classificationsQueue.length === 0 &&
+          s.subject.status === SUBJECT_STATUS.READY &&
+          s.subject.currentSubject !== firstSubject);
+      })
+      .then((state) => {
+        // On to the next Subject, with a clean slate.
+        expect(state.subject.currentSubject.id).to.not.equal(firstSubject.id);
+        expect(state.subject.alreadySeen).to.include(`3017/${firstSubject.id}`);
+        expect(state.annotations.annotations).to.deep.equal([]);
+        expect(state.classifications.classification.links.subjects).to.deep.equal([state.subject.currentSubject.id]);
+        expect(state.classificationsQueue.lastError).to.equal(null);
+
+        // What Panoptes received.
+        return get(`${host}/mock-panoptes/api/classifications`);
+      })
+      .then((body) => {
+        const classifications = JSON.parse(body).classifications;
+        expect(classifications).to.have.length(1);
+        const classification = classifications[0];
+
+        expect(classification.completed).to.equal(true);
+        expect(classification.links).to.deep.equal({
+          project: '1764',
+          workflow: '3017',
+          subjects: [firstSubject.id],
+        });
+        expect(classification.annotations.map(annotation => annotation.task)).to.deep.equal(['T1', 'T2']);
+        expect(classification.annotations[0].value).to.deep.equal([
+          {
+            details: [{ value: 'Boston, June 1st 1832' }],
+            points: [{ x: 300, y: 520 }, { x: 1200, y: 530 }],
+            frame: 0,
+          },
+          {
+            details: [{ value: agreedMark.textOptions[0] }],
+            points: agreedMark.points,
+            frame: 0,
+          },
+        ]);
+        expect(classification.annotations[1]).to.deep.equal({ task: 'T2', value: 0 });
+        expect(classification.metadata.subject_dimensions).to.deep.equal([{
+          naturalWidth: 1600, naturalHeight: 2400, clientWidth: 1600, clientHeight: 2400,
+        }]);
+        expect(classification.metadata.workflow_version).to.equal('1.1');
+        expect(classification.metadata.started_at).to.be.a('string');
+        expect(classification.metadata.finished_at).to.be.a('string');
+      });
+  });
+});
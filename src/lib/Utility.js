@@ -5,6 +5,16 @@ Utility Class
 ********************************************************************************
  */
 
+//Some browsers (e.g. Firefox) use different key codes for the same keys; these
+//map them to the codes in KEY_CODES.
+const KEY_CODE_ALIASES = {
+  61: 187,  //=
+  107: 187,  //Numpad +
+  109: 189,  //Numpad -
+  173: 189,  //-
+  224: 91,  //Meta
+};
+
 export const Utility = {
   stopEvent: function (e) {
     //var eve = e || window.event;
@@ -19,7 +29,7 @@ export const Utility = {
     //KeyboardEvent.keyCode is the most reliable identifier for a keyboard event
     //at the moment, but unfortunately it's being deprecated.
     if (e.keyCode) {
-      return e.keyCode;
+      return KEY_CODE_ALIASES[e.keyCode] || e.keyCode;
     }
 
     //KeyboardEvent.code and KeyboardEvent.key are the 'new' standards, but it's
@@ -31,7 +41,13 @@ export const Utility = {
     }
 
     return 0;
-  }
+  },
+
+  supportsPointerEvents() {
+    //Pointer Events treat the mouse, touches and pens alike, but older
+    //browsers (e.g. Safari before 13) don't have them.
+    return typeof window !== 'undefined' && !!window.PointerEvent;
+  },
 };
 
 export const KEY_CODES = {
@@ -44,6 +60,17 @@ export const KEY_CODES = {
   ESCAPE: 27,
   TAB: 9,
   SHIFT: 16,
+  CTRL: 17,
+  ALT: 18,
+  META: 91,
+  PAGE_UP: 33,
+  PAGE_DOWN: 34,
+  EQUALS: 187,
+  MINUS: 189,
+  COMMA: 188,
+  PERIOD: 190,
+  OPEN_BRACKET: 219,
+  CLOSE_BRACKET: 221,
 
   A: 65,
   B: 66,
@@ -102,6 +129,32 @@ export const KEY_VALUES = {
   "Shift": KEY_CODES.SHIFT,
   "ShiftLeft": KEY_CODES.SHIFT,
   "ShiftRight": KEY_CODES.SHIFT,
+  Control: KEY_CODES.CTRL,
+  ControlLeft: KEY_CODES.CTRL,
+  ControlRight: KEY_CODES.CTRL,
+  Alt: KEY_CODES.ALT,
+  AltLeft: KEY_CODES.ALT,
+  AltRight: KEY_CODES.ALT,
+  Meta: KEY_CODES.META,
+  MetaLeft: KEY_CODES.META,
+  MetaRight: KEY_CODES.META,
+  PageUp: KEY_CODES.PAGE_UP,
+  PageDown: KEY_CODES.PAGE_DOWN,
+  '=': KEY_CODES.EQUALS,
+  '+': KEY_CODES.EQUALS,
+  Equal: KEY_CODES.EQUALS,
+  NumpadAdd: KEY_CODES.EQUALS,
+  '-': KEY_CODES.MINUS,
+  Minus: KEY_CODES.MINUS,
+  NumpadSubtract: KEY_CODES.MINUS,
+  ',': KEY_CODES.COMMA,
+  Comma: KEY_CODES.COMMA,
+  '.': KEY_CODES.PERIOD,
+  Period: KEY_CODES.PERIOD,
+  '[': KEY_CODES.OPEN_BRACKET,
+  BracketLeft: KEY_CODES.OPEN_BRACKET,
+  ']': KEY_CODES.CLOSE_BRACKET,
+  BracketRight: KEY_CODES.CLOSE_BRACKET,
 
   "A": KEY_CODES.A,
   "KeyA": KEY_CODES.A,
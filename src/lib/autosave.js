@@ -0,0 +1,164 @@
+/*
+Autosave
+--------
+
+Keeps a local copy of the volunteer's work-in-progress, so nothing is lost if
+the browser crashes or the tab is closed before they submit or save.
+
+- startAutosave(store) subscribes to the store and, AUTOSAVE_DELAY after the
+  last change, writes the annotations, frame and Subject Completion Answers of
+  the current Subject to localStorage, under `<userId>.autosave` (or
+  `_.autosave` when logged out), keyed by Subject ID. Nothing is written
+  while the annotations belong to a different Subject than the one shown,
+  e.g. while a draft of another Subject is being resumed.
+- When a Subject with an autosave entry is loaded, the volunteer is offered
+  the chance to restore it (see AutosavePrompt).
+- clearAutosave() should be called once the Classification is submitted.
+  (removeAutosave() only removes the entry, e.g. when the volunteer declines
+  to restore it.)
+
+Entries older than MAX_AGE are dropped.
+
+ */
+
+import React from 'react';
+import { queueDialog } from '../ducks/dialog';
+import AutosavePrompt from '../components/AutosavePrompt';
+
+const AUTOSAVE_NAME = 'autosave';
+const AUTOSAVE_DELAY = 2000;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let autosaveTimer = null;
+let expiredSubjectId = null;  //The Subject that's just been submitted, which mustn't be autosaved again.
+
+const getAutosaveName = user => `${(user) ? user.id : '_'}.${AUTOSAVE_NAME}`;
+
+const loadEntries = (user) => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(getAutosaveName(user))) || {};
+    const now = Date.now();
+    Object.keys(entries).forEach((subjectId) => {
+      if (!entries[subjectId] || now - new Date(entries[subjectId].savedAt).getTime() > MAX_AGE) {
+        delete entries[subjectId];
+      }
+    });
+    return entries;
+  } catch (err) {
+    console.error('lib/autosave.js loadEntries() error: ', err);
+    return {};
+  }
+};
+
+const storeEntries = (user, entries) => {
+  try {
+    localStorage.setItem(getAutosaveName(user), JSON.stringify(entries));
+  } catch (err) {
+    console.error('lib/autosave.js storeEntries() error: ', err);
+  }
+};
+
+const loadAutosave = (user, subjectId) => {
+  return loadEntries(user)[subjectId] || null;
+};
+
+const writeAutosave = (user, entry) => {
+  const entries = loadEntries(user);
+  entries[entry.subjectId] = entry;
+  storeEntries(user, entries);
+};
+
+const removeAutosave = (user, subjectId) => {
+  const entries = loadEntries(user);
+  delete entries[subjectId];
+  storeEntries(user, entries);
+};
+
+/*  Removes the autosave of a (submitted) Subject, and stops it from being
+    autosaved again until another Subject is loaded.
+ */
+const clearAutosave = (user, subjectId) => {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+  expiredSubjectId = subjectId;
+  removeAutosave(user, subjectId);
+};
+
+/*  The Subject the annotations belong to, according to the Classification
+    they're for. This can run ahead of state.subject, e.g. while a draft of
+    another Subject is being resumed.
+ */
+const getClassificationSubjectId = (state) => {
+  const classification = state.classifications.classification;
+  const subjects = (classification && classification.links && classification.links.subjects) || [];
+  return (subjects.length) ? String(subjects[0]) : null;
+};
+
+const hasContent = (entry) => {
+  return entry.annotations.length > 0 || Object.keys(entry.subjectCompletionAnswers).length > 0;
+};
+
+const startAutosave = (store) => {
+  let previous = {};
+  let subjectId = null;
+  let written = false;  //Has anything been written for the current Subject? If so, later (even empty) changes are written too.
+
+  const getWork = (state) => {
+    return {
+      annotations: state.annotations.annotations,
+      frame: state.subjectViewer.frame,
+      subjectCompletionAnswers: state.classifications.subjectCompletionAnswers,
+    };
+  };
+
+  return store.subscribe(() => {
+    const state = store.getState();
+    const work = getWork(state);
+
+    //A new Subject: offer to restore its autosave, once the Subject has
+    //finished loading (i.e. once its annotations have been reset).
+    if (state.subject.id !== subjectId) {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = null;
+      subjectId = state.subject.id;
+      previous = work;
+      written = false;
+      expiredSubjectId = null;
+
+      const entry = (subjectId) ? loadAutosave(state.login.user, subjectId) : null;
+      if (entry) {
+        setTimeout(() => {
+          const current = getWork(store.getState());
+          if (store.getState().subject.id !== entry.subjectId ||
+              JSON.stringify(current.annotations) === JSON.stringify(entry.annotations)) return;
+          store.dispatch(queueDialog(<AutosavePrompt entry={entry} />, false, true));
+        }, 0);
+      }
+      return;
+    }
+
+    if (!subjectId || subjectId === expiredSubjectId || (work.annotations === previous.annotations && work.frame === previous.frame &&
+        work.subjectCompletionAnswers === previous.subjectCompletionAnswers)) return;
+    previous = work;
+
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+      autosaveTimer = null;
+      const latestState = store.getState();
+      if (latestState.subject.id !== subjectId || subjectId === expiredSubjectId) return;
+      const classificationSubjectId = getClassificationSubjectId(latestState);
+      if (classificationSubjectId && classificationSubjectId !== String(subjectId)) return;
+      const entry = Object.assign({ subjectId, savedAt: (new Date()).toISOString() }, getWork(latestState));
+      if (!written && !hasContent(entry)) return;
+      written = true;
+      writeAutosave(latestState.login.user, entry);
+    }, AUTOSAVE_DELAY);
+  });
+};
+
+export {
+  clearAutosave,
+  loadAutosave,
+  removeAutosave,
+  startAutosave,
+};
@@ -0,0 +1,83 @@
+/*
+Classification Drafts
+---------------------
+
+Logged in users can save their work-in-progress as incomplete Classifications
+on Panoptes. We keep a list of these drafts in localStorage, under
+`<userId>.classificationDrafts`, so the user can later resume any of them.
+
+Each draft looks like:
+  { id, subjectId, thumbnail, lines, savedAt }
+where `id` is the Panoptes ID of the incomplete Classification. There's at most
+one draft per Subject.
+
+(Older versions only kept a single draft's ID under `<userId>.classificationID`;
+that's converted into a draft the first time the list is loaded.)
+
+ */
+
+const DRAFTS_NAME = 'classificationDrafts';
+const LEGACY_DRAFT_NAME = 'classificationID';
+
+const getDraftsName = user => `${user.id}.${DRAFTS_NAME}`;
+
+const storeDrafts = (user, drafts) => {
+  try {
+    localStorage.setItem(getDraftsName(user), JSON.stringify(drafts));
+  } catch (err) {
+    console.error('lib/classification-drafts.js storeDrafts() error: ', err);
+  }
+};
+
+const loadDrafts = (user = null) => {
+  if (!user) return [];
+
+  let drafts;
+  try {
+    drafts = JSON.parse(localStorage.getItem(getDraftsName(user))) || [];
+  } catch (err) {
+    console.error('lib/classification-drafts.js loadDrafts() error: ', err);
+    drafts = [];
+  }
+
+  const legacyId = localStorage.getItem(`${user.id}.${LEGACY_DRAFT_NAME}`);
+  if (legacyId) {
+    if (!drafts.some(draft => draft.id === legacyId)) {
+      drafts.push({ id: legacyId, subjectId: null, thumbnail: null, lines: null, savedAt: null });
+    }
+    storeDrafts(user, drafts);
+    localStorage.removeItem(`${user.id}.${LEGACY_DRAFT_NAME}`);
+  }
+
+  return drafts;
+};
+
+/*  Adds a draft, replacing any older draft of the same Classification or
+    Subject.
+ */
+const saveDraft = (user, draft) => {
+  if (!user || !draft) return [];
+  const drafts = loadDrafts(user).filter((existing) => {
+    return existing.id !== draft.id && (!draft.subjectId || existing.subjectId !== draft.subjectId);
+  });
+  drafts.unshift(draft);
+  storeDrafts(user, drafts);
+  return drafts;
+};
+
+/*  Removes the draft of the specified Classification and/or Subject.
+ */
+const removeDraft = (user, { id = null, subjectId = null }) => {
+  if (!user) return [];
+  const drafts = loadDrafts(user).filter((draft) => {
+    return !(id && draft.id === id) && !(subjectId && draft.subjectId === subjectId);
+  });
+  storeDrafts(user, drafts);
+  return drafts;
+};
+
+export {
+  loadDrafts,
+  removeDraft,
+  saveDraft,
+};
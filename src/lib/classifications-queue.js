@@ -0,0 +1,109 @@
+/*
+Classifications Queue
+---------------------
+
+Completed Classifications are stored in localStorage before they're sent to
+Panoptes, so that nothing is lost if the volunteer is offline or Panoptes is
+unavailable. Each user has their own queue, under `<userId>.classificationsQueue`,
+while logged out volunteers share `_.classificationsQueue`.
+
+The queue is a JSON array of Classification data, exactly as it will be sent
+to Panoptes.
+
+Classifications that Panoptes rejects (422) are moved to a separate list,
+under `<userId>.rejectedClassifications`, as { classification, error } items,
+so the volunteer can still download their work.
+
+ */
+
+const CLASSIFICATIONS_QUEUE_NAME = 'classificationsQueue';
+const REJECTED_CLASSIFICATIONS_NAME = 'rejectedClassifications';
+
+const getQueueName = (user = null, name = CLASSIFICATIONS_QUEUE_NAME) => {
+  return (user)
+    ? user.id + '.' + name
+    : '_.' + name;
+};
+
+const loadQueue = (user = null, name = CLASSIFICATIONS_QUEUE_NAME) => {
+  try {
+    return JSON.parse(localStorage.getItem(getQueueName(user, name))) || [];
+  } catch (err) {
+    console.error('lib/classifications-queue.js loadQueue() error: ', err);
+    return [];
+  }
+};
+
+//NOTE: this throws if localStorage is full or unavailable.
+const storeQueue = (user = null, queue = [], name = CLASSIFICATIONS_QUEUE_NAME) => {
+  localStorage.setItem(getQueueName(user, name), JSON.stringify(queue));
+};
+
+const addToQueue = (user = null, classification) => {
+  const queue = loadQueue(user);
+  queue.push(classification);
+  storeQueue(user, queue);
+  return queue;
+};
+
+/*  Removes the given items (e.g. ones that were successfully saved) from the
+    queue. Items are compared by value, since the queue may have changed (e.g.
+    a new Classification was added) while they were being sent.
+ */
+const removeFromQueue = (user = null, items = []) => {
+  const queue = loadQueue(user);
+  items.forEach((item) => {
+    const json = JSON.stringify(item);
+    const index = queue.findIndex(queuedItem => JSON.stringify(queuedItem) === json);
+    if (index >= 0) queue.splice(index, 1);
+  });
+  storeQueue(user, queue);
+  return queue;
+};
+
+const loadRejected = (user = null) => {
+  return loadQueue(user, REJECTED_CLASSIFICATIONS_NAME);
+};
+
+const addToRejected = (user = null, items = []) => {
+  const rejected = loadRejected(user).concat(items);
+  storeQueue(user, rejected, REJECTED_CLASSIFICATIONS_NAME);
+  return rejected;
+};
+
+const removeFromRejected = (user = null, index) => {
+  const rejected = loadRejected(user);
+  rejected.splice(index, 1);
+  storeQueue(user, rejected, REJECTED_CLASSIFICATIONS_NAME);
+  return rejected;
+};
+
+/*  Picks out the details a volunteer would recognise their work by.
+ */
+const summariseClassification = (classification = {}) => {
+  const links = classification.links || {};
+  const metadata = classification.metadata || {};
+  const annotations = classification.annotations || [];
+  const lines = (annotations[0] && Array.isArray(annotations[0].value))
+    ? annotations[0].value.length : 0;
+
+  return {
+    subjectId: (links.subjects && links.subjects[0]) || null,
+    timestamp: metadata.finished_at || metadata.started_at || null,
+    lines,
+  };
+};
+
+export {
+  addToQueue,
+  addToRejected,
+  getQueueName,
+  loadQueue,
+  loadRejected,
+  removeFromQueue,
+  removeFromRejected,
+  storeQueue,
+  summariseClassification,
+  CLASSIFICATIONS_QUEUE_NAME,
+  REJECTED_CLASSIFICATIONS_NAME,
+};
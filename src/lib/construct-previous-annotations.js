@@ -1,4 +1,11 @@
 import React from 'react';
+import { CONSENSUS_SCORE } from '../config';
+
+const CONSENSUS_LEVELS = {
+  HIGH: 'high',  //Enough volunteers agree for the line to be retired.
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
 
 function constructCoordinates(line) {
   const points = [];
@@ -23,4 +30,76 @@ function constructText(line) {
   return sentences.map(value => value.join(' '));
 }
 
-export { constructCoordinates, constructText };
+/*  Assembles the most agreed upon text of a line: for each word, the version
+    most volunteers transcribed. (Ties go to the earliest transcription.)
+ */
+function constructConsensusText(line) {
+  const words = [];
+  if (line && line.clusters_text) {
+    line.clusters_text.forEach((versions) => {
+      const counts = Object.create(null);  //No prototype, so any word (e.g. "constructor") can be counted.
+      const firstSeen = [];  //Each version of the word, in the order they were transcribed.
+      versions.forEach((word) => {
+        if (!word || !word.length) return;
+        if (!counts[word]) { firstSeen.push(word); }
+        counts[word] = (counts[word] || 0) + 1;
+      });
+      const best = firstSeen.reduce((top, word) => {
+        return (top === null || counts[word] > counts[top]) ? word : top;
+      }, null);
+      if (best !== null) { words.push(best); }
+    });
+  }
+  return words.join(' ');
+}
+
+function getConsensusLevel(score = 0) {
+  if (score >= CONSENSUS_SCORE) return CONSENSUS_LEVELS.HIGH;
+  if (score >= CONSENSUS_SCORE / 2) return CONSENSUS_LEVELS.MEDIUM;
+  return CONSENSUS_LEVELS.LOW;
+}
+
+/*  Builds a page-by-page reading transcript from all of the Subject's
+    reductions: [{ frame, lines: [{ text, score, level, points }] }], with the
+    lines of each page in order from top to bottom.
+ */
+function constructConsensusTranscript(reductions) {
+  const pages = {};
+  (reductions || []).map((reduction) => {
+    Object.keys(reduction.data || {}).map((key) => {
+      const match = /^frame(\d+)$/.exec(key);
+      if (!match) return;
+      const frame = parseInt(match[1], 10);
+      if (!pages[frame]) { pages[frame] = { frame, lines: [] }; }
+
+      reduction.data[key].map((line) => {
+        const text = constructConsensusText(line);
+        if (!text) return;
+        pages[frame].lines.push({
+          text,
+          score: line.consensus_score || 0,
+          level: getConsensusLevel(line.consensus_score),
+          points: constructCoordinates(line),
+        });
+      });
+    });
+  });
+
+  const top = line => Math.min(...line.points.map(point => point.y));
+  return Object.keys(pages)
+    .map(frame => pages[frame])
+    .sort((a, b) => a.frame - b.frame)
+    .map((page) => {
+      page.lines.sort((a, b) => top(a) - top(b));
+      return page;
+    });
+}
+
+export {
+  constructConsensusText,
+  constructConsensusTranscript,
+  constructCoordinates,
+  constructText,
+  getConsensusLevel,
+  CONSENSUS_LEVELS,
+};
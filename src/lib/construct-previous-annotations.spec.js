@@ -0,0 +1,35 @@
+import { expect } from 'chai';
+import { constructConsensusText, getConsensusLevel, CONSENSUS_LEVELS } from './construct-previous-annotations';
+import { CONSENSUS_SCORE } from '../config';
+
+describe('construct-previous-annotations', () => {
+  describe('constructConsensusText()', () => {
+    it('picks the version of each word most volunteers transcribed', () => {
+      const line = { clusters_text: [['the', 'the', 'tho'], ['cat', 'cot', 'cot']] };
+      expect(constructConsensusText(line)).to.equal('the cot');
+    });
+
+    it('breaks ties in favour of the earliest transcription', () => {
+      expect(constructConsensusText({ clusters_text: [['a', 'b', 'b', 'a']] })).to.equal('a');
+      expect(constructConsensusText({ clusters_text: [['b', 'a', 'a', 'b']] })).to.equal('b');
+    });
+
+    it('skips empty versions and words', () => {
+      expect(constructConsensusText({ clusters_text: [['', 'word', ''], ['', '']] })).to.equal('word');
+      expect(constructConsensusText(null)).to.equal('');
+    });
+
+    it('counts words that are also Object property names', () => {
+      const line = { clusters_text: [['the', 'the'], ['constructor', 'constructer', 'constructor'], ['toString']] };
+      expect(constructConsensusText(line)).to.equal('the constructor toString');
+    });
+  });
+
+  describe('getConsensusLevel()', () => {
+    it('grades the consensus score', () => {
+      expect(getConsensusLevel(CONSENSUS_SCORE)).to.equal(CONSENSUS_LEVELS.HIGH);
+      expect(getConsensusLevel(CONSENSUS_SCORE / 2)).to.equal(CONSENSUS_LEVELS.MEDIUM);
+      expect(getConsensusLevel()).to.equal(CONSENSUS_LEVELS.LOW);
+    });
+  });
+});
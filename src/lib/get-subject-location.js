@@ -34,11 +34,12 @@ function getAllLocations(subject) {
   });
 }
 
-function getThumbnailSource(src) {
+//The thumbnail service resizes an image to fit within width x height.
+function getThumbnailSource(src, width = 400, height = 400) {
   const origin = 'https://thumbnails.zooniverse.org';
   let srcPath = src.split('//').pop();
   srcPath = srcPath.replace('static.zooniverse.org/', '');
-  return (`${origin}/400x400/${srcPath}`);
+  return (`${origin}/${width}x${height}/${srcPath}`);
 }
 
 export {
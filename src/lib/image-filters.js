@@ -0,0 +1,81 @@
+/*
+Image Filters
+-------------
+
+Settings for enhancing the Subject image, e.g. to bring out faded ink. Each
+setting is a step of one SVG filter (see ImageFilter.jsx), applied in the order
+of IMAGE_FILTERS, then `invert` last:
+
+- grayscale: 0 (full colour) to 1 (no colour).
+- brightness, contrast: multipliers; 1 leaves the image as it is.
+- gamma: above 1 lightens the mid-tones, below 1 darkens them.
+- threshold: turns every pixel lighter than this white, and the rest black
+  (i.e. binarises the image). 0 is off.
+
+The volunteer's settings apply to every Subject, and are kept in localStorage
+under `<userId>.imageFilters` (or `_.imageFilters` when logged out).
+
+ */
+
+const IMAGE_FILTERS_NAME = 'imageFilters';
+
+const IMAGE_FILTERS = {
+  grayscale: { label: 'Grayscale', min: 0, max: 1, step: 0.05, defaultValue: 0 },
+  brightness: { label: 'Brightness', min: 0.2, max: 3, step: 0.05, defaultValue: 1 },
+  contrast: { label: 'Contrast', min: 0.2, max: 5, step: 0.05, defaultValue: 1 },
+  gamma: { label: 'Gamma', min: 0.2, max: 5, step: 0.05, defaultValue: 1 },
+  threshold: { label: 'Threshold', min: 0, max: 0.95, step: 0.01, defaultValue: 0 },
+};
+
+const DEFAULT_IMAGE_FILTERS = Object.keys(IMAGE_FILTERS).reduce((filters, name) => {
+  return Object.assign(filters, { [name]: IMAGE_FILTERS[name].defaultValue });
+}, { invert: false });
+
+const getImageFiltersName = user => `${(user) ? user.id : '_'}.${IMAGE_FILTERS_NAME}`;
+
+/*  Returns a complete set of filters, with any missing or out of range values
+    fixed.
+ */
+const cleanImageFilters = (filters = {}) => {
+  const cleaned = { invert: !!filters.invert };
+  Object.keys(IMAGE_FILTERS).forEach((name) => {
+    const range = IMAGE_FILTERS[name];
+    const value = parseFloat(filters[name]);
+    cleaned[name] = (isNaN(value)) ? range.defaultValue : Math.max(range.min, Math.min(range.max, value));
+  });
+  return cleaned;
+};
+
+const isDefaultImageFilters = (filters = {}) => {
+  return Object.keys(DEFAULT_IMAGE_FILTERS).every(name => filters[name] === DEFAULT_IMAGE_FILTERS[name]);
+};
+
+const loadImageFilters = (user = null) => {
+  try {
+    return cleanImageFilters(JSON.parse(localStorage.getItem(getImageFiltersName(user))) || {});
+  } catch (err) {
+    console.error('lib/image-filters.js loadImageFilters() error: ', err);
+    return DEFAULT_IMAGE_FILTERS;
+  }
+};
+
+const storeImageFilters = (user = null, filters = DEFAULT_IMAGE_FILTERS) => {
+  try {
+    if (isDefaultImageFilters(filters)) {
+      localStorage.removeItem(getImageFiltersName(user));
+    } else {
+      localStorage.setItem(getImageFiltersName(user), JSON.stringify(filters));
+    }
+  } catch (err) {
+    console.error('lib/image-filters.js storeImageFilters() error: ', err);
+  }
+};
+
+export {
+  cleanImageFilters,
+  isDefaultImageFilters,
+  loadImageFilters,
+  storeImageFilters,
+  DEFAULT_IMAGE_FILTERS,
+  IMAGE_FILTERS,
+};
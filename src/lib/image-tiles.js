@@ -0,0 +1,135 @@
+/*
+Image Tiles
+-----------
+
+Works out which parts of a large image are needed to show it at a given zoom,
+for ProgressiveImage.
+
+- Resolutions come in "levels": level 0 is the original image, level 1 is half
+  its width and height, level 2 a quarter, and so on.
+- Each level is cut into tiles of TILE_SIZE x TILE_SIZE pixels (smaller along
+  the right and bottom edges). A tile is described by the part of the original
+  image it covers, i.e. { key, level, x, y, width, height } in original image
+  pixels, so it can be placed over the image as it is.
+- Tiles come from a server that speaks the IIIF Image API (see
+  getTileSource()). Whole levels come from the thumbnail service instead,
+  which can resize images but can't cut out parts of them.
+
+ */
+
+import { getThumbnailSource } from './get-subject-location';
+
+const PLACEHOLDER_SIZE = 400;  //See getThumbnailSource().
+const TILE_SIZE = 512;
+
+/*  The number of levels sharper than the placeholder.
+ */
+const getLevelCount = (size) => {
+  const longestSide = Math.max(size.width, size.height);
+  return Math.max(1, Math.ceil(Math.log2(longestSide / PLACEHOLDER_SIZE)));
+};
+
+/*  The smallest level that still has (at least) one image pixel for every
+    screen pixel, or null if the placeholder is sharp enough.
+ */
+const getLevelForScaling = (scaling, levelCount, pixelRatio = 1) => {
+  const level = Math.max(0, Math.floor(Math.log2(1 / (scaling * pixelRatio))));
+  return (level < levelCount) ? level : null;
+};
+
+/*  The whole image at the given level.
+ */
+const getLevelSource = (src, size, level) => {
+  if (level === 0) return src;
+  const divisor = 2 ** level;
+  return getThumbnailSource(src, Math.ceil(size.width / divisor), Math.ceil(size.height / divisor));
+};
+
+/*  The part of the original image that's inside the Subject Viewer, as
+    { left, top, right, bottom } in original image pixels, or null if none of
+    it is. `viewport` is the Subject Viewer's transform, i.e.
+    { scaling, translationX, translationY, rotation, viewerSize }; without one,
+    the whole image is visible.
+
+    The corners of the viewer are taken back through the transform the same
+    way as SubjectViewer.getPointerXYOnImage() does for the pointer, so a
+    rotated image is covered by the box around the rotated viewer.
+ */
+const getVisibleRegion = (size, viewport) => {
+  if (!viewport) return { left: 0, top: 0, right: size.width, bottom: size.height };
+
+  const halfWidth = viewport.viewerSize.width / 2;
+  const halfHeight = viewport.viewerSize.height / 2;
+  const rotation = (-viewport.rotation / 180) * Math.PI;
+  const viewerCorners = [
+    [-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight],
+  ];
+  const corners = viewerCorners.map(([cornerX, cornerY]) => {
+    const x = (cornerX / viewport.scaling) - viewport.translationX;
+    const y = (cornerY / viewport.scaling) - viewport.translationY;
+    return {
+      x: ((x * Math.cos(rotation)) - (y * Math.sin(rotation))) + (size.width / 2),
+      y: ((x * Math.sin(rotation)) + (y * Math.cos(rotation))) + (size.height / 2),
+    };
+  });
+
+  const region = {
+    left: Math.max(0, Math.min(...corners.map(corner => corner.x))),
+    top: Math.max(0, Math.min(...corners.map(corner => corner.y))),
+    right: Math.min(size.width, Math.max(...corners.map(corner => corner.x))),
+    bottom: Math.min(size.height, Math.max(...corners.map(corner => corner.y))),
+  };
+  return (region.left < region.right && region.top < region.bottom) ? region : null;
+};
+
+/*  The tiles of the given level that cover the region, in rows from the top
+    left.
+ */
+const getTiles = (size, level, region) => {
+  if (!region) return [];
+
+  const span = TILE_SIZE * (2 ** level);  //The original image pixels a tile covers.
+  const firstColumn = Math.floor(region.left / span);
+  const lastColumn = Math.min(Math.ceil(region.right / span), Math.ceil(size.width / span)) - 1;
+  const firstRow = Math.floor(region.top / span);
+  const lastRow = Math.min(Math.ceil(region.bottom / span), Math.ceil(size.height / span)) - 1;
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row += 1) {
+    for (let column = firstColumn; column <= lastColumn; column += 1) {
+      const x = column * span;
+      const y = row * span;
+      tiles.push({
+        key: `${level}/${column}/${row}`,
+        level,
+        x,
+        y,
+        width: Math.min(span, size.width - x),
+        height: Math.min(span, size.height - y),
+      });
+    }
+  }
+  return tiles;
+};
+
+/*  A tile from an IIIF Image API server, e.g.
+    https://iiif.example.org/iiif/2/<src>/1024,0,1024,1024/512,512/0/default.jpg
+    The image is identified by its (URL encoded) address, which is what
+    servers such as Cantaloupe expect when they fetch images over HTTP.
+ */
+const getTileSource = (tileServer, src, tile) => {
+  const divisor = 2 ** tile.level;
+  const region = `${tile.x},${tile.y},${tile.width},${tile.height}`;
+  const tileSize = `${Math.ceil(tile.width / divisor)},${Math.ceil(tile.height / divisor)}`;
+  return `${tileServer}/${encodeURIComponent(src)}/${region}/${tileSize}/0/default.jpg`;
+};
+
+export {
+  getLevelCount,
+  getLevelForScaling,
+  getLevelSource,
+  getTiles,
+  getTileSource,
+  getVisibleRegion,
+  TILE_SIZE,
+};
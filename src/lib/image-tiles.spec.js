@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import {
+  getLevelCount, getLevelForScaling, getLevelSource, getTiles, getTileSource, getVisibleRegion,
+} from './image-tiles';
+
+const SIZE = { width: 2000, height: 1000 };
+const SRC = 'https://panoptes-uploads.zooniverse.org/page.jpeg';
+
+const viewport = (changes = {}) => Object.assign({
+  scaling: 1,
+  translationX: 0,
+  translationY: 0,
+  rotation: 0,
+  viewerSize: { width: 800, height: 600 },
+}, changes);
+
+const expectRegion = (region, expected) => {
+  Object.keys(expected).forEach((side) => {
+    expect(region[side]).to.be.closeTo(expected[side], 0.001);
+  });
+};
+
+describe('image tiles', () => {
+  describe('levels', () => {
+    it('has enough levels to get from the placeholder to the original', () => {
+      expect(getLevelCount(SIZE)).to.equal(3);
+      expect(getLevelCount({ width: 300, height: 200 })).to.equal(1);
+    });
+
+    it('picks the smallest level with an image pixel for each screen pixel', () => {
+      expect(getLevelForScaling(1, 3)).to.equal(0);
+      expect(getLevelForScaling(2, 3)).to.equal(0);
+      expect(getLevelForScaling(0.3, 3)).to.equal(1);
+      expect(getLevelForScaling(0.25, 3)).to.equal(2);
+      expect(getLevelForScaling(0.25, 3, 2)).to.equal(1);
+    });
+
+    it('leaves it to the placeholder when that\'s sharp enough', () => {
+      expect(getLevelForScaling(0.1, 3)).to.equal(null);
+    });
+
+    it('gets whole levels from the thumbnail service', () => {
+      expect(getLevelSource(SRC, SIZE, 0)).to.equal(SRC);
+      expect(getLevelSource(SRC, SIZE, 2))
+        .to.equal('https://thumbnails.zooniverse.org/500x250/panoptes-uploads.zooniverse.org/page.jpeg');
+    });
+  });
+
+  describe('getVisibleRegion()', () => {
+    it('is the whole image without a viewport', () => {
+      expect(getVisibleRegion(SIZE, null)).to.eql({ left: 0, top: 0, right: 2000, bottom: 1000 });
+    });
+
+    it('is the part of the image around its centre that fits in the viewer', () => {
+      expectRegion(getVisibleRegion(SIZE, viewport()), { left: 600, top: 200, right: 1400, bottom: 800 });
+      expectRegion(getVisibleRegion(SIZE, viewport({ scaling: 0.5 })), {
+        left: 200, top: 0, right: 1800, bottom: 1000,
+      });
+    });
+
+    it('follows the translation', () => {
+      expectRegion(getVisibleRegion(SIZE, viewport({ translationX: -500, translationY: 100 })), {
+        left: 1100, top: 100, right: 1900, bottom: 700,
+      });
+    });
+
+    it('follows the rotation', () => {
+      expectRegion(getVisibleRegion(SIZE, viewport({ rotation: 90 })), {
+        left: 700, top: 100, right: 1300, bottom: 900,
+      });
+
+      //Tilted, the viewer's corners reach further along both sides.
+      const tilted = getVisibleRegion(SIZE, viewport({ rotation: 5 }));
+      expect(tilted.left).to.be.below(600);
+      expect(tilted.top).to.be.below(200);
+    });
+
+    it('is null when the image is off screen', () => {
+      expect(getVisibleRegion(SIZE, viewport({ translationX: -5000 }))).to.equal(null);
+    });
+  });
+
+  describe('getTiles()', () => {
+    it('covers the region with the tiles of the level', () => {
+      const tiles = getTiles(SIZE, 0, { left: 600, top: 200, right: 1400, bottom: 800 });
+      expect(tiles.map(tile => tile.key)).to.eql(['0/1/0', '0/2/0', '0/1/1', '0/2/1']);
+      expect(tiles[3]).to.eql({ key: '0/2/1', level: 0, x: 1024, y: 512, width: 512, height: 488 });
+    });
+
+    it('makes tiles of blurrier levels cover more of the original', () => {
+      const tiles = getTiles(SIZE, 1, getVisibleRegion(SIZE, null));
+      expect(tiles).to.eql([
+        { key: '1/0/0', level: 1, x: 0, y: 0, width: 1024, height: 1000 },
+        { key: '1/1/0', level: 1, x: 1024, y: 0, width: 976, height: 1000 },
+      ]);
+    });
+
+    it('has no tiles for an image that\'s off screen', () => {
+      expect(getTiles(SIZE, 0, null)).to.eql([]);
+    });
+  });
+
+  describe('getTileSource()', () => {
+    it('asks the IIIF server for the part of the original at the size of the level', () => {
+      const tile = { key: '1/1/0', level: 1, x: 1024, y: 0, width: 976, height: 1000 };
+      expect(getTileSource('https://iiif.example.org/iiif/2', SRC, tile)).to.equal(
+        'https://iiif.example.org/iiif/2/https%3A%2F%2Fpanoptes-uploads.zooniverse.org%2Fpage.jpeg' +
+        '/1024,0,976,1000/488,500/0/default.jpg',
+      );
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/*
+Reductions Source
+-----------------
+
+Where previous volunteers' transcriptions (Caesar reductions) come from.
+Every source has the same interface:
+
+  source.fetchReductions(workflowId, subjectId)
+    => Promise resolving to an array of reductions, i.e. [{ data: { frame0: [...] } }]
+
+- live: Caesar's GraphQL API (config.zooniverseLinks.caesarHost).
+- mock: the same GraphQL query, sent to the mock endpoint served by server.js,
+  which answers from src/fixtures/reductions.json.
+- fixture: src/fixtures/reductions.json, loaded directly, with no requests.
+
+The source is chosen by config.reductionsSource (see config.js).
+
+ */
+
+import { request } from 'graphql-request';
+import { config } from '../config';
+import reductionsFixture from '../fixtures/reductions.json';
+
+const REDUCTIONS_SOURCES = {
+  LIVE: 'live',
+  MOCK: 'mock',
+  FIXTURE: 'fixture',
+};
+
+const buildQuery = (workflowId, subjectId) => {
+  return `{
+    workflow(id: ${workflowId}) {
+      reductions(subjectId: ${subjectId}, reducerKey:"${config.zooniverseLinks.caesarReducerKey}") {
+        data
+      }
+    }
+  }`;
+};
+
+const graphQLSource = (host) => {
+  return {
+    fetchReductions(workflowId, subjectId) {
+      return request(host, buildQuery(workflowId, subjectId))
+        .then(data => data.workflow.reductions);
+    },
+  };
+};
+
+/*  Fixtures are keyed by Subject ID, with `default` used for any other Subject.
+ */
+const getFixtureReductions = (fixtures, subjectId) => {
+  return fixtures[subjectId] || fixtures.default || [];
+};
+
+const fixtureSource = {
+  fetchReductions(workflowId, subjectId) {
+    return Promise.resolve(getFixtureReductions(reductionsFixture, subjectId));
+  },
+};
+
+const getReductionsSource = (name = config.reductionsSource) => {
+  switch (name) {
+    case REDUCTIONS_SOURCES.MOCK:
+      return graphQLSource(config.zooniverseLinks.mockCaesarHost);
+    case REDUCTIONS_SOURCES.FIXTURE:
+      return fixtureSource;
+    case REDUCTIONS_SOURCES.LIVE:
+      return graphQLSource(config.zooniverseLinks.caesarHost);
+    default:
+      console.warn(`lib/reductions-source.js getReductionsSource(): unknown source "${name}", using live`);
+      return graphQLSource(config.zooniverseLinks.caesarHost);
+  }
+};
+
+export {
+  getFixtureReductions,
+  getReductionsSource,
+  REDUCTIONS_SOURCES,
+};
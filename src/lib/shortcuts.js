@@ -0,0 +1,249 @@
+/*
+Keyboard Shortcuts
+------------------
+
+The registry of every keyboard shortcut in the classifier. Components don't
+check for specific keys themselves; instead, they ask whether a keyboard event
+matches one of the commands here, e.g.
+
+  if (matchesShortcut(e, 'zoomIn', this.props.shortcuts)) { ... }
+
+Every command has a default key binding, which volunteers can change (see
+KeyboardShortcuts.jsx). Their changes are a map of { commandId: binding },
+kept in their project preferences (see ducks/project.js saveShortcuts()).
+
+A binding is written as modifiers and a key joined by '+', e.g. 'ctrl+shift+z',
+'alt+d', '=', 'left'. 'ctrl' also matches the Cmd key on Macs.
+
+Each text modifier tag (see transcription-markup.js) has a command too, with
+the ID 'tag.<name>' and a default binding of alt + the tag's shortcut letter.
+
+The context of a command is when it's available, which decides which
+commands can't share the same keys:
+- viewer: whenever the transcription box isn't open.
+- navigating / annotating: only in that state of the Subject Viewer.
+- transcribing: while typing in the transcription box.
+
+ */
+
+import { KEY_CODES, Utility } from './Utility';
+import { DEFAULT_TAGS } from './transcription-markup';
+
+const SHORTCUT_CONTEXTS = {
+  VIEWER: 'viewer',
+  NAVIGATING: 'navigating',
+  ANNOTATING: 'annotating',
+  TRANSCRIBING: 'transcribing',
+};
+
+const CONTEXT_OVERLAPS = {
+  viewer: ['viewer', 'navigating', 'annotating'],
+  navigating: ['viewer', 'navigating'],
+  annotating: ['viewer', 'annotating'],
+  transcribing: ['transcribing'],
+};
+
+const SHORTCUT_GROUPS = [
+  { context: SHORTCUT_CONTEXTS.VIEWER, title: 'Viewing the Page' },
+  { context: SHORTCUT_CONTEXTS.NAVIGATING, title: 'When Navigating' },
+  { context: SHORTCUT_CONTEXTS.ANNOTATING, title: 'When Annotating' },
+  { context: SHORTCUT_CONTEXTS.TRANSCRIBING, title: 'When Transcribing' },
+];
+
+// `allowShift` commands ignore the Shift key, which they use for bigger steps.
+const SHORTCUTS = [
+  { id: 'zoomIn', binding: '=', context: 'viewer', description: 'Zoom In', allowShift: true },  // i.e. + too
+  { id: 'zoomOut', binding: '-', context: 'viewer', description: 'Zoom Out' },
+  { id: 'resetView', binding: '0', context: 'viewer', description: 'Reset Image' },
+  { id: 'fitWidth', binding: 'w', context: 'viewer', description: 'Fit Page Width' },
+  { id: 'fitHeight', binding: 'h', context: 'viewer', description: 'Fit Page Height' },
+  { id: 'actualSize', binding: '1', context: 'viewer', description: 'Zoom to 100%' },
+  { id: 'rotate', binding: 'r', context: 'viewer', description: 'Rotate 90°' },
+  { id: 'skewLeft', binding: '[', context: 'viewer', description: 'Straighten: Rotate 0.5° Anticlockwise' },
+  { id: 'skewRight', binding: ']', context: 'viewer', description: 'Straighten: Rotate 0.5° Clockwise' },
+  { id: 'previousFrame', binding: ',', context: 'viewer', description: 'Previous Page' },
+  { id: 'nextFrame', binding: '.', context: 'viewer', description: 'Next Page' },
+  { id: 'toggleContrast', binding: 'c', context: 'viewer', description: 'Invert Colors' },
+  { id: 'toggleLoupe', binding: 'l', context: 'viewer', description: 'Toggle Magnifier' },
+  { id: 'toggleMarks', binding: 'm', context: 'viewer', description: 'Toggle Previous Marks' },
+  { id: 'toggleTranscribe', binding: 'a', context: 'viewer', description: 'Toggle Navigate and Transcribe' },
+  { id: 'undo', binding: 'ctrl+z', context: 'viewer', description: 'Undo Last Change' },
+  { id: 'redo', binding: 'ctrl+shift+z', context: 'viewer', description: 'Redo Last Change' },
+  { id: 'cancelCrop', binding: 'escape', context: 'viewer', description: 'Cancel Cropping' },
+  { id: 'submit', binding: 'shift+enter', context: 'viewer', description: 'Finish (Submit Classification)' },
+
+  {
+    id: 'panLeft',
+    binding: 'left',
+    context: 'navigating',
+    description: 'Pan Left (hold shift for bigger steps)',
+    allowShift: true,
+  },
+  { id: 'panRight', binding: 'right', context: 'navigating', description: 'Pan Right', allowShift: true },
+  { id: 'panUp', binding: 'up', context: 'navigating', description: 'Pan Up', allowShift: true },
+  { id: 'panDown', binding: 'down', context: 'navigating', description: 'Pan Down', allowShift: true },
+
+  {
+    id: 'cursorLeft',
+    binding: 'left',
+    context: 'annotating',
+    description: 'Move the Drawing Cursor Left (hold shift for bigger steps; click the page or tab to it first)',
+    allowShift: true,
+  },
+  {
+    id: 'cursorRight',
+    binding: 'right',
+    context: 'annotating',
+    description: 'Move the Drawing Cursor Right',
+    allowShift: true,
+  },
+  { id: 'cursorUp', binding: 'up', context: 'annotating', description: 'Move the Drawing Cursor Up', allowShift: true },
+  {
+    id: 'cursorDown',
+    binding: 'down',
+    context: 'annotating',
+    description: 'Move the Drawing Cursor Down',
+    allowShift: true,
+  },
+  { id: 'placePoint', binding: 'space', context: 'annotating', description: 'Place a Point at the Drawing Cursor' },
+  { id: 'finishLine', binding: 'enter', context: 'annotating', description: 'Finish Multi-point Line' },
+
+  { id: 'saveTranscription', binding: 'ctrl+enter', context: 'transcribing', description: 'Submit Transcription' },
+  {
+    id: 'closeTranscription',
+    binding: 'escape',
+    context: 'transcribing',
+    description: 'Close and Cancel Transcription Box',
+  },
+];
+
+const MODIFIERS = ['ctrl', 'alt', 'shift'];
+
+// Key names used in bindings, and how they're shown.
+const KEY_NAMES = {
+  left: { keyCode: KEY_CODES.LEFT, label: '←' },
+  right: { keyCode: KEY_CODES.RIGHT, label: '→' },
+  up: { keyCode: KEY_CODES.UP, label: '↑' },
+  down: { keyCode: KEY_CODES.DOWN, label: '↓' },
+  enter: { keyCode: KEY_CODES.ENTER, label: 'enter' },
+  space: { keyCode: KEY_CODES.SPACE, label: 'space' },
+  escape: { keyCode: KEY_CODES.ESCAPE, label: 'esc' },
+  pageup: { keyCode: KEY_CODES.PAGE_UP, label: 'page up' },
+  pagedown: { keyCode: KEY_CODES.PAGE_DOWN, label: 'page down' },
+  '=': { keyCode: KEY_CODES.EQUALS, label: '+' },
+  '-': { keyCode: KEY_CODES.MINUS, label: '-' },
+  ',': { keyCode: KEY_CODES.COMMA, label: ',' },
+  '.': { keyCode: KEY_CODES.PERIOD, label: '.' },
+  '[': { keyCode: KEY_CODES.OPEN_BRACKET, label: '[' },
+  ']': { keyCode: KEY_CODES.CLOSE_BRACKET, label: ']' },
+};
+'abcdefghijklmnopqrstuvwxyz'.split('').forEach((letter) => {
+  KEY_NAMES[letter] = { keyCode: KEY_CODES[letter.toUpperCase()], label: letter };
+});
+'0123456789'.split('').forEach((digit) => {
+  KEY_NAMES[digit] = { keyCode: KEY_CODES[`NUM${digit}`], label: digit };
+});
+
+// While a volunteer is choosing new keys for a command, no shortcuts work.
+let recording = false;
+
+const setRecordingShortcut = (isRecording) => {
+  recording = isRecording;
+};
+
+const parseBinding = (binding = '') => {
+  const parts = binding.toLowerCase().split('+');
+  const keyName = parts.pop();
+  return {
+    keyName,
+    keyCode: (KEY_NAMES[keyName]) ? KEY_NAMES[keyName].keyCode : null,
+    ctrl: parts.includes('ctrl'),
+    alt: parts.includes('alt'),
+    shift: parts.includes('shift'),
+  };
+};
+
+const formatBinding = (binding = '') => {
+  const { keyName, ctrl, alt, shift } = parseBinding(binding);
+  const label = (KEY_NAMES[keyName]) ? KEY_NAMES[keyName].label : keyName;
+  return MODIFIERS.filter(modifier => ({ ctrl, alt, shift })[modifier]).concat(label).join(' + ');
+};
+
+/*  The binding for the keys pressed in a keyboard event, or null if they can't
+    be used as a shortcut (e.g. only a modifier key was pressed).
+ */
+const bindingFromEvent = (e) => {
+  const keyCode = Utility.getKeyCode(e);
+  const keyName = Object.keys(KEY_NAMES).find(name => KEY_NAMES[name].keyCode === keyCode);
+  if (!keyName) return null;
+  const modifiers = [];
+  if (e.ctrlKey || e.metaKey) modifiers.push('ctrl');
+  if (e.altKey) modifiers.push('alt');
+  if (e.shiftKey) modifiers.push('shift');
+  return modifiers.concat(keyName).join('+');
+};
+
+const tagShortcuts = (tags = DEFAULT_TAGS) => Object.keys(tags).map(name => ({
+  id: `tag.${name}`,
+  binding: (tags[name].shortcut) ? `alt+${tags[name].shortcut.toLowerCase()}` : '',
+  context: SHORTCUT_CONTEXTS.TRANSCRIBING,
+  description: `Insert ${tags[name].label} Modifier`,
+}));
+
+/*  All the commands, with the volunteer's key bindings (if they've changed
+    them) in place of the defaults.
+ */
+const getShortcuts = (keymap = {}, tags = DEFAULT_TAGS) => SHORTCUTS.concat(tagShortcuts(tags)).map((shortcut) => {
+  const binding = (keymap && keymap[shortcut.id] !== undefined) ? keymap[shortcut.id] : shortcut.binding;
+  return Object.assign({}, shortcut, { binding, defaultBinding: shortcut.binding });
+});
+
+const getShortcut = (id, keymap = {}, tags = DEFAULT_TAGS) => (
+  getShortcuts(keymap, tags).find(shortcut => shortcut.id === id) || null
+);
+
+const matchesShortcut = (e, id, keymap = {}, tags = DEFAULT_TAGS) => {
+  if (recording) return false;
+  const shortcut = getShortcut(id, keymap, tags);
+  if (!shortcut || !shortcut.binding) return false;
+
+  const binding = parseBinding(shortcut.binding);
+  return Utility.getKeyCode(e) === binding.keyCode &&
+    !!(e.ctrlKey || e.metaKey) === binding.ctrl &&
+    !!e.altKey === binding.alt &&
+    (shortcut.allowShift || !!e.shiftKey === binding.shift);
+};
+
+/*  Returns the command that already uses a binding at the same time as the
+    specified command would, if there is one.
+ */
+const findConflict = (id, binding, keymap = {}, tags = DEFAULT_TAGS) => {
+  const shortcuts = getShortcuts(keymap, tags);
+  const shortcut = shortcuts.find(s => s.id === id);
+  if (!shortcut || !binding) return null;
+  const contexts = CONTEXT_OVERLAPS[shortcut.context] || [];
+  return shortcuts.find(other => (
+    other.id !== id && other.binding === binding && contexts.includes(other.context)
+  )) || null;
+};
+
+/*  Keyboard events while typing (in the transcription box, or any other text
+    field) aren't shortcuts, unless they're meant for the text field.
+ */
+const isTyping = (e) => {
+  const target = e.target || {};
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+};
+
+export {
+  bindingFromEvent,
+  findConflict,
+  formatBinding,
+  getShortcut,
+  getShortcuts,
+  isTyping,
+  matchesShortcut,
+  setRecordingShortcut,
+  SHORTCUT_CONTEXTS,
+  SHORTCUT_GROUPS,
+};
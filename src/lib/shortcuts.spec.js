@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import {
+  bindingFromEvent, findConflict, formatBinding, getShortcut, getShortcuts, matchesShortcut, setRecordingShortcut,
+} from './shortcuts';
+import { KEY_CODES } from './Utility';
+
+const keyEvent = (keyCode, modifiers = {}) => Object.assign({ keyCode }, modifiers);
+
+describe('shortcuts', () => {
+  describe('bindingFromEvent()', () => {
+    it('writes the key and its modifiers as a binding', () => {
+      expect(bindingFromEvent(keyEvent(KEY_CODES.Z))).to.equal('z');
+      expect(bindingFromEvent(keyEvent(KEY_CODES.Z, { ctrlKey: true, shiftKey: true }))).to.equal('ctrl+shift+z');
+      expect(bindingFromEvent(keyEvent(KEY_CODES.D, { altKey: true }))).to.equal('alt+d');
+      expect(bindingFromEvent(keyEvent(KEY_CODES.LEFT))).to.equal('left');
+    });
+
+    it('treats the Cmd key as ctrl, and other browsers\' key codes as the usual ones', () => {
+      expect(bindingFromEvent(keyEvent(KEY_CODES.Z, { metaKey: true }))).to.equal('ctrl+z');
+      expect(bindingFromEvent(keyEvent(173))).to.equal('-');
+      expect(bindingFromEvent({ key: 'PageDown' })).to.equal('pagedown');
+    });
+
+    it('ignores keys that can\'t be a shortcut on their own', () => {
+      expect(bindingFromEvent(keyEvent(KEY_CODES.SHIFT, { shiftKey: true }))).to.equal(null);
+      expect(bindingFromEvent(keyEvent(KEY_CODES.CTRL, { ctrlKey: true }))).to.equal(null);
+      expect(bindingFromEvent({})).to.equal(null);
+    });
+  });
+
+  describe('findConflict()', () => {
+    it('finds a command using the same keys in the same context', () => {
+      expect(findConflict('zoomOut', 'r').id).to.equal('rotate');
+      expect(findConflict('zoomOut', '-')).to.equal(null);  //Its own binding.
+    });
+
+    it('finds conflicts in overlapping contexts only', () => {
+      expect(findConflict('rotate', 'left').id).to.equal('panLeft');
+      expect(findConflict('panLeft', 'space')).to.equal(null);  //placePoint is only used when annotating.
+      expect(findConflict('rotate', 'escape').id).to.equal('cancelCrop');
+      expect(findConflict('undo', 'ctrl+enter')).to.equal(null);  //saveTranscription is only used when transcribing.
+    });
+
+    it('uses the volunteer\'s own bindings', () => {
+      const keymap = { rotate: 't', toggleContrast: '' };
+      expect(findConflict('zoomOut', 't', keymap).id).to.equal('rotate');
+      expect(findConflict('zoomOut', 'r', keymap)).to.equal(null);
+      expect(findConflict('zoomOut', '', keymap)).to.equal(null);  //No keys never conflict.
+      expect(findConflict('unknown', 'r', keymap)).to.equal(null);
+    });
+
+    it('has no conflicts between the default bindings', () => {
+      const conflicts = getShortcuts()
+        .filter(shortcut => shortcut.binding && findConflict(shortcut.id, shortcut.binding))
+        .map(shortcut => shortcut.id);
+      expect(conflicts).to.deep.equal([]);
+    });
+  });
+
+  describe('saved bindings', () => {
+    afterEach(() => {
+      setRecordingShortcut(false);
+    });
+
+    it('replace the defaults, which are kept for resetting', () => {
+      const keymap = { rotate: bindingFromEvent(keyEvent(KEY_CODES.T, { altKey: true })) };
+      const rotate = getShortcut('rotate', keymap);
+      expect(rotate.binding).to.equal('alt+t');
+      expect(rotate.defaultBinding).to.equal('r');
+      expect(formatBinding(rotate.binding)).to.equal('alt + t');
+      expect(getShortcut('zoomOut', keymap).binding).to.equal('-');
+    });
+
+    it('are what keyboard events are matched against', () => {
+      const keymap = JSON.parse(JSON.stringify({ rotate: 'alt+t', toggleContrast: '' }));  //As kept in preferences.
+      expect(matchesShortcut(keyEvent(KEY_CODES.T, { altKey: true }), 'rotate', keymap)).to.equal(true);
+      expect(matchesShortcut(keyEvent(KEY_CODES.R), 'rotate', keymap)).to.equal(false);
+      expect(matchesShortcut(keyEvent(KEY_CODES.T), 'rotate', keymap)).to.equal(false);
+      expect(matchesShortcut(keyEvent(KEY_CODES.C), 'toggleContrast', keymap)).to.equal(false);  //Cleared.
+    });
+
+    it('match with or without shift for commands that take bigger steps', () => {
+      expect(matchesShortcut(keyEvent(KEY_CODES.LEFT, { shiftKey: true }), 'panLeft')).to.equal(true);
+      expect(matchesShortcut(keyEvent(KEY_CODES.Z, { ctrlKey: true, shiftKey: true }), 'undo')).to.equal(false);
+      expect(matchesShortcut(keyEvent(KEY_CODES.ENTER, { shiftKey: true }), 'submit')).to.equal(true);
+      expect(matchesShortcut(keyEvent(KEY_CODES.ENTER), 'submit')).to.equal(false);
+    });
+
+    it('don\'t match while new keys are being recorded', () => {
+      setRecordingShortcut(true);
+      expect(matchesShortcut(keyEvent(KEY_CODES.R), 'rotate')).to.equal(false);
+    });
+  });
+});
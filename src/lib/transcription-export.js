@@ -0,0 +1,134 @@
+/*
+Transcription Export
+--------------------
+
+Turns the volunteer's Annotations for a Subject into a downloadable document.
+Lines are ordered by page (frame), then from top to bottom, then left to right.
+
+- toPlainText(): one line per Annotation, with a heading for each page. The
+  markup is kept exactly as it was transcribed.
+- toTEI(): a TEI-XML document, with a <pb/> for each page and an <lb/> for each
+  line. Markup is mapped to TEI elements (see TEI_ELEMENTS); tags that don't
+  have a mapping (e.g. ones added in the workflow's configuration) become a
+  <seg type="...">.
+- toJSON(): the lines with their page and coordinates.
+
+ */
+
+import { parseMarkup, DEFAULT_TAGS } from './transcription-markup';
+
+const TEI_ELEMENTS = {
+  deletion: { name: 'del' },
+  insertion: { name: 'add' },
+  unclear: { name: 'unclear' },
+  underline: { name: 'hi', attributes: { rend: 'underline' } },
+};
+
+const getText = annotation => (annotation.details && annotation.details[0] && annotation.details[0].value) || '';
+
+const getTop = annotation => Math.min(...annotation.points.map(point => point.y));
+const getLeft = annotation => Math.min(...annotation.points.map(point => point.x));
+
+/*  Returns the transcribed lines (i.e. Annotations with text), in reading
+    order.
+ */
+const sortAnnotations = (annotations = []) => {
+  return annotations
+    .filter(annotation => annotation.points && annotation.points.length && getText(annotation).trim())
+    .sort((a, b) => {
+      return ((a.frame || 0) - (b.frame || 0)) || (getTop(a) - getTop(b)) || (getLeft(a) - getLeft(b));
+    });
+};
+
+const groupByFrame = (annotations) => {
+  const frames = [];
+  sortAnnotations(annotations).forEach((annotation) => {
+    const frame = annotation.frame || 0;
+    const last = frames[frames.length - 1];
+    if (last && last.frame === frame) {
+      last.lines.push(annotation);
+    } else {
+      frames.push({ frame, lines: [annotation] });
+    }
+  });
+  return frames;
+};
+
+const toPlainText = (annotations) => {
+  return groupByFrame(annotations).map((page) => {
+    const lines = page.lines.map(annotation => getText(annotation).trim());
+    return [`Page ${page.frame + 1}`, ''].concat(lines).join('\n');
+  }).join('\n\n') + '\n';
+};
+
+const escapeXML = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const renderTEINode = (node) => {
+  if (node.type === 'text') return escapeXML(node.value);
+
+  const element = TEI_ELEMENTS[node.name] || { name: 'seg', attributes: { type: node.name } };
+  const attributes = Object.keys(element.attributes || {})
+    .map(key => ` ${key}="${escapeXML(element.attributes[key])}"`)
+    .join('');
+
+  if (node.selfClosing) return `<${element.name}${attributes}/>`;
+  const content = node.children.map(renderTEINode).join('');
+  return `<${element.name}${attributes}>${content}</${element.name}>`;
+};
+
+const toTEI = (annotations, subjectId = '', tags = DEFAULT_TAGS) => {
+  const title = `Transcription of Subject ${subjectId}`;
+  const pages = groupByFrame(annotations).map((page) => {
+    const lines = page.lines.map((annotation) => {
+      const { ast } = parseMarkup(getText(annotation).trim(), tags);
+      return `        <lb/>${ast.children.map(renderTEINode).join('')}`;
+    });
+    return [
+      `      <pb n="${page.frame + 1}"/>`,
+      '      <ab>',
+    ].concat(lines, '      </ab>').join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TEI xmlns="http://www.tei-c.org/ns/1.0">',
+    '  <teiHeader>',
+    '    <fileDesc>',
+    `      <titleStmt><title>${escapeXML(title)}</title></titleStmt>`,
+    '      <publicationStmt><p>Transcribed by a volunteer on Anti-Slavery Manuscripts, a Zooniverse project.</p></publicationStmt>',
+    `      <sourceDesc><p>Zooniverse Subject ${escapeXML(String(subjectId))}</p></sourceDesc>`,
+    '    </fileDesc>',
+    '  </teiHeader>',
+    '  <text>',
+    '    <body>',
+  ].concat(pages, [
+    '    </body>',
+    '  </text>',
+    '</TEI>',
+    '',
+  ]).join('\n');
+};
+
+const toJSON = (annotations, subjectId = '') => {
+  const lines = sortAnnotations(annotations).map((annotation) => {
+    return {
+      frame: annotation.frame || 0,
+      text: getText(annotation).trim(),
+      points: annotation.points.map(point => ({ x: point.x, y: point.y })),
+    };
+  });
+  return JSON.stringify({ subject: subjectId, lines }, null, 2);
+};
+
+export {
+  sortAnnotations,
+  toJSON,
+  toPlainText,
+  toTEI,
+};
@@ -0,0 +1,247 @@
+/*
+Transcription Markup
+--------------------
+
+Volunteers mark up their transcriptions with square bracket tags, e.g.
+"the [deletion]quick[/deletion] brown [unclear] jumped". This module turns that
+text into a tree (an AST), checks the tags are balanced and properly nested,
+and serialises the tree back into normalised text for the aggregation engine.
+
+Usage:
+  const { ast, errors } = parseMarkup(text);
+  const normalised = serialiseMarkup(ast);
+  const cleaned = cleanMarkup(text);  //Only normalises text that has no errors.
+
+AST nodes look like:
+  { type: 'root', children: [...] }
+  { type: 'text', value: 'some words' }
+  { type: 'tag', name: 'deletion', selfClosing: false, closed: true, children: [...] }
+
+The tag set can be configured per workflow (see tagsFromWorkflow()). A tag set
+is an object of tag name => { label, selfClosing, shortcut }, where shortcut
+is a single letter used with the Alt key.
+
+ */
+
+const DEFAULT_TAGS = {
+  insertion: { label: '[insertion]', selfClosing: false, shortcut: 'i' },
+  deletion: { label: '[deletion]', selfClosing: false, shortcut: 'd' },
+  unclear: { label: '[unclear]', selfClosing: true, shortcut: 'c' },
+  underline: { label: '[underline]', selfClosing: false, shortcut: 'u' },
+};
+
+const TAG_NAME_REGEX = /^\w+$/;
+const SHORTCUT_REGEX = /^[a-z0-9]$/i;
+
+const MARKUP_ERRORS = {
+  UNCLOSED: 'unclosed',  //[tag] without a [/tag]
+  UNOPENED: 'unopened',  //[/tag] without a [tag]
+  MISNESTED: 'misnested',  //[tag1][tag2]...[/tag1][/tag2]
+};
+
+const TAG_REGEX = /\[(\/?)(\w+)\]/g;
+const PUNCTUATION_REGEX = /^[.,;:!?)'"]/;
+
+/*  Splits the text into text, opening tag and closing tag tokens. Tags that
+    aren't in the tag set are left as text.
+ */
+const tokenizeMarkup = (text = '', tags = DEFAULT_TAGS) => {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value, index) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      tokens.push({ type: 'text', value, index });
+    }
+  };
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(text)) !== null) {
+    pushText(text.substring(lastIndex, match.index), lastIndex);
+    const name = match[2];
+    if (tags[name]) {
+      tokens.push({
+        type: (match[1]) ? 'close' : 'open',
+        name,
+        index: match.index,
+        raw: match[0],
+      });
+    } else {
+      pushText(match[0], match.index);
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+  }
+  pushText(text.substring(lastIndex), lastIndex);
+
+  return tokens;
+};
+
+/*  Builds the AST and collects errors. Errors look like
+    { type: MARKUP_ERRORS.*, name: 'deletion', index: 12 } where index is the
+    position of the offending tag in the original text.
+    Misnested tags are closed where their parent closes, and their own closing
+    tag (if it turns up later) is then ignored.
+ */
+const parseMarkup = (text = '', tags = DEFAULT_TAGS) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  const misnested = [];  //Tags closed early because of misnesting, waiting for their own closing tag.
+
+  tokenizeMarkup(text, tags).forEach((token) => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      parent.children.push({ type: 'text', value: token.value });
+    } else if (token.type === 'open') {
+      const node = {
+        type: 'tag',
+        name: token.name,
+        selfClosing: !!tags[token.name].selfClosing,
+        closed: !!tags[token.name].selfClosing,
+        children: [],
+        index: token.index,
+      };
+      parent.children.push(node);
+      if (!node.selfClosing) stack.push(node);
+    } else {
+      const openIndex = findOpenTag(stack, token.name);
+      const misnestedIndex = misnested.indexOf(token.name);
+
+      if (openIndex > 0) {
+        //Everything opened after the matching tag is misnested.
+        while (stack.length - 1 > openIndex) {
+          const node = stack.pop();
+          errors.push({ type: MARKUP_ERRORS.MISNESTED, name: node.name, index: node.index });
+          misnested.push(node.name);
+        }
+        stack.pop().closed = true;
+      } else if (misnestedIndex >= 0) {
+        misnested.splice(misnestedIndex, 1);
+      } else {
+        errors.push({ type: MARKUP_ERRORS.UNOPENED, name: token.name, index: token.index });
+        parent.children.push({ type: 'text', value: token.raw });
+      }
+    }
+  });
+
+  while (stack.length > 1) {
+    const node = stack.pop();
+    errors.push({ type: MARKUP_ERRORS.UNCLOSED, name: node.name, index: node.index });
+  }
+
+  errors.sort((a, b) => a.index - b.index);
+  return { ast: root, errors };
+};
+
+const findOpenTag = (stack, name) => {
+  for (let i = stack.length - 1; i > 0; i--) {
+    if (stack[i].name === name) return i;
+  }
+  return -1;
+};
+
+/*  Turns the AST back into text, normalising it along the way:
+    - tags are separated from the words around them by a single space, e.g.
+      "word[deletion]x[/deletion]" becomes "word [deletion]x[/deletion]"
+      (punctuation straight after a closing tag stays attached to it)
+    - the contents of a tag are trimmed, e.g. "[tag]  word  [/tag]" becomes
+      "[tag]word[/tag]", and likewise nested tags are kept together, e.g.
+      "[tag1] [tag2]word[/tag2] [/tag1]" becomes "[tag1][tag2]word[/tag2][/tag1]"
+    - [unclear] is a self-closing tag, so it's spaced like a word, e.g.
+      "[tag] [unclear] [/tag]" becomes "[tag][unclear][/tag]" and
+      "[unclear][unclear]" becomes "[unclear] [unclear]"
+    - multiple spaces become one, and the start and end are trimmed.
+ */
+const serialiseMarkup = (node) => {
+  if (node.type === 'text') return node.value.replace(/\s+/g, ' ');
+
+  let content = '';
+  node.children.forEach((child, i) => {
+    let value = serialiseMarkup(child);
+    const previous = node.children[i - 1];
+    if (child.type === 'tag' && previous) {
+      value = ` ${value}`;
+    } else if (child.type === 'text' && previous && previous.type === 'tag' && !PUNCTUATION_REGEX.test(value.trim())) {
+      value = ` ${value}`;
+    }
+    content += value;
+  });
+  content = content.replace(/\s+/g, ' ').trim();
+
+  if (node.type === 'root') return content;
+  if (node.selfClosing) return `[${node.name}]`;
+  return `[${node.name}]${content}${(node.closed) ? `[/${node.name}]` : ''}`;
+};
+
+/*  Normalises the text, unless its markup has errors, in which case only the
+    whitespace is tidied up. (Rewriting broken markup would only make it harder
+    for the volunteer to see what went wrong.)
+ */
+const cleanMarkup = (text = '', tags = DEFAULT_TAGS) => {
+  const { ast, errors } = parseMarkup(text, tags);
+  if (errors.length) return text.replace(/\s+/g, ' ').trim();
+  return serialiseMarkup(ast);
+};
+
+/*  Reads the tag set from the workflow's transcription task configuration,
+    which looks like:
+      tasks.T0.tags = [
+        { name: 'sic', label: '[sic]', selfClosing: true, shortcut: 's' },
+        ...
+      ]
+    Only the name is required. The first task is preferred. Falls back to DEFAULT_TAGS if the workflow
+    doesn't configure any (valid) tags.
+ */
+const tagsFromWorkflow = (workflow) => {
+  const tasks = (workflow && workflow.tasks) || {};
+  const hasTags = id => tasks[id] && Array.isArray(tasks[id].tags);
+  const taskId = (hasTags(workflow && workflow.first_task))
+    ? workflow.first_task
+    : Object.keys(tasks).find(hasTags);
+  if (!taskId) return DEFAULT_TAGS;
+  const tagConfig = tasks[taskId].tags;
+
+  const tags = {};
+  tagConfig.forEach((tag) => {
+    if (!tag || !TAG_NAME_REGEX.test(tag.name)) return;  //Invalid tags are left out.
+    tags[tag.name] = {
+      label: tag.label || `[${tag.name}]`,
+      selfClosing: !!tag.selfClosing,
+      shortcut: (SHORTCUT_REGEX.test(tag.shortcut)) ? tag.shortcut.toLowerCase() : null,
+    };
+  });
+
+  return (Object.keys(tags).length) ? tags : DEFAULT_TAGS;
+};
+
+/*  A human readable description of a markup error.
+ */
+const describeMarkupError = (error) => {
+  switch (error.type) {
+    case MARKUP_ERRORS.UNCLOSED:
+      return `[${error.name}] is missing its closing [/${error.name}] tag.`;
+    case MARKUP_ERRORS.UNOPENED:
+      return `[/${error.name}] doesn't have a matching [${error.name}] tag.`;
+    case MARKUP_ERRORS.MISNESTED:
+      return `[${error.name}] needs to be closed before the tag around it is closed.`;
+    default:
+      return `There's a problem with the [${error.name}] tag.`;
+  }
+};
+
+export {
+  cleanMarkup,
+  describeMarkupError,
+  parseMarkup,
+  serialiseMarkup,
+  tagsFromWorkflow,
+  tokenizeMarkup,
+  DEFAULT_TAGS,
+  MARKUP_ERRORS,
+};
@@ -0,0 +1,202 @@
+import { expect } from 'chai';
+import {
+  cleanMarkup,
+  describeMarkupError,
+  parseMarkup,
+  serialiseMarkup,
+  tagsFromWorkflow,
+  tokenizeMarkup,
+  DEFAULT_TAGS,
+  MARKUP_ERRORS,
+} from './transcription-markup';
+
+describe('transcription-markup', () => {
+  describe('tokenizeMarkup()', () => {
+    it('splits text into text, opening tag and closing tag tokens', () => {
+      expect(tokenizeMarkup('a [deletion]b[/deletion] c')).to.deep.equal([
+        { type: 'text', value: 'a ', index: 0 },
+        { type: 'open', name: 'deletion', index: 2, raw: '[deletion]' },
+        { type: 'text', value: 'b', index: 12 },
+        { type: 'close', name: 'deletion', index: 13, raw: '[/deletion]' },
+        { type: 'text', value: ' c', index: 24 },
+      ]);
+    });
+
+    it('leaves tags that are not in the tag set as text', () => {
+      expect(tokenizeMarkup('a [sic] b [/sic]')).to.deep.equal([
+        { type: 'text', value: 'a [sic] b [/sic]', index: 0 },
+      ]);
+    });
+
+    it('uses the given tag set', () => {
+      const tags = { sic: { label: '[sic]', selfClosing: true, shortcut: 's' } };
+      expect(tokenizeMarkup('[sic][deletion]', tags)).to.deep.equal([
+        { type: 'open', name: 'sic', index: 0, raw: '[sic]' },
+        { type: 'text', value: '[deletion]', index: 5 },
+      ]);
+    });
+
+    it('returns no tokens for empty text', () => {
+      expect(tokenizeMarkup('')).to.deep.equal([]);
+      expect(tokenizeMarkup()).to.deep.equal([]);
+    });
+  });
+
+  describe('parseMarkup()', () => {
+    it('builds a tree of text and tags', () => {
+      const { ast, errors } = parseMarkup('a [deletion]b[/deletion]');
+      expect(errors).to.deep.equal([]);
+      expect(ast).to.deep.equal({
+        type: 'root',
+        children: [
+          { type: 'text', value: 'a ' },
+          {
+            type: 'tag',
+            name: 'deletion',
+            selfClosing: false,
+            closed: true,
+            children: [{ type: 'text', value: 'b' }],
+            index: 2,
+          },
+        ],
+      });
+    });
+
+    it('nests tags inside each other', () => {
+      const { ast, errors } = parseMarkup('[insertion][underline]word[/underline][/insertion]');
+      expect(errors).to.deep.equal([]);
+      const insertion = ast.children[0];
+      expect(insertion.name).to.equal('insertion');
+      expect(insertion.children).to.have.length(1);
+      expect(insertion.children[0].name).to.equal('underline');
+      expect(insertion.children[0].children).to.deep.equal([{ type: 'text', value: 'word' }]);
+    });
+
+    it('treats self-closing tags as closed, with no children', () => {
+      const { ast, errors } = parseMarkup('a [unclear] b');
+      expect(errors).to.deep.equal([]);
+      expect(ast.children[1]).to.include({ type: 'tag', name: 'unclear', selfClosing: true, closed: true });
+      expect(ast.children[1].children).to.deep.equal([]);
+      expect(ast.children[2]).to.deep.equal({ type: 'text', value: ' b' });
+    });
+
+    it('flags tags that are never closed', () => {
+      const { ast, errors } = parseMarkup('a [deletion]b');
+      expect(errors).to.deep.equal([{ type: MARKUP_ERRORS.UNCLOSED, name: 'deletion', index: 2 }]);
+      expect(ast.children[1].closed).to.equal(false);
+    });
+
+    it('flags closing tags that were never opened, and keeps them as text', () => {
+      const { ast, errors } = parseMarkup('a[/deletion] b');
+      expect(errors).to.deep.equal([{ type: MARKUP_ERRORS.UNOPENED, name: 'deletion', index: 1 }]);
+      expect(serialiseMarkup(ast)).to.equal('a[/deletion] b');
+    });
+
+    it('flags misnested tags, and ignores their late closing tag', () => {
+      const { ast, errors } = parseMarkup('[insertion][deletion]a[/insertion]b[/deletion]');
+      expect(errors).to.deep.equal([{ type: MARKUP_ERRORS.MISNESTED, name: 'deletion', index: 11 }]);
+      expect(ast.children).to.have.length(2);
+      expect(ast.children[0].name).to.equal('insertion');
+      expect(ast.children[1]).to.deep.equal({ type: 'text', value: 'b' });
+    });
+
+    it('lists errors in the order they appear in the text', () => {
+      const { errors } = parseMarkup('[/underline] [deletion]a [insertion]b');
+      expect(errors.map(error => error.index)).to.deep.equal([0, 13, 25]);
+      expect(errors.map(error => error.type)).to.deep.equal([
+        MARKUP_ERRORS.UNOPENED, MARKUP_ERRORS.UNCLOSED, MARKUP_ERRORS.UNCLOSED,
+      ]);
+    });
+  });
+
+  describe('cleanMarkup()', () => {
+    it('adds a space in front of an opening tag', () => {
+      expect(cleanMarkup('word[deletion]x[/deletion]')).to.equal('word [deletion]x[/deletion]');
+    });
+
+    it('adds a space after a closing tag', () => {
+      expect(cleanMarkup('[deletion]x[/deletion]word')).to.equal('[deletion]x[/deletion] word');
+    });
+
+    it('keeps punctuation attached to a closing tag', () => {
+      expect(cleanMarkup('[deletion]x[/deletion], word.')).to.equal('[deletion]x[/deletion], word.');
+    });
+
+    it('removes spaces inside a tag, next to the tags', () => {
+      expect(cleanMarkup('[deletion]   word[/deletion]')).to.equal('[deletion]word[/deletion]');
+      expect(cleanMarkup('[deletion]word   [/deletion]')).to.equal('[deletion]word[/deletion]');
+      expect(cleanMarkup('[deletion]  word  [/deletion]')).to.equal('[deletion]word[/deletion]');
+      expect(cleanMarkup('[deletion]  [/deletion]')).to.equal('[deletion][/deletion]');
+    });
+
+    it('keeps nested tags together', () => {
+      expect(cleanMarkup('[insertion] [underline] two words [/underline] [/insertion]'))
+        .to.equal('[insertion][underline]two words[/underline][/insertion]');
+    });
+
+    it('spaces [unclear] like a word, except next to the tags around it', () => {
+      expect(cleanMarkup('a[unclear]b')).to.equal('a [unclear] b');
+      expect(cleanMarkup('[deletion] [unclear] [/deletion]')).to.equal('[deletion][unclear][/deletion]');
+      expect(cleanMarkup('[unclear][unclear]')).to.equal('[unclear] [unclear]');
+    });
+
+    it('collapses spaces and trims the text', () => {
+      expect(cleanMarkup('  the   quick \t brown  ')).to.equal('the quick brown');
+    });
+
+    it('only tidies up the spaces of text with markup errors', () => {
+      expect(cleanMarkup('  word[deletion]x   [/insertion] ')).to.equal('word[deletion]x [/insertion]');
+    });
+
+    it('leaves unknown tags alone', () => {
+      expect(cleanMarkup('word[sic]')).to.equal('word[sic]');
+    });
+  });
+
+  describe('tagsFromWorkflow()', () => {
+    it('falls back to the default tags', () => {
+      expect(tagsFromWorkflow(null)).to.equal(DEFAULT_TAGS);
+      expect(tagsFromWorkflow({ tasks: { T0: { type: 'drawing' } } })).to.equal(DEFAULT_TAGS);
+      expect(tagsFromWorkflow({ tasks: { T0: { tags: [] } } })).to.equal(DEFAULT_TAGS);
+    });
+
+    it('reads the tags of the first task', () => {
+      const workflow = {
+        first_task: 'T1',
+        tasks: {
+          T0: { tags: [{ name: 'other' }] },
+          T1: { tags: [{ name: 'sic', label: 'Sic', selfClosing: true, shortcut: 'S' }, { name: 'gap' }] },
+        },
+      };
+      expect(tagsFromWorkflow(workflow)).to.deep.equal({
+        sic: { label: 'Sic', selfClosing: true, shortcut: 's' },
+        gap: { label: '[gap]', selfClosing: false, shortcut: null },
+      });
+    });
+
+    it('uses any task with tags if the first task has none', () => {
+      const workflow = { first_task: 'T0', tasks: { T0: {}, T1: { tags: [{ name: 'sic' }] } } };
+      expect(Object.keys(tagsFromWorkflow(workflow))).to.deep.equal(['sic']);
+    });
+
+    it('ignores invalid tags, and falls back if none are valid', () => {
+      const tags = [{ name: 'two words' }, null, { name: 'sic', shortcut: 'too long' }];
+      const workflow = { tasks: { T0: { tags } } };
+      expect(tagsFromWorkflow(workflow)).to.deep.equal({
+        sic: { label: '[sic]', selfClosing: false, shortcut: null },
+      });
+      expect(tagsFromWorkflow({ tasks: { T0: { tags: [{ name: '' }] } } })).to.equal(DEFAULT_TAGS);
+    });
+  });
+
+  describe('describeMarkupError()', () => {
+    it('describes each kind of error', () => {
+      expect(describeMarkupError({ type: MARKUP_ERRORS.UNCLOSED, name: 'deletion' }))
+        .to.equal('[deletion] is missing its closing [/deletion] tag.');
+      expect(describeMarkupError({ type: MARKUP_ERRORS.UNOPENED, name: 'deletion' }))
+        .to.equal('[/deletion] doesn\'t have a matching [deletion] tag.');
+      expect(describeMarkupError({ type: MARKUP_ERRORS.MISNESTED, name: 'deletion' }))
+        .to.equal('[deletion] needs to be closed before the tag around it is closed.');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/*
+Test Helpers
+------------
+
+Stand-ins for the Redux store and the Panoptes API client, so the ducks' action
+creators (thunks) can be tested without a browser or a network connection.
+
+Usage:
+  const store = createMockStore({ login: { user: null } });
+  const restore = stubApiClient({
+    projects: { get: createSpy(() => Promise.resolve(project)) },
+  });
+  store.dispatch(fetchProject('1764'));
+  flush().then(() => {
+    expect(store.actions.map(action => action.type)).to.deep.equal([...]);
+    restore();
+  });
+
+ */
+
+import apiClient from 'panoptes-client/lib/api-client.js';
+
+/*  Records every plain action that's dispatched, in `store.actions`. Thunks
+    are run straight away, as redux-thunk would, so the actions they dispatch
+    (even through other thunks) are recorded too. If a reducer is given, the
+    state is kept up to date with it; otherwise it stays as given, unless
+    it's changed with setState().
+ */
+const createMockStore = (state = {}, reducer = null) => {
+  const store = {
+    actions: [],
+    state,
+
+    getState() {
+      return store.state;
+    },
+
+    setState(changes) {
+      store.state = Object.assign({}, store.state, changes);
+    },
+
+    dispatch(action) {
+      if (typeof action === 'function') {
+        return action(store.dispatch, store.getState);
+      }
+      store.actions.push(action);
+      if (reducer) store.state = reducer(store.state, action);
+      return action;
+    },
+
+    types() {
+      return store.actions.map(action => action.type);
+    },
+  };
+  return store;
+};
+
+/*  A function that records the arguments of each call, in `spy.calls`, and
+    returns whatever `implementation` returns.
+ */
+const createSpy = (implementation = () => undefined) => {
+  const spy = function (...args) {
+    spy.calls.push(args);
+    return implementation.apply(this, args);
+  };
+  spy.calls = [];
+  return spy;
+};
+
+/*  Replaces apiClient.type(), so that apiClient.type(name) returns
+    `resources[name]`. Asking for any other type fails the test. Returns a
+    function that puts the real apiClient.type() back.
+ */
+const stubApiClient = (resources = {}) => {
+  const type = apiClient.type;
+  apiClient.type = (name) => {
+    if (!resources[name]) throw new Error(`Unexpected request for the '${name}' type`);
+    return resources[name];
+  };
+  return () => {
+    apiClient.type = type;
+  };
+};
+
+/*  Resolves once every pending Promise callback has run. */
+const flush = () => {
+  return new Promise(resolve => setTimeout(resolve, 0));
+};
+
+/*  Silences the given console methods (e.g. while testing error handling),
+    until the returned function is called.
+ */
+const muteConsole = (...methods) => {
+  const originals = methods.map(method => console[method]);
+  methods.forEach((method) => {
+    console[method] = () => {};
+  });
+  return () => {
+    methods.forEach((method, i) => {
+      console[method] = originals[i];
+    });
+  };
+};
+
+export {
+  createMockStore,
+  createSpy,
+  flush,
+  muteConsole,
+  stubApiClient,
+};
@@ -0,0 +1,47 @@
+/*
+Test Setup
+----------
+
+Loaded by mocha (see `npm test`) before any of the specs. The classifier is
+written for the browser, so this provides the few browser globals the ducks
+and libraries use, with nothing stored between test runs.
+
+ */
+
+class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  getItem(key) {
+    return (key in this.items) ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+
+  clear() {
+    this.items = {};
+  }
+}
+
+global.window = global;
+global.localStorage = new MemoryStorage();
+global.sessionStorage = new MemoryStorage();
+global.innerWidth = 1280;
+global.innerHeight = 800;
+global.Rollbar = null;
+if (typeof navigator === 'undefined') {  //Newer versions of Node have their own.
+  global.navigator = { userAgent: 'mocha', onLine: true };
+}
+
+//Previous Annotations come from src/fixtures/reductions.json, not Caesar.
+process.env.REDUCTIONS_SOURCE = 'fixture';
+
+//The ducks report their progress with console.info(), which is only noise here.
+console.info = () => {};
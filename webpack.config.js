@@ -29,9 +29,16 @@ module.exports = {
     }),
     new webpack.HotModuleReplacementPlugin(),
     new webpack.NoEmitOnErrorsPlugin(),
-    new webpack.DefinePlugin({
+    new webpack.DefinePlugin(Object.assign({
       'process.env.NODE_ENV': JSON.stringify('staging'),
-    }),
+      'process.env.REDUCTIONS_SOURCE': JSON.stringify(process.env.REDUCTIONS_SOURCE || 'live'),
+      'process.env.TILE_SERVER': JSON.stringify(process.env.TILE_SERVER || ''),
+    }, (process.env.MOCK_PANOPTES) ? {
+      //panoptes-client reads its API host from here; see mock/panoptes.js.
+      'process.env.PANOPTES_API_HOST': JSON.stringify('/mock-panoptes'),
+      //It can cut its own Subject images into tiles, too.
+      'process.env.TILE_SERVER': JSON.stringify(process.env.TILE_SERVER || '/mock-panoptes/iiif'),
+    } : {})),
   ],
 
   resolve: {